@@ -59,6 +59,9 @@ window.loadConfig = async function() {
 
     console.log('Platform config loaded successfully');
 
+    // Keep advanced options that have no form fields (e.g. apiBaseUrl)
+    window.advancedConfig = config.advanced || {};
+
     // Populate form with loaded configuration
     populateFormWithConfig(config);
 
@@ -73,6 +76,14 @@ window.loadConfig = async function() {
       schedulesContainer.style.display = schedulesEnabled ? 'block' : 'none';
     }
 
+    // Load holiday and vacation exceptions
+    window.scheduleExceptions = Array.isArray(config.scheduleExceptions)
+      ? JSON.parse(JSON.stringify(config.scheduleExceptions))
+      : [];
+    if (typeof window.renderExceptionList === 'function') {
+      window.renderExceptionList();
+    }
+
     // Initialize window.schedules
     window.schedules = [];
 
@@ -150,7 +161,15 @@ window.saveConfig = async function() {
     console.log('Collecting form values...');
 
     const apiToken = document.getElementById('apiToken')?.value;
-    if (!apiToken) {
+
+    // The top-level token may be omitted when additional accounts are configured
+    const currentConfig = await homebridge.getPluginConfig();
+    const currentEntry = Array.isArray(currentConfig)
+      ? currentConfig.find(c => c && c.platform === 'SleepMeSimple')
+      : undefined;
+    const hasAccounts = Array.isArray(currentEntry?.accounts) && currentEntry.accounts.length > 0;
+
+    if (!apiToken && !hasAccounts) {
       console.error('API token is required');
       if (typeof NotificationManager !== 'undefined') {
         NotificationManager.error('API token is required', 'Validation Error');
@@ -174,6 +193,21 @@ window.saveConfig = async function() {
     const enableSchedules = enableSchedulesCheckbox?.checked || false;
     console.log(`Reading enable schedules from form: ${enableSchedules}`);
 
+    // Location is only used for sunrise/sunset schedule times
+    const latitudeValue = document.getElementById('latitude')?.value;
+    const longitudeValue = document.getElementById('longitude')?.value;
+    const latitude = latitudeValue !== '' && latitudeValue !== undefined ? parseFloat(latitudeValue) : undefined;
+    const longitude = longitudeValue !== '' && longitudeValue !== undefined ? parseFloat(longitudeValue) : undefined;
+    const hasLocation = latitude !== undefined && longitude !== undefined;
+
+    if (hasLocation && (isNaN(latitude) || Math.abs(latitude) > 90 || isNaN(longitude) || Math.abs(longitude) > 180)) {
+      console.error('Invalid location:', latitude, longitude);
+      if (typeof NotificationManager !== 'undefined') {
+        NotificationManager.error('Latitude must be between -90 and 90 and longitude between -180 and 180', 'Validation Error');
+      }
+      return;
+    }
+
     // Validate polling interval
     if (isNaN(pollingInterval) || pollingInterval < 60 || pollingInterval > 300) {
       console.error('Invalid polling interval:', pollingInterval);
@@ -187,23 +221,38 @@ window.saveConfig = async function() {
     const newConfig = {
       platform: 'SleepMeSimple',
       name: 'SleepMe Simple',
-      apiToken,
       unit,
       pollingInterval,
       logLevel,
       enableSchedules
     };
 
+    if (apiToken) {
+      newConfig.apiToken = apiToken;
+    }
+
+    if (hasLocation) {
+      newConfig.latitude = latitude;
+      newConfig.longitude = longitude;
+    }
+
     // STEP 3: Add schedules if enabled
     if (enableSchedules && Array.isArray(window.schedules)) {
       console.log(`Adding ${window.schedules.length} schedules to configuration`);
       newConfig.schedules = window.schedules.map(schedule => {
         const cleanSchedule = {
           type: String(schedule.type || 'Everyday'),
-          time: String(schedule.time || '00:00'),
-          temperature: Number(schedule.temperature || 21)
+          time: String(schedule.time || '00:00')
         };
 
+        // Turning on or off doesn't use a temperature
+        if (schedule.action) {
+          cleanSchedule.action = String(schedule.action);
+        }
+        if (schedule.action !== 'powerOff' && schedule.action !== 'powerOn') {
+          cleanSchedule.temperature = Number(schedule.temperature || 21);
+        }
+
         if (schedule.unit) {
           cleanSchedule.unit = String(schedule.unit);
         }
@@ -228,12 +277,32 @@ window.saveConfig = async function() {
           cleanSchedule.isWarmHug = Boolean(schedule.isWarmHug);
         }
 
+        if (Array.isArray(schedule.devices) && schedule.devices.length > 0) {
+          cleanSchedule.devices = schedule.devices.map(String);
+        }
+
         return cleanSchedule;
       });
     } else {
       newConfig.schedules = [];
     }
 
+    // Exceptions are kept while schedules are disabled
+    const scheduleExceptions = Array.isArray(window.scheduleExceptions) ? window.scheduleExceptions : [];
+    if (scheduleExceptions.length > 0) {
+      newConfig.scheduleExceptions = scheduleExceptions.map(exception => {
+        const cleanException = {
+          start: String(exception.start),
+          end: String(exception.end || exception.start),
+          mode: exception.mode === 'weekend' ? 'weekend' : 'suspend'
+        };
+        if (exception.name) {
+          cleanException.name = String(exception.name);
+        }
+        return cleanException;
+      });
+    }
+
     // STEP 4: Get advanced settings if present
     const advancedSettings = getAdvancedSettings();
     if (advancedSettings) {
@@ -249,7 +318,28 @@ window.saveConfig = async function() {
     const existingIndex = configArray.findIndex(c => c && c.platform === 'SleepMeSimple');
 
     if (existingIndex >= 0) {
-      configArray[existingIndex] = newConfig;
+      // Preserve options the form does not manage (interfaceMode, devices, advanced.apiBaseUrl, ...)
+      const existingConfig = configArray[existingIndex];
+      configArray[existingIndex] = {
+        ...existingConfig,
+        ...newConfig,
+        advanced: {
+          ...(existingConfig.advanced || {}),
+          ...(newConfig.advanced || {})
+        }
+      };
+      if (!apiToken) {
+        // Token was cleared - rely on the configured accounts only
+        delete configArray[existingIndex].apiToken;
+      }
+      if (!hasLocation) {
+        // Location was cleared - sun-relative schedules will be skipped
+        delete configArray[existingIndex].latitude;
+        delete configArray[existingIndex].longitude;
+      }
+      if (scheduleExceptions.length === 0) {
+        delete configArray[existingIndex].scheduleExceptions;
+      }
       console.log('Updated existing config at index', existingIndex);
     } else {
       configArray.push(newConfig);
@@ -362,6 +452,14 @@ function populateFormWithConfig(config) {
       console.log(`Set log level: "${logLevelSelect.value}"`);
     }
 
+    // Set location for sunrise/sunset schedules
+    const latitudeInput = document.getElementById('latitude');
+    const longitudeInput = document.getElementById('longitude');
+    if (latitudeInput && longitudeInput) {
+      latitudeInput.value = typeof config.latitude === 'number' ? config.latitude : '';
+      longitudeInput.value = typeof config.longitude === 'number' ? config.longitude : '';
+    }
+
     // Handle schedules configuration
     if (enableSchedulesCheckbox) {
       const enableSchedules = config.enableSchedules === true;
@@ -0,0 +1,241 @@
+/**
+ * Schedule exception (holiday and vacation) handling for SleepMe Simple UI
+ */
+(function() {
+    // Initialize module state
+    window.scheduleExceptions = window.scheduleExceptions || [];
+    window.editingExceptionIndex = -1;
+
+    const MODE_LABELS = {
+      suspend: 'Schedules suspended',
+      weekend: 'Weekend schedules'
+    };
+
+    /**
+     * Add an exception from the form, or update the one being edited
+     */
+    window.handleExceptionAction = function() {
+      const nameInput = document.getElementById('exceptionName');
+      const startInput = document.getElementById('exceptionStart');
+      const endInput = document.getElementById('exceptionEnd');
+      const modeSelect = document.getElementById('exceptionMode');
+
+      if (!nameInput || !startInput || !endInput || !modeSelect) {
+        NotificationManager.error('UI elements not initialized', 'Error');
+        return;
+      }
+
+      const start = startInput.value;
+      const end = endInput.value || start;
+      if (!start) {
+        NotificationManager.error('Please choose the first day of the exception', 'Validation Error');
+        return;
+      }
+      if (end < start) {
+        NotificationManager.error('The last day must not be before the first day', 'Validation Error');
+        return;
+      }
+
+      const exception = { start, end, mode: modeSelect.value || 'suspend' };
+      const name = nameInput.value.trim();
+      if (name) {
+        exception.name = name;
+      }
+
+      if (window.editingExceptionIndex >= 0 && window.editingExceptionIndex < window.scheduleExceptions.length) {
+        window.scheduleExceptions[window.editingExceptionIndex] = exception;
+        NotificationManager.success('Exception updated successfully', 'Success', { autoHide: true });
+      } else {
+        window.scheduleExceptions.push(exception);
+        NotificationManager.success('Exception added successfully', 'Success', { autoHide: true });
+      }
+
+      window.exitExceptionEditMode();
+      window.renderExceptionList();
+      if (typeof window.saveConfig === 'function') {
+        window.saveConfig(false);
+      }
+    };
+
+    /**
+     * Load an exception into the form for editing
+     * @param {number} index - Index of the exception to edit
+     */
+    window.editException = function(index) {
+      const exception = window.scheduleExceptions[index];
+      if (!exception) {
+        NotificationManager.error('Exception not found', 'Edit Error');
+        return;
+      }
+
+      window.editingExceptionIndex = index;
+      document.getElementById('exceptionName').value = exception.name || '';
+      document.getElementById('exceptionStart').value = exception.start || '';
+      document.getElementById('exceptionEnd').value = exception.end && exception.end !== exception.start ? exception.end : '';
+      document.getElementById('exceptionMode').value = exception.mode || 'suspend';
+
+      const addButton = document.getElementById('addException');
+      addButton.textContent = 'Update Exception';
+      document.getElementById('cancelExceptionEdit')?.classList.remove('hidden');
+      addButton.scrollIntoView({ behavior: 'smooth' });
+    };
+
+    /**
+     * Leave edit mode and clear the form
+     */
+    window.exitExceptionEditMode = function() {
+      window.editingExceptionIndex = -1;
+
+      ['exceptionName', 'exceptionStart', 'exceptionEnd'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+          input.value = '';
+        }
+      });
+
+      const addButton = document.getElementById('addException');
+      if (addButton) {
+        addButton.textContent = 'Add Exception';
+      }
+      document.getElementById('cancelExceptionEdit')?.classList.add('hidden');
+    };
+
+    /**
+     * Remove an exception with confirmation
+     * @param {number} index - Index of the exception to remove
+     */
+    window.removeException = function(index) {
+      if (index < 0 || index >= window.scheduleExceptions.length) {
+        NotificationManager.error('Invalid exception index', 'Remove Error');
+        return;
+      }
+
+      window.showConfirmModal(
+        'Remove Exception',
+        'Are you sure you want to remove this exception?',
+        function() {
+          window.scheduleExceptions.splice(index, 1);
+          window.exitExceptionEditMode();
+          window.renderExceptionList();
+          if (typeof window.saveConfig === 'function') {
+            window.saveConfig(false);
+          }
+          NotificationManager.success('Exception removed successfully', 'Success', { autoHide: true });
+        }
+      );
+    };
+
+    /**
+     * Add the events of an .ics file on the Homebridge server as exceptions
+     * Uses the mode selected in the form; dates that are already covered are skipped
+     */
+    window.importIcsFile = async function() {
+      const pathInput = document.getElementById('icsPath');
+      const modeSelect = document.getElementById('exceptionMode');
+      const path = pathInput ? pathInput.value.trim() : '';
+      if (!path) {
+        NotificationManager.error('Please enter the path of an .ics file', 'Validation Error');
+        return;
+      }
+
+      try {
+        const result = await homebridge.request('/exceptions/import-ics', { path });
+        const mode = modeSelect ? modeSelect.value : 'suspend';
+        let added = 0;
+
+        result.events.forEach(event => {
+          const exists = window.scheduleExceptions.some(exception =>
+            exception.start === event.start && exception.end === event.end);
+          if (exists) {
+            return;
+          }
+
+          const exception = { start: event.start, end: event.end, mode };
+          if (event.summary) {
+            exception.name = event.summary;
+          }
+          window.scheduleExceptions.push(exception);
+          added++;
+        });
+
+        window.renderExceptionList();
+        if (added > 0 && typeof window.saveConfig === 'function') {
+          window.saveConfig(false);
+        }
+        NotificationManager.success(
+          `Imported ${added} of ${result.events.length} events`,
+          'Import Complete',
+          { autoHide: true }
+        );
+      } catch (error) {
+        NotificationManager.error(error.message || 'Could not import the calendar file', 'Import Error');
+      }
+    };
+
+    /**
+     * Render the exception list, earliest first
+     */
+    window.renderExceptionList = function() {
+      const list = document.getElementById('exceptionList');
+      if (!list) {
+        return;
+      }
+
+      list.innerHTML = '';
+      if (window.scheduleExceptions.length === 0) {
+        list.innerHTML = '<p>No exceptions configured.</p>';
+        return;
+      }
+
+      const today = new Date();
+      const todayString = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+
+      window.scheduleExceptions
+        .map((exception, index) => ({ ...exception, originalIndex: index }))
+        .sort((a, b) => (a.start || '').localeCompare(b.start || ''))
+        .forEach(exception => {
+          const item = document.createElement('div');
+          item.className = 'schedule-item';
+          if ((exception.end || exception.start) < todayString) {
+            item.classList.add('past-exception');
+          }
+
+          const infoDiv = document.createElement('div');
+          infoDiv.className = 'schedule-item-info';
+
+          const dates = document.createElement('div');
+          dates.className = 'schedule-time';
+          dates.textContent = exception.end && exception.end !== exception.start
+            ? `${exception.start} to ${exception.end}`
+            : exception.start;
+          if (exception.name) {
+            dates.textContent += `: ${exception.name}`;
+          }
+          infoDiv.appendChild(dates);
+
+          const modeLabel = document.createElement('span');
+          modeLabel.className = 'schedule-phase';
+          modeLabel.textContent = MODE_LABELS[exception.mode] || MODE_LABELS.suspend;
+          infoDiv.appendChild(modeLabel);
+
+          const actionsDiv = document.createElement('div');
+          actionsDiv.className = 'schedule-item-actions';
+
+          const editBtn = document.createElement('button');
+          editBtn.className = 'edit';
+          editBtn.textContent = 'Edit';
+          editBtn.addEventListener('click', () => window.editException(exception.originalIndex));
+
+          const removeBtn = document.createElement('button');
+          removeBtn.className = 'danger';
+          removeBtn.textContent = 'Remove';
+          removeBtn.addEventListener('click', () => window.removeException(exception.originalIndex));
+
+          actionsDiv.appendChild(editBtn);
+          actionsDiv.appendChild(removeBtn);
+          item.appendChild(infoDiv);
+          item.appendChild(actionsDiv);
+          list.appendChild(item);
+        });
+    };
+})();
@@ -21,7 +21,9 @@ function setupAutoSave() {
   const configFields = [
     'unit',
     'pollingInterval',
-    'logLevel'
+    'logLevel',
+    'latitude',
+    'longitude'
   ];
   
   configFields.forEach(fieldId => {
@@ -80,7 +82,9 @@ function setupAutoSave() {
   const configFields = [
     'unit',
     'pollingInterval',
-    'logLevel'
+    'logLevel',
+    'latitude',
+    'longitude'
   ];
   
   configFields.forEach(fieldId => {
@@ -151,17 +155,19 @@ function initializeConditionalElements() {
     });
   }
   
-  // Initialize warm hug info visibility based on checkbox
-  const warmHugCheckbox = document.getElementById('warmHugEnabled');
+  // Initialize warm hug info and temperature visibility based on the action
+  const scheduleActionSelect = document.getElementById('scheduleAction');
   const warmHugInfo = document.getElementById('warmHugInfo');
   
-  if (warmHugCheckbox && warmHugInfo) {
+  if (scheduleActionSelect && warmHugInfo) {
     // Ensure it's hidden by default
     warmHugInfo.classList.add('hidden');
     
     // Add event listener
-    warmHugCheckbox.addEventListener('change', function() {
-      warmHugInfo.classList.toggle('hidden', !this.checked);
+    scheduleActionSelect.addEventListener('change', function() {
+      if (typeof window.updateScheduleActionFields === 'function') {
+        window.updateScheduleActionFields();
+      }
     });
   }
 }
@@ -296,10 +302,9 @@ function initializeConditionalElements() {
         });
       }
       
-      // Schedule type change - show/hide day select and warm hug info
+      // Schedule type change - show/hide day select
       const scheduleTypeSelect = document.getElementById('scheduleType');
       const daySelectContainer = document.getElementById('daySelectContainer');
-      const warmHugInfo = document.getElementById('warmHugInfo');
       
       if (scheduleTypeSelect) {
         scheduleTypeSelect.addEventListener('change', function() {
@@ -308,12 +313,6 @@ function initializeConditionalElements() {
           }
         });
       }
-      const warmHugCheckbox = document.getElementById('warmHugEnabled');
-if (warmHugCheckbox && warmHugInfo) {
-  warmHugCheckbox.addEventListener('change', function() {
-    warmHugInfo.classList.toggle('hidden', !this.checked);
-  });
-}
       // Schedule validation
       const scheduleTimeInput = document.getElementById('scheduleTime');
       const scheduleTemperatureInput = document.getElementById('scheduleTemperature');
@@ -328,6 +327,16 @@ if (warmHugCheckbox && warmHugInfo) {
         scheduleTemperatureInput.addEventListener('blur', validateTemperature);
       }
       
+      // Preview sunrise/sunset times as the time, days or location change
+      if (typeof window.updateSolarPreview === 'function') {
+        ['scheduleTime', 'scheduleType', 'scheduleDay', 'latitude', 'longitude'].forEach(fieldId => {
+          const field = document.getElementById(fieldId);
+          if (field) {
+            field.addEventListener('change', window.updateSolarPreview);
+          }
+        });
+      }
+      
       // Add/update schedule button
       const addScheduleBtn = document.getElementById('addSchedule');
       if (addScheduleBtn && typeof handleScheduleAction === 'function') {
@@ -339,6 +348,22 @@ if (warmHugCheckbox && warmHugInfo) {
       if (cancelEditBtn && typeof exitEditMode === 'function') {
         cancelEditBtn.addEventListener('click', exitEditMode);
       }
+      
+      // Holiday and vacation exceptions
+      const addExceptionBtn = document.getElementById('addException');
+      if (addExceptionBtn && typeof window.handleExceptionAction === 'function') {
+        addExceptionBtn.addEventListener('click', window.handleExceptionAction);
+      }
+      
+      const cancelExceptionEditBtn = document.getElementById('cancelExceptionEdit');
+      if (cancelExceptionEditBtn && typeof window.exitExceptionEditMode === 'function') {
+        cancelExceptionEditBtn.addEventListener('click', window.exitExceptionEditMode);
+      }
+      
+      const importIcsBtn = document.getElementById('importIcs');
+      if (importIcsBtn && typeof window.importIcsFile === 'function') {
+        importIcsBtn.addEventListener('click', window.importIcsFile);
+      }
     }
     
     /**
@@ -445,6 +470,19 @@ if (warmHugCheckbox && warmHugInfo) {
           incrementHelp.textContent = 'How quickly temperature increases (1-9°F per minute)';
         }
       }
+      
+      const targetLabel = document.querySelector('label[for="warmHugTarget"]');
+      const targetHelp = document.querySelector('#warmHugTarget + .form-text');
+      
+      if (targetLabel) {
+        targetLabel.textContent = `On-Demand Target Temperature (°${unit}):`;
+      }
+      
+      if (targetHelp) {
+        targetHelp.textContent = unit === 'C'
+          ? 'Temperature the Warm Hug switch in HomeKit ramps up to (13-46°C)'
+          : 'Temperature the Warm Hug switch in HomeKit ramps up to (55-115°F)';
+      }
     }
     
  /**
@@ -485,7 +523,10 @@ function initializeHomebridge() {
      */
     function loadConfig() {
       if (typeof window.loadConfig === 'function') {
-        window.loadConfig().then(function() {
+        window.loadConfig().then(async function() {
+          if (typeof window.loadScheduleDevices === 'function') {
+            await window.loadScheduleDevices();
+          }
           console.log('Config loaded, rendering schedules');
           if (typeof window.renderScheduleList === 'function') {
             window.renderScheduleList();
@@ -557,6 +598,7 @@ function initializeTabs() {
       // Get form elements
       const incrementInput = document.getElementById('warmHugIncrement');
       const durationInput = document.getElementById('warmHugDuration');
+      const targetInput = document.getElementById('warmHugTarget');
       const unitSelect = document.getElementById('unit');
       
       // Only proceed if homebridge is ready
@@ -609,12 +651,24 @@ function initializeTabs() {
           // Default value if not in config
           durationInput.value = "15";
         }
+        
+        if (targetInput) {
+          // Target is stored in Celsius
+          const targetC = config.advanced.warmHugTarget !== undefined ? config.advanced.warmHugTarget : 30;
+          targetInput.value = currentUnit === 'F' ? Math.round((targetC * 9/5 + 32) * 10) / 10 : targetC;
+        }
+        
+        const switchCheckbox = document.getElementById('enableWarmHug');
+        if (switchCheckbox) {
+          switchCheckbox.checked = config.advanced.enableWarmHug === true;
+        }
       } else {
         // Set default values if advanced section doesn't exist
         if (incrementInput) {
           incrementInput.value = currentUnit === 'C' ? "2" : "3.6";
         }
         if (durationInput) durationInput.value = "15";
+        if (targetInput) targetInput.value = currentUnit === 'F' ? "86" : "30";
       }
       
       console.log('Warm Hug settings loaded successfully');
@@ -645,6 +699,19 @@ function initializeTabs() {
         incrementHelp.textContent = 'How quickly temperature increases (1-9°F per minute)';
       }
     }
+    
+    const targetLabel = document.querySelector('label[for="warmHugTarget"]');
+    const targetHelp = document.querySelector('#warmHugTarget + .form-text');
+    
+    if (targetLabel) {
+      targetLabel.textContent = `On-Demand Target Temperature (°${unit}):`;
+    }
+    
+    if (targetHelp) {
+      targetHelp.textContent = unit === 'C'
+        ? 'Temperature the Warm Hug switch in HomeKit ramps up to (13-46°C)'
+        : 'Temperature the Warm Hug switch in HomeKit ramps up to (55-115°F)';
+    }
   }
   
   /**
@@ -656,6 +723,7 @@ function initializeTabs() {
         console.log('Saving Warm Hug parameters...');
         const incrementInput = document.getElementById('warmHugIncrement');
         const durationInput = document.getElementById('warmHugDuration');
+        const targetInput = document.getElementById('warmHugTarget');
         const unitSelect = document.getElementById('unit');
         
         if (!incrementInput || !durationInput || !unitSelect) {
@@ -695,6 +763,18 @@ function initializeTabs() {
             );
             return;
         }
+        
+        // Target is entered in the display unit and stored in Celsius
+        const target = targetInput ? parseFloat(targetInput.value) : NaN;
+        const targetC = currentUnit === 'F' ? (target - 32) * 5/9 : target;
+        
+        if (targetInput && (isNaN(targetC) || targetC < 13 || targetC > 46)) {
+            NotificationManager.error(
+                currentUnit === 'F' ? 'Target must be between 55 and 115°F' : 'Target must be between 13 and 46°C',
+                'Validation Error'
+            );
+            return;
+        }
       
       if (isNaN(duration) || duration < 5 || duration > 30) {
         console.error('Invalid duration value:', duration);
@@ -750,6 +830,13 @@ function initializeTabs() {
       // Update Warm Hug parameters with converted values if needed
       config.advanced.warmHugIncrement = storageIncrement;
       config.advanced.warmHugDuration = duration;
+      if (targetInput) {
+        config.advanced.warmHugTarget = Math.round(targetC * 10) / 10;
+      }
+      const switchCheckbox = document.getElementById('enableWarmHug');
+      if (switchCheckbox) {
+        config.advanced.enableWarmHug = switchCheckbox.checked;
+      }
       
       // Update config in memory
       await homebridge.updatePluginConfig(pluginConfig);
@@ -814,6 +901,8 @@ function populateTemplateCodePreview() {
       try {
           const incrementInput = document.getElementById('warmHugIncrement');
           const durationInput = document.getElementById('warmHugDuration');
+          const targetInput = document.getElementById('warmHugTarget');
+          const unitSelect = document.getElementById('unit');
           
           if (!incrementInput || !durationInput) {
               // Silently fail if inputs aren't found
@@ -836,6 +925,15 @@ function populateTemplateCodePreview() {
               return;
           }
           
+          // Target is entered in the display unit and stored in Celsius
+          const target = targetInput ? parseFloat(targetInput.value) : NaN;
+          const targetC = unitSelect && unitSelect.value === 'F' ? (target - 32) * 5/9 : target;
+          
+          if (targetInput && (isNaN(targetC) || targetC < 13 || targetC > 46)) {
+              console.error('Invalid target value:', target);
+              return;
+          }
+          
           // Only proceed if homebridge is ready
           if (typeof homebridge === 'undefined' || typeof homebridge.getPluginConfig !== 'function') {
               console.error('Homebridge API not ready');
@@ -864,6 +962,13 @@ function populateTemplateCodePreview() {
           // Update Warm Hug parameters
           config.advanced.warmHugIncrement = increment;
           config.advanced.warmHugDuration = duration;
+          if (targetInput) {
+              config.advanced.warmHugTarget = Math.round(targetC * 10) / 10;
+          }
+          const switchCheckbox = document.getElementById('enableWarmHug');
+          if (switchCheckbox) {
+              config.advanced.enableWarmHug = switchCheckbox.checked;
+          }
           
           // Update config in memory
           await homebridge.updatePluginConfig(pluginConfig);
@@ -1463,14 +1568,6 @@ function initializeEventListeners() {
                        elements.scheduleTypeSelect.value !== 'Specific Day'
                    );
                }
-            
-               // Show/hide warm hug info
-               if (elements.warmHugInfo) {
-                   elements.warmHugInfo.classList.toggle(
-                       'hidden', 
-                       elements.scheduleTypeSelect.value !== 'Warm Hug'
-                   );
-               }
            });
        }
     
@@ -1765,7 +1862,9 @@ async function testConnection() {
         setTimeout(() => reject(new Error('Request timed out')), 15000)
       );
       
-      const responsePromise = homebridge.request('/device/test', { apiToken });
+      // Test against the configured base URL (e.g. local simulator) when one is set
+      const apiBaseUrl = window.advancedConfig?.apiBaseUrl;
+      const responsePromise = homebridge.request('/device/test', { apiToken, apiBaseUrl });
       
       // Race the response against the timeout
       const response = await Promise.race([responsePromise, timeoutPromise]);
@@ -6,6 +6,106 @@
     window.schedules = window.schedules || [];
     window.isEditing = false;
     window.editingScheduleIndex = -1;
+    window.scheduleDevices = window.scheduleDevices || {};
+    
+    /**
+     * Load the plugin's devices from the Homebridge accessory cache
+     * and fill the device selector of the schedule form
+     */
+    window.loadScheduleDevices = async function() {
+      const devices = {};
+      
+      try {
+        if (typeof homebridge !== 'undefined' && typeof homebridge.getCachedAccessories === 'function') {
+          const accessories = await homebridge.getCachedAccessories();
+          (accessories || []).forEach(accessory => {
+            const device = accessory.context && accessory.context.device;
+            if (device && device.id) {
+              devices[device.id] = accessory.displayName || device.name || device.id;
+            }
+          });
+        }
+      } catch (error) {
+        console.warn('Could not load cached accessories:', error);
+      }
+      
+      // Keep devices referenced by schedules even if they are not cached (yet)
+      (window.schedules || []).forEach(schedule => {
+        getScheduleDeviceIds(schedule).forEach(id => {
+          if (!devices[id]) {
+            devices[id] = id;
+          }
+        });
+      });
+      
+      window.scheduleDevices = devices;
+      renderDeviceSelector([]);
+    };
+    
+    /**
+     * Get the devices a schedule is limited to
+     * @param {Object} schedule - Schedule entry
+     * @returns {string[]} Device IDs, empty if the schedule applies to all devices
+     */
+    function getScheduleDeviceIds(schedule) {
+      return Array.isArray(schedule.devices) ? schedule.devices.filter(id => id) : [];
+    }
+    
+    /**
+     * Render one checkbox per known device
+     * @param {string[]} selectedIds - Devices to check
+     */
+    function renderDeviceSelector(selectedIds) {
+      const container = document.getElementById('scheduleDevices');
+      if (!container) {
+        return;
+      }
+      
+      container.innerHTML = '';
+      const ids = Object.keys(window.scheduleDevices);
+      
+      ids.forEach(id => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = id;
+        checkbox.checked = selectedIds.includes(id);
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${window.scheduleDevices[id]}`));
+        container.appendChild(label);
+      });
+      
+      const hint = document.createElement('span');
+      hint.className = 'device-checkboxes-hint';
+      hint.textContent = ids.length > 0
+        ? 'Leave all unchecked to apply the schedule to every device.'
+        : 'No devices found yet. Schedules apply to all devices.';
+      container.appendChild(hint);
+    }
+    
+    /**
+     * Get the devices checked in the schedule form
+     * @returns {string[]} Selected device IDs
+     */
+    function getSelectedDeviceIds() {
+      const container = document.getElementById('scheduleDevices');
+      if (!container) {
+        return [];
+      }
+      return Array.from(container.querySelectorAll('input[type="checkbox"]:checked')).map(box => box.value);
+    }
+    
+    /**
+     * Display name of the devices a schedule applies to
+     * @param {string[]} ids - Device IDs, empty for all devices
+     * @returns {string} Group title
+     */
+    function getDeviceGroupName(ids) {
+      if (ids.length === 0) {
+        return 'All devices';
+      }
+      return ids.map(id => window.scheduleDevices[id] || id).join(', ');
+    }
     
     /**
      * Add or update a schedule
@@ -22,6 +122,7 @@ window.handleScheduleAction = function() {
       const scheduleDay = document.getElementById('scheduleDay');
       const scheduleTime = document.getElementById('scheduleTime');
       const scheduleTemperature = document.getElementById('scheduleTemperature');
+      const scheduleAction = document.getElementById('scheduleAction');
       const unit = document.getElementById('unit');
       
       // Validate all elements exist
@@ -30,10 +131,13 @@ window.handleScheduleAction = function() {
         return;
       }
       
+      const action = scheduleAction ? scheduleAction.value : 'setTemperature';
+      const usesTemperature = actionUsesTemperature(action);
+      
       // Validate form inputs
       const isTimeValid = typeof validateScheduleTime === 'function' ? 
         validateScheduleTime() : true;
-      const isTempValid = typeof validateTemperature === 'function' ? 
+      const isTempValid = usesTemperature && typeof validateTemperature === 'function' ? 
         validateTemperature() : true;
       
       if (!isTimeValid || !isTempValid) {
@@ -48,7 +152,7 @@ window.handleScheduleAction = function() {
       const currentUnit = unit.value;
       
       // Validate required fields
-      if (!type || !time || isNaN(temperature)) {
+      if (!type || !time || (usesTemperature && isNaN(temperature))) {
         NotificationManager.error('All schedule fields are required', 'Validation Error');
         return;
       }
@@ -57,22 +161,35 @@ window.handleScheduleAction = function() {
         // Create schedule object
         const schedule = {
           type,
-          time,
-          temperature,
-          unit: currentUnit
+          time
         };
         
+        // Turning on or off doesn't use a temperature
+        if (usesTemperature) {
+          schedule.temperature = temperature;
+          schedule.unit = currentUnit;
+        }
+        
+        if (action !== 'setTemperature') {
+          schedule.action = action;
+        }
+        
         // Add day for specific day schedules
         if (type === 'Specific Day' && scheduleDay) {
           schedule.day = parseInt(scheduleDay.value, 10);
         }
         
-       // Add warm hug flag if enabled
-const warmHugCheckbox = document.getElementById('warmHugEnabled');
-if (warmHugCheckbox && warmHugCheckbox.checked) {
-  schedule.isWarmHug = true;
-  schedule.description = 'Warm Hug Wake Up';
-}
+        // Limit to the selected devices (none selected means all devices)
+        const deviceIds = getSelectedDeviceIds();
+        if (deviceIds.length > 0) {
+          schedule.devices = deviceIds;
+        }
+        
+        // Keep the warm hug flag for Warm Hug schedules
+        if (action === 'warmHug') {
+          schedule.isWarmHug = true;
+          schedule.description = 'Warm Hug Wake Up';
+        }
         
         // Handle edit mode
         if (window.isEditing && window.editingScheduleIndex >= 0 && 
@@ -128,6 +245,124 @@ if (warmHugCheckbox && warmHugCheckbox.checked) {
       resetScheduleForm();
     };
     
+    /**
+     * Whether a schedule action needs a temperature
+     * @param {string} action - Schedule action
+     * @returns {boolean} False for turning on or off
+     */
+    function actionUsesTemperature(action) {
+      return action !== 'powerOff' && action !== 'powerOn';
+    }
+    
+    /**
+     * Get the action of a schedule, including schedules saved before actions existed
+     * @param {Object} schedule - Schedule entry
+     * @returns {string} Schedule action
+     */
+    function getScheduleAction(schedule) {
+      return schedule.action || (schedule.isWarmHug ? 'warmHug' : 'setTemperature');
+    }
+    
+    /**
+     * Show the temperature field and Warm Hug info that fit the selected action
+     */
+    window.updateScheduleActionFields = function() {
+      const scheduleAction = document.getElementById('scheduleAction');
+      const temperatureContainer = document.getElementById('temperatureContainer');
+      const warmHugInfo = document.getElementById('warmHugInfo');
+      const action = scheduleAction ? scheduleAction.value : 'setTemperature';
+      
+      if (temperatureContainer) {
+        temperatureContainer.classList.toggle('hidden', !actionUsesTemperature(action));
+      }
+      
+      if (warmHugInfo) {
+        warmHugInfo.classList.toggle('hidden', action !== 'warmHug');
+      }
+    };
+    
+    /**
+     * Check whether a schedule type runs on a day of the week
+     * @param {string} type - Schedule type
+     * @param {number} scheduleDay - Day of Specific Day schedules (0 = Sunday)
+     * @param {number} day - Day of the week to check (0 = Sunday)
+     * @returns {boolean} True if the schedule runs that day
+     */
+    function scheduleRunsOnDay(type, scheduleDay, day) {
+      switch (type) {
+        case 'Weekdays':
+          return day >= 1 && day <= 5;
+        case 'Weekend':
+          return day === 0 || day === 6;
+        case 'Specific Day':
+          return day === scheduleDay;
+        default:
+          return true;
+      }
+    }
+    
+    /**
+     * Show when a sunrise/sunset schedule time falls today and over the next week
+     * Times are resolved by the plugin server so they match what the schedule will use
+     */
+    window.updateSolarPreview = async function() {
+      const preview = document.getElementById('solarPreview');
+      const scheduleTime = document.getElementById('scheduleTime');
+      if (!preview || !scheduleTime) {
+        return;
+      }
+      
+      const time = scheduleTime.value.trim();
+      if (!/^(sunrise|sunset)/.test(time)) {
+        preview.classList.add('hidden');
+        preview.innerHTML = '';
+        return;
+      }
+      
+      preview.classList.remove('hidden');
+      const latitude = document.getElementById('latitude')?.value;
+      const longitude = document.getElementById('longitude')?.value;
+      if (!latitude || !longitude) {
+        preview.textContent = 'Enter your latitude and longitude above to use sunrise and sunset times.';
+        return;
+      }
+      
+      try {
+        const result = await homebridge.request('/schedule/solar-preview', {
+          time,
+          latitude: parseFloat(latitude),
+          longitude: parseFloat(longitude)
+        });
+        
+        // Ignore results for a time that was changed while waiting
+        if (scheduleTime.value.trim() !== time) {
+          return;
+        }
+        
+        const type = document.getElementById('scheduleType')?.value || 'Everyday';
+        const scheduleDay = parseInt(document.getElementById('scheduleDay')?.value || '0', 10);
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        
+        preview.innerHTML = '';
+        preview.appendChild(document.createTextNode('Resolved times:'));
+        const list = document.createElement('ul');
+        result.days.forEach((entry, index) => {
+          const item = document.createElement('li');
+          const label = index === 0 ? 'Today' : `${dayNames[entry.day]} ${entry.date.slice(5)}`;
+          item.textContent = `${label}: ${entry.time || 'no sunrise/sunset - skipped'}`;
+          if (!scheduleRunsOnDay(type, scheduleDay, entry.day)) {
+            item.className = 'not-scheduled';
+            item.title = 'The schedule does not run on this day';
+          }
+          list.appendChild(item);
+        });
+        preview.appendChild(list);
+      } catch (error) {
+        console.warn('Could not preview sun time:', error);
+        preview.textContent = error.message || 'Could not calculate the sun time';
+      }
+    };
+    
     /**
      * Reset the schedule form to default values
      */
@@ -136,8 +371,8 @@ if (warmHugCheckbox && warmHugCheckbox.checked) {
       const daySelectContainer = document.getElementById('daySelectContainer');
       const scheduleTime = document.getElementById('scheduleTime');
       const scheduleTemperature = document.getElementById('scheduleTemperature');
+      const scheduleAction = document.getElementById('scheduleAction');
       const unit = document.getElementById('unit');
-      const warmHugInfo = document.getElementById('warmHugInfo');
       
       if (scheduleType) {
         scheduleType.value = 'Everyday';
@@ -156,9 +391,13 @@ if (warmHugCheckbox && warmHugCheckbox.checked) {
         scheduleTemperature.value = currentUnit === 'C' ? '23' : '73';
       }
       
-      if (warmHugInfo) {
-        warmHugInfo.classList.add('hidden');
+      if (scheduleAction) {
+        scheduleAction.value = 'setTemperature';
       }
+      window.updateScheduleActionFields();
+      window.updateSolarPreview();
+      
+      renderDeviceSelector([]);
     }
     
     /**
@@ -186,7 +425,7 @@ if (warmHugCheckbox && warmHugCheckbox.checked) {
       const unit = document.getElementById('unit');
       const addScheduleBtn = document.getElementById('addSchedule');
       const cancelEditBtn = document.getElementById('cancelEdit');
-      const warmHugInfo = document.getElementById('warmHugInfo');
+      const scheduleAction = document.getElementById('scheduleAction');
       
       // Validate UI elements
       if (!scheduleType || !scheduleTime || !scheduleTemperature || !unit || 
@@ -214,18 +453,19 @@ if (warmHugCheckbox && warmHugCheckbox.checked) {
       
       // Set time
       scheduleTime.value = schedule.time || '00:00';
+      window.updateSolarPreview();
       
-  // Set warm hug checkbox
-  const warmHugCheckbox = document.getElementById('warmHugEnabled');
-  if (warmHugCheckbox) {
-    warmHugCheckbox.checked = schedule.isWarmHug === true;
-  }
-        // Show warm hug info if it's a warm hug schedule
-  if (warmHugInfo) {
-    warmHugInfo.classList.toggle('hidden', !schedule.isWarmHug);
-  }
-      // Convert temperature if needed
-      let displayTemp = schedule.temperature;
+      // Check the devices the schedule applies to
+      renderDeviceSelector(getScheduleDeviceIds(schedule));
+      
+      // Set action and show the fields it uses
+      if (scheduleAction) {
+        scheduleAction.value = getScheduleAction(schedule);
+      }
+      window.updateScheduleActionFields();
+      
+      // Convert temperature if needed; power schedules keep the form's default
+      let displayTemp = schedule.temperature !== undefined ? schedule.temperature : scheduleTemperature.value;
       const currentUnit = unit.value;
       
       if (schedule.unit && schedule.unit !== currentUnit) {
@@ -368,7 +608,7 @@ function getSleepPhaseOrder(time) {
 
 /**
  * Render the schedule list in the UI
- * Groups schedules by type and displays them in a user-friendly format
+ * Groups schedules by device, then by type, and displays them in a user-friendly format
  * Uses sleep cycle ordering instead of strict chronological ordering
  */
 window.renderScheduleList = function() {
@@ -395,13 +635,25 @@ window.renderScheduleList = function() {
     return;
   }
   
-  // Group schedules by type
-  const groupedSchedules = {};
+  // Group schedules by device, then by type
+  const deviceGroups = {};
   window.schedules.forEach((schedule, index) => {
-    if (!groupedSchedules[schedule.type]) {
-      groupedSchedules[schedule.type] = [];
+    const deviceGroup = getDeviceGroupName(getScheduleDeviceIds(schedule));
+    if (!deviceGroups[deviceGroup]) {
+      deviceGroups[deviceGroup] = {};
+    }
+    if (!deviceGroups[deviceGroup][schedule.type]) {
+      deviceGroups[deviceGroup][schedule.type] = [];
+    }
+    deviceGroups[deviceGroup][schedule.type].push({...schedule, originalIndex: index});
+  });
+  
+  // Schedules for all devices come first
+  const deviceGroupNames = Object.keys(deviceGroups).sort((a, b) => {
+    if (a === 'All devices' || b === 'All devices') {
+      return a === 'All devices' ? -1 : 1;
     }
-    groupedSchedules[schedule.type].push({...schedule, originalIndex: index});
+    return a.localeCompare(b);
   });
   
   // Define schedule phases for color coding
@@ -417,7 +669,17 @@ window.renderScheduleList = function() {
     const desc = (schedule.description || '').toLowerCase();
     const temp = schedule.temperature;
     const scheduleUnit = schedule.unit || unit.value;
-    const isWarmHug = schedule.isWarmHug === true;
+    const action = getScheduleAction(schedule);
+    const isWarmHug = action === 'warmHug';
+    
+    // Turning on or off is labelled by the action
+    if (action === 'powerOff') {
+      return { name: 'Turn Off', class: phases.WAKE_UP.class };
+    } else if (action === 'powerOn') {
+      return { name: 'Turn On', class: phases.COOL_DOWN.class };
+    } else if (action === 'coolDown') {
+      return phases.COOL_DOWN;
+    }
     
     // Convert to Celsius for comparison if needed
     let tempC = temp;
@@ -440,6 +702,18 @@ window.renderScheduleList = function() {
     }
   }
   
+  // Process each device group
+  deviceGroupNames.forEach(deviceGroup => {
+    const groupedSchedules = deviceGroups[deviceGroup];
+    
+    const deviceContainer = document.createElement('div');
+    deviceContainer.className = 'schedule-device-group';
+    
+    const deviceTitle = document.createElement('div');
+    deviceTitle.className = 'schedule-device-title';
+    deviceTitle.textContent = deviceGroup;
+    deviceContainer.appendChild(deviceTitle);
+    
   // Process each group of schedules
   Object.keys(groupedSchedules).forEach(type => {
     // Create group container
@@ -476,14 +750,7 @@ window.renderScheduleList = function() {
         scheduleItem.classList.add('template-schedule');
       }
       
-      if (schedule.isWarmHug) {
-        const phaseLabel = document.createElement('span');
-        phaseLabel.className = `schedule-phase ${phases.WAKE_UP.class}`;
-        phaseLabel.textContent = "Warm Hug Wake Up";
-        infoDiv.appendChild(phaseLabel);
-      }
-
-      // Get schedule phase
+      // Get schedule phase (Warm Hugs are always the wake-up phase)
       const phase = getSchedulePhase(schedule);
       
       // Build display info
@@ -509,8 +776,13 @@ window.renderScheduleList = function() {
         }
       }
       
-      // Add time and temperature
-      displayInfo += `${schedule.time || '00:00'}: ${displayTemp}°${currentUnit}`;
+      // Add time and temperature (or what the schedule does if it has none)
+      const action = getScheduleAction(schedule);
+      if (actionUsesTemperature(action)) {
+        displayInfo += `${schedule.time || '00:00'}: ${displayTemp}°${currentUnit}`;
+      } else {
+        displayInfo += `${schedule.time || '00:00'}: ${action === 'powerOff' ? 'Turn off' : 'Turn on'}`;
+      }
       
       // Create schedule item elements
       const infoDiv = document.createElement('div');
@@ -578,8 +850,11 @@ window.renderScheduleList = function() {
       groupContainer.appendChild(scheduleItem);
     });
     
-    // Add group to schedule list
-    scheduleList.appendChild(groupContainer);
+    // Add group to its device
+    deviceContainer.appendChild(groupContainer);
+  });
+    
+    scheduleList.appendChild(deviceContainer);
   });
 };
     
@@ -608,10 +883,15 @@ window.renderScheduleList = function() {
       
       let count = 0;
       
+      // Templates replace the schedules of the devices selected in the form
+      const deviceIds = getSelectedDeviceIds();
+      const deviceKey = [...deviceIds].sort().join(',');
+      const isSameDevices = s => [...getScheduleDeviceIds(s)].sort().join(',') === deviceKey;
+      
       // Apply weekday template if selected
       if (weekdayKey && window.templates[weekdayKey]) {
         // Remove existing weekday schedules
-        window.schedules = window.schedules.filter(s => s.type !== 'Weekdays');
+        window.schedules = window.schedules.filter(s => s.type !== 'Weekdays' || !isSameDevices(s));
         
         // Apply new schedules
         window.templates[weekdayKey].schedules.forEach(templateSchedule => {
@@ -638,6 +918,10 @@ window.renderScheduleList = function() {
             schedule.day = templateSchedule.day;
           }
           
+          if (deviceIds.length > 0) {
+            schedule.devices = deviceIds;
+          }
+          
           window.schedules.push(schedule);
           count++;
         });
@@ -646,7 +930,7 @@ window.renderScheduleList = function() {
       // Apply weekend template if selected
       if (weekendKey && window.templates[weekendKey]) {
         // Remove existing weekend schedules
-        window.schedules = window.schedules.filter(s => s.type !== 'Weekend');
+        window.schedules = window.schedules.filter(s => s.type !== 'Weekend' || !isSameDevices(s));
         
         // Apply new schedules
         window.templates[weekendKey].schedules.forEach(templateSchedule => {
@@ -673,6 +957,10 @@ window.renderScheduleList = function() {
             schedule.day = templateSchedule.day;
           }
           
+          if (deviceIds.length > 0) {
+            schedule.devices = deviceIds;
+          }
+          
           window.schedules.push(schedule);
           count++;
         });
@@ -898,6 +1186,7 @@ function updateTemplateDescription(type, templateKey) {
       // Get UI elements
       const incrementInput = document.getElementById('warmHugIncrement');
       const durationInput = document.getElementById('warmHugDuration');
+      const targetInput = document.getElementById('warmHugTarget');
       const unitSelect = document.getElementById('unit');
       
       if (!incrementInput || !durationInput || !unitSelect) {
@@ -941,6 +1230,17 @@ function updateTemplateDescription(type, templateKey) {
             if (config.advanced.warmHugDuration !== undefined) {
               durationInput.value = config.advanced.warmHugDuration;
             }
+            
+            // Target is stored in Celsius
+            if (targetInput) {
+              const targetC = config.advanced.warmHugTarget !== undefined ? config.advanced.warmHugTarget : 30;
+              targetInput.value = currentUnit === 'F' ? Math.round((targetC * 9/5 + 32) * 10) / 10 : targetC;
+            }
+            
+            const switchCheckbox = document.getElementById('enableWarmHug');
+            if (switchCheckbox) {
+              switchCheckbox.checked = config.advanced.enableWarmHug === true;
+            }
           } else {
             // Set defaults if not configured
             incrementInput.value = currentUnit === 'C' ? '2' : '3.6';
@@ -967,6 +1267,7 @@ function updateTemplateDescription(type, templateKey) {
       // Get UI elements
       const incrementInput = document.getElementById('warmHugIncrement');
       const durationInput = document.getElementById('warmHugDuration');
+      const targetInput = document.getElementById('warmHugTarget');
       const unitSelect = document.getElementById('unit');
       
       if (!incrementInput || !durationInput || !unitSelect) {
@@ -1000,6 +1301,18 @@ function updateTemplateDescription(type, templateKey) {
         return;
       }
       
+      // Target is entered in the display unit and stored in Celsius
+      const target = targetInput ? parseFloat(targetInput.value) : NaN;
+      const targetC = currentUnit === 'F' ? (target - 32) * 5/9 : target;
+      
+      if (targetInput && (isNaN(targetC) || targetC < 13 || targetC > 46)) {
+        NotificationManager.error(
+          currentUnit === 'F' ? 'Target must be between 55 and 115°F' : 'Target must be between 13 and 46°C',
+          'Validation Error'
+        );
+        return;
+      }
+      
       // Save to Homebridge config
       if (typeof homebridge !== 'undefined' && 
           typeof homebridge.getPluginConfig === 'function' && 
@@ -1040,6 +1353,13 @@ function updateTemplateDescription(type, templateKey) {
           // Update config
           config.advanced.warmHugIncrement = Math.round(storageIncrement * 10) / 10;
           config.advanced.warmHugDuration = duration;
+          if (targetInput) {
+            config.advanced.warmHugTarget = Math.round(targetC * 10) / 10;
+          }
+          const switchCheckbox = document.getElementById('enableWarmHug');
+          if (switchCheckbox) {
+            config.advanced.enableWarmHug = switchCheckbox.checked;
+          }
           
           // Update pluginConfig array
           pluginConfig[configIndex] = config;
@@ -1099,7 +1419,7 @@ window.validateScheduleTime = function() {
     return false;
   }
   
-  const timePattern = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+  const timePattern = /^(([01]?[0-9]|2[0-3]):[0-5][0-9]|(sunrise|sunset)([+-](0?[0-9]|1[01]):[0-5][0-9]|[+-]12:00)?)$/;
   const value = scheduleTimeInput.value.trim();
   
   if (!value) {
@@ -1111,7 +1431,7 @@ window.validateScheduleTime = function() {
   
   const isValid = timePattern.test(value);
   
-  timeError.textContent = isValid ? "" : "Please enter a valid 24-hour time (HH:MM)";
+  timeError.textContent = isValid ? "" : "Please enter a valid 24-hour time (HH:MM) or a time such as sunrise-0:20";
   timeError.classList.toggle('visible', !isValid);
   scheduleTimeInput.classList.toggle('invalid', !isValid);
   
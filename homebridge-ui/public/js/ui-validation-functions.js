@@ -31,7 +31,7 @@ function validateScheduleTime() {
   const timeError = document.getElementById('timeError');
   if (!timeError) return false;
   
-  const timePattern = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+  const timePattern = /^(([01]?[0-9]|2[0-3]):[0-5][0-9]|(sunrise|sunset)([+-](0?[0-9]|1[01]):[0-5][0-9]|[+-]12:00)?)$/;
   const value = scheduleTimeInput.value.trim();
   
   if (!value) {
@@ -44,7 +44,7 @@ function validateScheduleTime() {
   const isValid = timePattern.test(value);
   
   // Show/hide error message
-  timeError.textContent = isValid ? "" : "Please enter a valid 24-hour time (HH:MM)";
+  timeError.textContent = isValid ? "" : "Please enter a valid 24-hour time (HH:MM) or a time such as sunrise-0:20";
   timeError.classList.toggle('visible', !isValid);
   scheduleTimeInput.classList.toggle('invalid', !isValid);
   
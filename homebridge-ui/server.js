@@ -1,4 +1,9 @@
 const { HomebridgePluginUiServer, RequestError } = require('@homebridge/plugin-ui-utils');
+const fs = require('fs');
+const path = require('path');
+
+// Default SleepMe API base URL (mirrors API_BASE_URL in src/settings.ts)
+const DEFAULT_API_BASE_URL = 'https://api.developer.sleep.me/v1';
 
 /**
  * SleepMe UI Server
@@ -17,6 +22,8 @@ class SleepMeUiServer extends HomebridgePluginUiServer {
     // Register request handlers for server-side operations only
     // Config load/save is now handled client-side via homebridge.getPluginConfig() etc.
     this.onRequest('/device/test', this.testDeviceConnection.bind(this));
+    this.onRequest('/schedule/solar-preview', this.previewSolarTime.bind(this));
+    this.onRequest('/exceptions/import-ics', this.importIcsFile.bind(this));
 
     console.log('[SleepMeUI] Custom UI server ready');
     this.ready();
@@ -33,12 +40,26 @@ class SleepMeUiServer extends HomebridgePluginUiServer {
       throw new RequestError('API token is required', { status: 400 });
     }
 
+    // Allow testing against a custom base URL such as the local simulator
+    let apiBaseUrl = DEFAULT_API_BASE_URL;
+    if (payload.apiBaseUrl) {
+      try {
+        const parsedUrl = new URL(payload.apiBaseUrl);
+        if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+          throw new Error('unsupported protocol');
+        }
+        apiBaseUrl = parsedUrl.toString().replace(/\/+$/, '');
+      } catch {
+        throw new RequestError(`Invalid API base URL: ${payload.apiBaseUrl}`, { status: 400 });
+      }
+    }
+
     try {
       // Set up request timeout to prevent hanging
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 15000);
 
-      const response = await fetch('https://api.developer.sleep.me/v1/devices', {
+      const response = await fetch(`${apiBaseUrl}/devices`, {
         method: 'GET',
         headers: {
           'Authorization': `Bearer ${payload.apiToken}`,
@@ -82,6 +103,69 @@ class SleepMeUiServer extends HomebridgePluginUiServer {
       };
     }
   }
+
+  /**
+   * Resolve a sunrise/sunset schedule time for today and the next week
+   * Runs on the server so times use the plugin's own calculation and the
+   * Homebridge host's time zone
+   */
+  async previewSolarTime(payload) {
+    const latitude = Number(payload?.latitude);
+    const longitude = Number(payload?.longitude);
+    if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 ||
+        !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+      throw new RequestError('Valid latitude and longitude are required', { status: 400 });
+    }
+
+    const { parseSolarTime, resolveSolarTime } = await import('../dist/solar.js');
+    const solarTime = parseSolarTime(String(payload?.time || ''));
+    if (!solarTime) {
+      throw new RequestError(`Not a sunrise or sunset time: ${payload?.time}`, { status: 400 });
+    }
+
+    const pad = (value) => String(value).padStart(2, '0');
+    const days = [];
+    for (let offset = 0; offset <= 7; offset++) {
+      const date = new Date();
+      date.setDate(date.getDate() + offset);
+      const resolved = resolveSolarTime(date, solarTime, { latitude, longitude });
+      days.push({
+        date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+        day: date.getDay(),
+        // null when the sun doesn't rise or set that day
+        time: resolved ? `${pad(resolved.getHours())}:${pad(resolved.getMinutes())}` : null
+      });
+    }
+
+    return { days };
+  }
+
+  /**
+   * Read holiday or vacation dates from an iCalendar file on the Homebridge host
+   * Only .ics files are read; the events are returned for the UI to add as exceptions
+   */
+  async importIcsFile(payload) {
+    const filePath = String(payload?.path || '').trim();
+    if (!filePath) {
+      throw new RequestError('A path to an .ics file is required', { status: 400 });
+    }
+    if (path.extname(filePath).toLowerCase() !== '.ics') {
+      throw new RequestError('Only .ics calendar files can be imported', { status: 400 });
+    }
+
+    let content;
+    try {
+      content = await fs.promises.readFile(path.resolve(filePath), 'utf8');
+    } catch (error) {
+      throw new RequestError(`Could not read ${filePath}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`, { status: 400 });
+    }
+
+    const { parseIcsEvents } = await import('../dist/calendar.js');
+    const events = parseIcsEvents(content);
+    console.log(`[SleepMeUI] Read ${events.length} events from ${filePath}`);
+
+    return { events };
+  }
 }
 
 // Export the server instance
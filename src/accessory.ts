@@ -7,17 +7,94 @@
 import { Service, PlatformAccessory, CharacteristicValue } from 'homebridge';
 import { SleepMeSimplePlatform } from './platform.js';
 import { SleepMeApi } from './api/sleepme-api.js';
-import { ThermalStatus, PowerState } from './api/types.js';
+import { ThermalStatus, PowerState, DeviceStatus } from './api/types.js';
+import { toSetpoint } from './api/setpoint.js';
 import { 
   MIN_TEMPERATURE_C, 
   MAX_TEMPERATURE_C, 
   COMMAND_DEBOUNCE_DELAY_MS,
-  USER_ACTION_QUIET_PERIOD_MS,
   InterfaceMode,
   DEFAULT_INTERFACE_MODE,
-  POLLING_INTERVALS,
-  POLLING_CONTEXTS 
+  DEFAULT_SHOW_INDIVIDUAL_SCHEDULES,
+  DEFAULT_ENABLE_WARM_HUG,
+  DEFAULT_WARM_HUG_TARGET,
+  HEATER_COOLER_THRESHOLD_GAP_C,
+  DEFAULT_ENABLE_SLEEP_TIMER,
+  DEFAULT_SLEEP_TIMER_DURATION_S,
+  MAX_SLEEP_TIMER_DURATION_S,
+  PRESET_MATCH_TOLERANCE_C,
+  BedReadySensorType,
+  DEFAULT_BED_READY_TOLERANCE_C,
+  BED_READY_HYSTERESIS_C,
+  DeviceScheduleIndicator,
+  DEFAULT_DEVICE_SCHEDULE_INDICATOR,
+  DEFAULT_ENABLE_HISTORY,
+  STATUS_FAULT_FAILURE_THRESHOLD
 } from './settings.js';
+import { ScheduleAction, ScheduleManager, TemperatureSchedule } from './schedule.js';
+import { EveHistory, EveHistoryFormat } from './history.js';
+
+/**
+ * Switch service subtypes for schedule control
+ */
+const SCHEDULES_MASTER_SUBTYPE = 'schedules';
+const SCHEDULE_SUBTYPE_PREFIX = 'schedule-';
+
+/**
+ * Switch service subtype for on-demand Warm Hugs
+ */
+const WARM_HUG_SUBTYPE = 'warm-hug';
+
+/**
+ * Switch service subtype prefix for temperature presets
+ */
+const PRESET_SUBTYPE_PREFIX = 'preset-';
+
+/**
+ * Valve service subtype for the sleep timer
+ */
+const SLEEP_TIMER_SUBTYPE = 'sleep-timer';
+
+/**
+ * Sensor service subtype for the bed ready sensor
+ */
+const BED_READY_SUBTYPE = 'bed-ready';
+
+/**
+ * Service subtype for the indicator of the device's own schedule
+ */
+const DEVICE_SCHEDULE_SUBTYPE = 'device-schedule';
+
+/**
+ * Prefix of the persisted sleep timer documents (one per device)
+ */
+const SLEEP_TIMER_KEY_PREFIX = 'sleep-timer-';
+
+/**
+ * Heater/cooler settings, kept in the accessory context so they survive restarts
+ */
+interface HeaterCoolerSettings {
+  mode: number;               // TargetHeaterCoolerState (AUTO, HEAT or COOL)
+  heatingThreshold: number;   // °C
+  coolingThreshold: number;   // °C
+}
+
+/**
+ * Temperature preset from the advanced settings
+ */
+interface TemperaturePreset {
+  id: string;                 // Stable identifier derived from the name
+  name: string;               // Switch name (and Siri target)
+  temperature: number;        // Setpoint (°C)
+}
+
+/**
+ * Sleep timer state, persisted so a running timer survives restarts
+ */
+interface SleepTimerState {
+  durationSeconds: number;    // Duration used when the timer starts (SetDuration)
+  endsAt?: number;            // When the running timer turns the device off (ms)
+}
 
 /**
  * Creates a debounced function that limits how often a function can be called
@@ -74,9 +151,19 @@ export class SleepMeAccessory {
   
   // Interface services (depends on mode)
   private thermostatService?: Service;
+  private heaterCoolerService?: Service;
   private switchService?: Service;
   private temperatureSensorService?: Service;
   private waterLevelService?: Service;
+  private schedulesMasterService?: Service;
+  private scheduleServices: Map<string, Service> = new Map();
+  private warmHugService?: Service;
+  private sleepTimerService?: Service;
+  private presetServices: Map<string, Service> = new Map();
+  private bedReadyService?: Service;
+  private deviceScheduleService?: Service;
+  private presets: TemperaturePreset[] = [];
+  private history?: EveHistory;
   
   // Interface configuration
   private interfaceMode: InterfaceMode;
@@ -87,6 +174,15 @@ export class SleepMeAccessory {
   private isPowered = false;
   private waterLevel = 100;
   private isWaterLow = false;
+  private isConnected = true;
+  private thermalStatus = ThermalStatus.UNKNOWN;
+  private displayUnit: 'C' | 'F';
+  private isBedReady = false;
+  private isDeviceScheduleActive = false;
+  
+  // HomeKit health indicators (StatusActive / StatusFault)
+  private statusActive = true;
+  private statusFault = false;
   
   // Device properties
   private readonly deviceId: string;
@@ -94,10 +190,10 @@ export class SleepMeAccessory {
   private deviceModel = 'SleepMe Device';
   private firmwareVersion = 'Unknown';
   
-  // Update control
-  private statusUpdateTimer?: NodeJS.Timeout;
-  private lastStatusUpdate = 0;
-  private lastUserActionTime = 0;
+  // Subscriptions to the account's device state store
+  private unsubscribeStateChanges?: () => void;
+  private unsubscribePollResults?: () => void;
+  private unsubscribeWarmHugChanges?: () => void;
   
   // Pending command state to prevent status update conflicts
   private pendingPowerCommand?: {
@@ -110,10 +206,11 @@ export class SleepMeAccessory {
     timestamp: number;
     timeout?: NodeJS.Timeout;
   };
-  private lastScheduleActionTime = 0;
   private failedUpdateAttempts = 0;
-  private updateInProgress = false;
-  private currentPollingInterval = POLLING_INTERVALS.BASE;
+  
+  // Sleep timer
+  private sleepTimerState: SleepTimerState = { durationSeconds: DEFAULT_SLEEP_TIMER_DURATION_S };
+  private sleepTimerHandle?: NodeJS.Timeout;
   
   // Debounced handlers
   private debouncedTemperatureSet: (_temp: number) => void;
@@ -139,6 +236,9 @@ export class SleepMeAccessory {
     // Determine interface mode
     this.interfaceMode = this.platform.config.interfaceMode || DEFAULT_INTERFACE_MODE;
     
+    // The device's own display unit replaces this once its status is known
+    this.displayUnit = this.platform.temperatureUnit === 'F' ? 'F' : 'C';
+    
     // Create debounced handlers
     this.debouncedTemperatureSet = debounce(this.setTemperature.bind(this), COMMAND_DEBOUNCE_DELAY_MS);
     this.debouncedPowerSet = debounce(this.setPowerState.bind(this), COMMAND_DEBOUNCE_DELAY_MS);
@@ -147,11 +247,29 @@ export class SleepMeAccessory {
     this.informationService = this.setupInformationService();
     this.setupInterface();
     
-    // Initialize the device by fetching status after a short delay
-    setTimeout(() => this.refreshDeviceStatus(true), 2000);
+    // Show the last known state (restored from the previous run) until fresh data arrives
+    const cachedStatus = this.api.getCachedDeviceStatus(this.deviceId);
+    if (cachedStatus) {
+      this.platform.log.debug(`Applying last known status for ${this.displayName}`);
+      this.applyDeviceStatus(cachedStatus);
+    }
+    
+    // Receive status updates from the account-wide poll scheduler
+    this.subscribeToDeviceState();
+    
+    // Schedule switches are synced once schedules are applied; without
+    // schedules enabled, switches left over from earlier runs are removed
+    const scheduleManager = this.platform.getScheduleManager(this.deviceId);
+    if (!this.platform.config.enableSchedules || !scheduleManager || scheduleManager.hasSchedules(this.deviceId)) {
+      this.updateScheduleServices();
+    }
     
-    // Setup regular polling
-    this.setupStatusPolling();
+    this.setupWarmHugService();
+    this.setupSleepTimerService();
+    this.setupPresetServices();
+    this.setupBedReadyService();
+    this.setupDeviceScheduleService();
+    this.setupHistory();
     
     this.platform.log.info(`Initialized ${this.displayName} (ID: ${this.deviceId})`);
   }
@@ -191,6 +309,9 @@ export class SleepMeAccessory {
       case InterfaceMode.THERMOSTAT:
         this.setupThermostatInterface();
         break;
+      case InterfaceMode.HEATER_COOLER:
+        this.setupHeaterCoolerInterface();
+        break;
       case InterfaceMode.HYBRID:
       default:
         this.setupHybridInterface();
@@ -205,11 +326,16 @@ export class SleepMeAccessory {
     const servicesToRemove = [
       this.platform.Service.TemperatureSensor,
       this.platform.Service.Switch,
-      this.platform.Service.Thermostat
+      this.platform.Service.Thermostat,
+      this.platform.Service.HeaterCooler
     ];
     
     servicesToRemove.forEach(serviceType => {
-      const existingService = this.accessory.getService(serviceType);
+      // Schedule, Warm Hug, preset and device schedule switches are kept so HomeKit automations using them survive restarts
+      const existingService = this.accessory.services.find(service =>
+        service.UUID === serviceType.UUID && !this.isScheduleService(service) &&
+        service.subtype !== WARM_HUG_SUBTYPE && service.subtype !== DEVICE_SCHEDULE_SUBTYPE &&
+        !service.subtype?.startsWith(PRESET_SUBTYPE_PREFIX));
       if (existingService) {
         this.platform.log.info(`Removing existing ${serviceType.name} service`);
         this.accessory.removeService(existingService);
@@ -217,6 +343,686 @@ export class SleepMeAccessory {
     });
   }
   
+  /**
+   * Whether a service is one of the schedule switches
+   */
+  private isScheduleService(service: Service): boolean {
+    return service.UUID === this.platform.Service.Switch.UUID && !!service.subtype &&
+      (service.subtype === SCHEDULES_MASTER_SUBTYPE || service.subtype.startsWith(SCHEDULE_SUBTYPE_PREFIX));
+  }
+  
+  /**
+   * Sync the schedule switches with the device's schedules
+   * Adds a master "Schedules" switch and, unless disabled in the advanced
+   * settings, one switch per schedule; switches of removed schedules are deleted
+   */
+  public updateScheduleServices(): void {
+    const scheduleManager = this.platform.getScheduleManager(this.deviceId);
+    const schedules = scheduleManager ? scheduleManager.getSchedules(this.deviceId) : [];
+    const showIndividual = this.platform.config.advanced?.showIndividualSchedules ?? DEFAULT_SHOW_INDIVIDUAL_SCHEDULES;
+    
+    const wantedSubtypes = new Set<string>();
+    if (schedules.length > 0) {
+      wantedSubtypes.add(SCHEDULES_MASTER_SUBTYPE);
+      if (showIndividual) {
+        schedules.forEach(schedule => {
+          if (schedule.id) {
+            wantedSubtypes.add(`${SCHEDULE_SUBTYPE_PREFIX}${schedule.id}`);
+          }
+        });
+      }
+    }
+    
+    // Remove switches that no longer match a schedule
+    this.accessory.services
+      .filter(service => this.isScheduleService(service) && !wantedSubtypes.has(service.subtype ?? ''))
+      .forEach(service => {
+        this.platform.log.info(`Removing schedule switch ${service.displayName}`);
+        this.accessory.removeService(service);
+      });
+    this.scheduleServices.clear();
+    this.schedulesMasterService = undefined;
+    
+    if (!scheduleManager || schedules.length === 0) {
+      return;
+    }
+    
+    // Master switch for all schedules
+    this.schedulesMasterService = this.getOrAddScheduleSwitch(SCHEDULES_MASTER_SUBTYPE, `${this.displayName} Schedules`);
+    this.schedulesMasterService
+      .getCharacteristic(this.platform.Characteristic.On)
+      .onGet(() => scheduleManager.areSchedulesEnabled(this.deviceId))
+      .onSet(value => scheduleManager.setSchedulesEnabled(this.deviceId, value as boolean));
+    
+    if (!showIndividual) {
+      return;
+    }
+    
+    // One switch per schedule
+    for (const schedule of schedules) {
+      const scheduleId = schedule.id;
+      if (!scheduleId) {
+        continue;
+      }
+      const service = this.getOrAddScheduleSwitch(
+        `${SCHEDULE_SUBTYPE_PREFIX}${scheduleId}`,
+        this.getScheduleSwitchName(schedule)
+      );
+      
+      service
+        .getCharacteristic(this.platform.Characteristic.On)
+        .onGet(() => scheduleManager.isScheduleEnabled(this.deviceId, scheduleId))
+        .onSet(value => scheduleManager.setScheduleEnabled(this.deviceId, scheduleId, value as boolean));
+      
+      this.scheduleServices.set(scheduleId, service);
+    }
+    
+    this.platform.log.debug(`Schedule switches ready for ${this.displayName}: ${schedules.length} schedule(s)`);
+  }
+  
+  /**
+   * Get a schedule switch by subtype, creating it if needed
+   * @param subtype Service subtype
+   * @param name Display name
+   */
+  private getOrAddScheduleSwitch(subtype: string, name: string): Service {
+    const service = this.accessory.getServiceById(this.platform.Service.Switch, subtype) ||
+      this.accessory.addService(this.platform.Service.Switch, name, subtype);
+    
+    service.setCharacteristic(this.platform.Characteristic.Name, name);
+    return service;
+  }
+  
+  /**
+   * Build a HomeKit name for a schedule switch
+   * @param schedule Schedule
+   * @returns Name such as "Deep Sleep 01:00" or "Weekdays 06:30"
+   */
+  private getScheduleSwitchName(schedule: TemperatureSchedule): string {
+    const actionLabels: Partial<Record<ScheduleAction, string>> = {
+      [ScheduleAction.POWER_OFF]: 'Turn Off',
+      [ScheduleAction.POWER_ON]: 'Turn On',
+      [ScheduleAction.WARM_HUG]: 'Warm Hug',
+      [ScheduleAction.COOL_DOWN]: 'Cool Down'
+    };
+    const label = schedule.description || actionLabels[ScheduleManager.getScheduleAction(schedule)] || schedule.type;
+    return `${label} ${schedule.time}`;
+  }
+  
+  /**
+   * Set up the Warm Hug switch, or remove it when disabled in the advanced settings
+   * Turning the switch on ramps toward the configured target right away and
+   * turning it off cancels the ramp; it turns itself off when the ramp ends
+   */
+  private setupWarmHugService(): void {
+    const scheduleManager = this.platform.getScheduleManager(this.deviceId);
+    const enabled = this.platform.config.advanced?.enableWarmHug ?? DEFAULT_ENABLE_WARM_HUG;
+    const existingService = this.accessory.getServiceById(this.platform.Service.Switch, WARM_HUG_SUBTYPE);
+    
+    if (!enabled || !scheduleManager) {
+      if (existingService) {
+        this.platform.log.info(`Removing Warm Hug switch ${existingService.displayName}`);
+        this.accessory.removeService(existingService);
+      }
+      return;
+    }
+    
+    const name = `${this.displayName} Warm Hug`;
+    const target = validateTemperature(
+      Number(this.platform.config.advanced?.warmHugTarget),
+      DEFAULT_WARM_HUG_TARGET
+    );
+    
+    this.warmHugService = existingService ||
+      this.accessory.addService(this.platform.Service.Switch, name, WARM_HUG_SUBTYPE);
+    this.warmHugService.setCharacteristic(this.platform.Characteristic.Name, name);
+    
+    this.warmHugService
+      .getCharacteristic(this.platform.Characteristic.On)
+      .onGet(() => this.trackRead(scheduleManager.isWarmHugActive(this.deviceId)))
+      .onSet(value => {
+        if (value as boolean) {
+          this.api.deviceStates.markUserAction(this.deviceId);
+          scheduleManager.startWarmHugNow(this.deviceId, target);
+        } else {
+          scheduleManager.cancelWarmHug(this.deviceId);
+        }
+      });
+    
+    // Reflect ramps that complete, fail or are started by a schedule
+    this.unsubscribeWarmHugChanges = scheduleManager.onWarmHugChange((deviceId, active) => {
+      if (deviceId === this.deviceId) {
+        this.warmHugService?.updateCharacteristic(this.platform.Characteristic.On, active);
+      }
+    });
+  }
+  
+  /**
+   * Create one switch per configured temperature preset and remove switches
+   * of presets that are no longer configured
+   * The switches act as a group: only the preset matching the setpoint is on
+   */
+  private setupPresetServices(): void {
+    this.presets = this.getConfiguredPresets();
+    const wantedSubtypes = new Set(this.presets.map(preset => `${PRESET_SUBTYPE_PREFIX}${preset.id}`));
+    
+    this.accessory.services
+      .filter(service => service.UUID === this.platform.Service.Switch.UUID &&
+        service.subtype?.startsWith(PRESET_SUBTYPE_PREFIX) && !wantedSubtypes.has(service.subtype))
+      .forEach(service => {
+        this.platform.log.info(`Removing preset switch ${service.displayName}`);
+        this.accessory.removeService(service);
+      });
+    
+    for (const preset of this.presets) {
+      const subtype = `${PRESET_SUBTYPE_PREFIX}${preset.id}`;
+      const service = this.accessory.getServiceById(this.platform.Service.Switch, subtype) ||
+        this.accessory.addService(this.platform.Service.Switch, preset.name, subtype);
+      service.setCharacteristic(this.platform.Characteristic.Name, preset.name);
+      
+      service
+        .getCharacteristic(this.platform.Characteristic.On)
+        .onGet(() => this.trackRead(this.getActivePresetId() === preset.id))
+        .onSet(value => this.handlePresetSet(preset, value));
+      
+      this.presetServices.set(preset.id, service);
+    }
+    
+    if (this.presets.length > 0) {
+      this.platform.log.debug(`Preset switches ready for ${this.displayName}: ${this.presets.length} preset(s)`);
+    }
+  }
+  
+  /**
+   * Read the presets from the advanced settings
+   * Temperatures are given in the configured unit and converted to Celsius
+   */
+  private getConfiguredPresets(): TemperaturePreset[] {
+    const configured = this.platform.config.advanced?.presets;
+    if (!Array.isArray(configured)) {
+      return [];
+    }
+    
+    const presets: TemperaturePreset[] = [];
+    for (const entry of configured) {
+      const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+      const rawTemperature = Number(entry?.temperature);
+      if (!name || !Number.isFinite(rawTemperature)) {
+        this.platform.log.warn(`Ignoring preset without a name or temperature: ${JSON.stringify(entry)}`);
+        continue;
+      }
+      
+      const celsius = this.platform.temperatureUnit === 'F' ? (rawTemperature - 32) * 5 / 9 : rawTemperature;
+      const temperature = Math.round(validateTemperature(celsius) * 10) / 10;
+      if (Math.abs(temperature - celsius) >= 0.1) {
+        this.platform.log.warn(`Preset ${name} is outside the device range, using ${temperature}°C`);
+      }
+      
+      // IDs come from the name so switches (and automations) survive reordering
+      const baseId = name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+      let id = baseId;
+      for (let n = 2; presets.some(preset => preset.id === id); n++) {
+        id = `${baseId}-${n}`;
+      }
+      
+      presets.push({ id, name, temperature });
+    }
+    return presets;
+  }
+  
+  /**
+   * Get the preset matching the current setpoint (closest within tolerance)
+   * @returns Preset ID, or undefined when the device is off or no preset matches
+   */
+  private getActivePresetId(): string | undefined {
+    if (!this.isPowered || this.isDeviceScheduleActive) {
+      return undefined;
+    }
+    
+    let closest: TemperaturePreset | undefined;
+    for (const preset of this.presets) {
+      const difference = Math.abs(preset.temperature - this.targetTemperature);
+      if (difference < PRESET_MATCH_TOLERANCE_C &&
+          (!closest || difference < Math.abs(closest.temperature - this.targetTemperature))) {
+        closest = preset;
+      }
+    }
+    return closest?.id;
+  }
+  
+  /**
+   * Handle a preset switch being turned on or off from HomeKit
+   * On applies the preset; turning the active preset off turns the device off
+   */
+  private async handlePresetSet(preset: TemperaturePreset, value: CharacteristicValue): Promise<void> {
+    if (!(value as boolean)) {
+      if (this.getActivePresetId() === preset.id) {
+        await this.handlePowerToggle(false);
+      }
+      return;
+    }
+    
+    this.api.deviceStates.markUserAction(this.deviceId);
+    this.platform.log.info(`Preset ${preset.name}: ${preset.temperature}°C for ${this.deviceId}`);
+    
+    const originalTemp = this.targetTemperature;
+    const originalPowerState = this.isPowered;
+    
+    // Update state immediately so the other presets switch off
+    this.targetTemperature = preset.temperature;
+    this.isPowered = true;
+    this.updateAllServices();
+    
+    let success = false;
+    try {
+      success = originalPowerState
+        ? await this.api.setTemperature(this.deviceId, preset.temperature)
+        : await this.api.turnDeviceOn(this.deviceId, preset.temperature);
+    } catch (error) {
+      this.platform.log.error(`Failed to apply preset ${preset.name}: ${error}`);
+    }
+    
+    if (!success) {
+      this.platform.log.warn(`Failed to apply preset ${preset.name}, reverting to ${originalTemp}°C`);
+      this.targetTemperature = originalTemp;
+      this.isPowered = originalPowerState;
+      this.updateAllServices();
+      
+      setTimeout(() => {
+        this.api.deviceStates.refresh(this.deviceId).catch(error => {
+          this.platform.log.error(`Failed to refresh device status after preset failure: ${error}`);
+        });
+      }, 2000);
+    }
+  }
+  
+  /**
+   * Show the preset matching the setpoint as on and all others as off
+   */
+  private updatePresetServices(): void {
+    const activeId = this.getActivePresetId();
+    this.presetServices.forEach((service, id) => {
+      service.updateCharacteristic(this.platform.Characteristic.On, id === activeId);
+    });
+  }
+  
+  /**
+   * Set up the Eve history service when enabled in the advanced settings
+   * Thermostat interfaces log setpoint and power as well; the others only the water temperature
+   */
+  private setupHistory(): void {
+    if (!(this.platform.config.advanced?.enableHistory ?? DEFAULT_ENABLE_HISTORY)) {
+      EveHistory.removeService(this.accessory);
+      return;
+    }
+
+    const format = this.interfaceMode === InterfaceMode.THERMOSTAT || this.interfaceMode === InterfaceMode.HYBRID
+      ? EveHistoryFormat.THERMO
+      : EveHistoryFormat.WEATHER;
+
+    this.history = new EveHistory(
+      this.platform.homebridgeApi.hap,
+      this.accessory,
+      this.platform.stateStore,
+      this.platform.log,
+      this.deviceId,
+      format
+    );
+  }
+
+  /**
+   * Set up the bed ready sensor configured in the advanced settings
+   * Sensors of the other kind (or any, when disabled) are removed
+   */
+  private setupBedReadyService(): void {
+    const sensorType = this.platform.config.advanced?.bedReadySensor || BedReadySensorType.NONE;
+    const serviceType = sensorType === BedReadySensorType.OCCUPANCY
+      ? this.platform.Service.OccupancySensor
+      : sensorType === BedReadySensorType.CONTACT
+        ? this.platform.Service.ContactSensor
+        : undefined;
+    
+    [this.platform.Service.OccupancySensor, this.platform.Service.ContactSensor].forEach(type => {
+      const service = this.accessory.getServiceById(type, BED_READY_SUBTYPE);
+      if (service && type !== serviceType) {
+        this.platform.log.info(`Removing bed ready sensor ${service.displayName}`);
+        this.accessory.removeService(service);
+      }
+    });
+    
+    if (!serviceType) {
+      return;
+    }
+    
+    const name = `${this.displayName} Ready`;
+    this.bedReadyService = this.accessory.getServiceById(serviceType, BED_READY_SUBTYPE) ||
+      this.accessory.addService(serviceType, name, BED_READY_SUBTYPE);
+    this.bedReadyService.setCharacteristic(this.platform.Characteristic.Name, name);
+    
+    this.bedReadyService
+      .getCharacteristic(this.getBedReadyCharacteristic())
+      .onGet(() => this.trackRead(this.getBedReadyValue()));
+    this.setupStatusCharacteristics(this.bedReadyService);
+    
+    this.updateBedReadyService();
+  }
+  
+  /**
+   * Characteristic of the bed ready sensor that reports readiness
+   */
+  private getBedReadyCharacteristic() {
+    return this.platform.config.advanced?.bedReadySensor === BedReadySensorType.CONTACT
+      ? this.platform.Characteristic.ContactSensorState
+      : this.platform.Characteristic.OccupancyDetected;
+  }
+  
+  /**
+   * HomeKit value of the bed ready sensor
+   */
+  private getBedReadyValue(): number {
+    const { ContactSensorState, OccupancyDetected } = this.platform.Characteristic;
+    if (this.platform.config.advanced?.bedReadySensor === BedReadySensorType.CONTACT) {
+      return this.isBedReady ? ContactSensorState.CONTACT_DETECTED : ContactSensorState.CONTACT_NOT_DETECTED;
+    }
+    return this.isBedReady ? OccupancyDetected.OCCUPANCY_DETECTED : OccupancyDetected.OCCUPANCY_NOT_DETECTED;
+  }
+  
+  /**
+   * Re-evaluate whether the bed is ready and update the sensor
+   * Ready once the water is within the tolerance of the setpoint while on;
+   * no longer ready when off or more than the tolerance plus hysteresis away
+   */
+  private updateBedReadyService(): void {
+    if (!this.bedReadyService) {
+      return;
+    }
+    
+    const configuredTolerance = Number(this.platform.config.advanced?.bedReadyTolerance);
+    const tolerance = configuredTolerance > 0 ? configuredTolerance : DEFAULT_BED_READY_TOLERANCE_C;
+    const difference = Math.abs(this.currentTemperature - this.targetTemperature);
+    
+    // The device's own schedule doesn't report its setpoint, so readiness can't be judged
+    const ready = this.isPowered && !this.isDeviceScheduleActive && (this.isBedReady
+      ? difference <= tolerance + BED_READY_HYSTERESIS_C
+      : difference <= tolerance);
+    
+    if (ready !== this.isBedReady) {
+      this.isBedReady = ready;
+      this.platform.log.info(
+        ready
+          ? `${this.displayName} is ready: ${this.currentTemperature}°C (target ${this.targetTemperature}°C)`
+          : `${this.displayName} is no longer ready`
+      );
+    }
+    
+    this.bedReadyService.updateCharacteristic(this.getBedReadyCharacteristic(), this.getBedReadyValue());
+  }
+  
+  /**
+   * Set up the read-only indicator of the device following its SleepMe app schedule
+   * Shown as a contact sensor or a switch that can't be changed from HomeKit
+   */
+  private setupDeviceScheduleService(): void {
+    const indicator = this.platform.config.advanced?.deviceScheduleIndicator || DEFAULT_DEVICE_SCHEDULE_INDICATOR;
+    const serviceType = indicator === DeviceScheduleIndicator.CONTACT
+      ? this.platform.Service.ContactSensor
+      : indicator === DeviceScheduleIndicator.SWITCH
+        ? this.platform.Service.Switch
+        : undefined;
+    
+    [this.platform.Service.ContactSensor, this.platform.Service.Switch].forEach(type => {
+      const service = this.accessory.getServiceById(type, DEVICE_SCHEDULE_SUBTYPE);
+      if (service && type !== serviceType) {
+        this.platform.log.info(`Removing device schedule indicator ${service.displayName}`);
+        this.accessory.removeService(service);
+      }
+    });
+    
+    if (!serviceType) {
+      return;
+    }
+    
+    const name = `${this.displayName} Device Schedule`;
+    this.deviceScheduleService = this.accessory.getServiceById(serviceType, DEVICE_SCHEDULE_SUBTYPE) ||
+      this.accessory.addService(serviceType, name, DEVICE_SCHEDULE_SUBTYPE);
+    this.deviceScheduleService.setCharacteristic(this.platform.Characteristic.Name, name);
+    
+    const characteristic = this.deviceScheduleService.getCharacteristic(this.getDeviceScheduleCharacteristic());
+    if (serviceType === this.platform.Service.Switch) {
+      const { Perms } = this.platform.homebridgeApi.hap;
+      characteristic.setProps({ perms: [Perms.PAIRED_READ, Perms.NOTIFY] });
+    }
+    characteristic.onGet(() => this.trackRead(this.getDeviceScheduleValue()));
+    this.setupStatusCharacteristics(this.deviceScheduleService);
+    
+    this.updateDeviceScheduleService();
+  }
+  
+  /**
+   * Characteristic of the device schedule indicator that reports its state
+   */
+  private getDeviceScheduleCharacteristic() {
+    return this.platform.config.advanced?.deviceScheduleIndicator === DeviceScheduleIndicator.SWITCH
+      ? this.platform.Characteristic.On
+      : this.platform.Characteristic.ContactSensorState;
+  }
+  
+  /**
+   * HomeKit value of the device schedule indicator
+   */
+  private getDeviceScheduleValue(): CharacteristicValue {
+    if (this.platform.config.advanced?.deviceScheduleIndicator === DeviceScheduleIndicator.SWITCH) {
+      return this.isDeviceScheduleActive;
+    }
+    const { ContactSensorState } = this.platform.Characteristic;
+    return this.isDeviceScheduleActive ? ContactSensorState.CONTACT_DETECTED : ContactSensorState.CONTACT_NOT_DETECTED;
+  }
+  
+  /**
+   * Push the device schedule state to its indicator
+   */
+  private updateDeviceScheduleService(): void {
+    this.deviceScheduleService?.updateCharacteristic(this.getDeviceScheduleCharacteristic(), this.getDeviceScheduleValue());
+  }
+  
+  /**
+   * Set up the sleep timer when enabled in the advanced settings, or remove it
+   * Shown as a valve: activating it turns the device on and starts a countdown
+   * of SetDuration seconds, after which the device is turned off
+   */
+  private setupSleepTimerService(): void {
+    const Characteristic = this.platform.Characteristic;
+    const enabled = this.platform.config.advanced?.enableSleepTimer ?? DEFAULT_ENABLE_SLEEP_TIMER;
+    const existingService = this.accessory.getServiceById(this.platform.Service.Valve, SLEEP_TIMER_SUBTYPE);
+    const saved = this.platform.stateStore.read<SleepTimerState>(`${SLEEP_TIMER_KEY_PREFIX}${this.deviceId}`);
+    
+    if (!enabled) {
+      if (existingService) {
+        this.platform.log.info(`Removing sleep timer ${existingService.displayName}`);
+        this.accessory.removeService(existingService);
+      }
+      // Don't let a timer from before it was disabled turn the device off later
+      if (saved?.endsAt !== undefined) {
+        this.platform.stateStore.write(`${SLEEP_TIMER_KEY_PREFIX}${this.deviceId}`, { durationSeconds: saved.durationSeconds });
+      }
+      return;
+    }
+    
+    if (saved) {
+      this.sleepTimerState = {
+        durationSeconds: Math.min(MAX_SLEEP_TIMER_DURATION_S, saved.durationSeconds || DEFAULT_SLEEP_TIMER_DURATION_S),
+        endsAt: saved.endsAt
+      };
+    }
+    
+    const name = `${this.displayName} Sleep Timer`;
+    this.sleepTimerService = existingService ||
+      this.accessory.addService(this.platform.Service.Valve, name, SLEEP_TIMER_SUBTYPE);
+    this.sleepTimerService.setCharacteristic(Characteristic.Name, name);
+    this.sleepTimerService.setCharacteristic(Characteristic.ValveType, Characteristic.ValveType.GENERIC_VALVE);
+    
+    this.sleepTimerService
+      .getCharacteristic(Characteristic.Active)
+      .onGet(() => this.isSleepTimerRunning() ? Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE)
+      .onSet(value => {
+        if (value === Characteristic.Active.ACTIVE) {
+          this.startSleepTimer();
+        } else {
+          this.cancelSleepTimer('cancelled in HomeKit');
+        }
+      });
+    
+    this.sleepTimerService
+      .getCharacteristic(Characteristic.InUse)
+      .onGet(() => this.isSleepTimerRunning() ? Characteristic.InUse.IN_USE : Characteristic.InUse.NOT_IN_USE);
+    
+    this.sleepTimerService
+      .getCharacteristic(Characteristic.SetDuration)
+      .setProps({ maxValue: MAX_SLEEP_TIMER_DURATION_S })
+      .onGet(() => this.sleepTimerState.durationSeconds)
+      .onSet(value => {
+        // Applies the next time the timer starts
+        this.sleepTimerState.durationSeconds = value as number;
+        this.saveSleepTimerState();
+      });
+    
+    this.sleepTimerService
+      .getCharacteristic(Characteristic.RemainingDuration)
+      .setProps({ maxValue: MAX_SLEEP_TIMER_DURATION_S })
+      .onGet(() => this.getSleepTimerRemainingSeconds());
+    
+    // Resume a timer that was running before the restart
+    if (this.sleepTimerState.endsAt !== undefined) {
+      if (this.sleepTimerState.endsAt <= Date.now()) {
+        this.platform.log.info(`Sleep timer for ${this.displayName} ran out during the restart`);
+        this.expireSleepTimer();
+      } else {
+        this.platform.log.info(
+          `Resuming sleep timer for ${this.displayName}: ${Math.ceil(this.getSleepTimerRemainingSeconds() / 60)} minute(s) left`
+        );
+        this.armSleepTimer();
+      }
+    }
+    this.updateSleepTimerService();
+  }
+  
+  /**
+   * Whether the sleep timer is counting down
+   */
+  private isSleepTimerRunning(): boolean {
+    return this.sleepTimerState.endsAt !== undefined;
+  }
+  
+  /**
+   * Seconds until the running sleep timer turns the device off (0 when not running)
+   */
+  private getSleepTimerRemainingSeconds(): number {
+    if (this.sleepTimerState.endsAt === undefined) {
+      return 0;
+    }
+    return Math.max(0, Math.ceil((this.sleepTimerState.endsAt - Date.now()) / 1000));
+  }
+  
+  /**
+   * Start the sleep timer, turning the device on if it's off
+   */
+  private startSleepTimer(): void {
+    const { durationSeconds } = this.sleepTimerState;
+    this.sleepTimerState.endsAt = Date.now() + durationSeconds * 1000;
+    this.saveSleepTimerState();
+    this.armSleepTimer();
+    this.updateSleepTimerService();
+    
+    this.platform.log.info(`Sleep timer started for ${this.displayName}: off in ${Math.round(durationSeconds / 60)} minute(s)`);
+    
+    if (!this.isPowered) {
+      this.handlePowerToggle(true);
+    }
+  }
+  
+  /**
+   * Stop the sleep timer without changing the device's power
+   * @param reason Reason for the log
+   */
+  private cancelSleepTimer(reason: string): void {
+    if (!this.isSleepTimerRunning()) {
+      return;
+    }
+    
+    this.platform.log.info(`Sleep timer for ${this.displayName} stopped: ${reason}`);
+    this.clearSleepTimer();
+  }
+  
+  /**
+   * Turn the device off when the sleep timer runs out
+   */
+  private expireSleepTimer(): void {
+    this.platform.log.info(`Sleep timer for ${this.displayName} ran out, turning the device off`);
+    this.clearSleepTimer();
+    
+    // setPowerState queues turnDeviceOff at critical priority; HomeKit follows
+    // through the device state store once the command went through
+    this.api.deviceStates.markUserAction(this.deviceId);
+    this.setPowerState(false).catch(error => {
+      this.platform.log.error(`Failed to turn off ${this.displayName} after sleep timer: ${error}`);
+    });
+  }
+  
+  /**
+   * Schedule the expiry of the running sleep timer
+   */
+  private armSleepTimer(): void {
+    if (this.sleepTimerHandle) {
+      clearTimeout(this.sleepTimerHandle);
+    }
+    this.sleepTimerHandle = setTimeout(() => {
+      this.sleepTimerHandle = undefined;
+      this.expireSleepTimer();
+    }, this.getSleepTimerRemainingSeconds() * 1000);
+  }
+  
+  /**
+   * Reset the sleep timer to not running and persist that
+   */
+  private clearSleepTimer(): void {
+    if (this.sleepTimerHandle) {
+      clearTimeout(this.sleepTimerHandle);
+      this.sleepTimerHandle = undefined;
+    }
+    this.sleepTimerState.endsAt = undefined;
+    this.saveSleepTimerState();
+    this.updateSleepTimerService();
+  }
+  
+  /**
+   * Save the sleep timer state
+   */
+  private saveSleepTimerState(): void {
+    this.platform.stateStore.write(`${SLEEP_TIMER_KEY_PREFIX}${this.deviceId}`, this.sleepTimerState);
+  }
+  
+  /**
+   * Push the sleep timer state to HomeKit
+   */
+  private updateSleepTimerService(): void {
+    if (!this.sleepTimerService) {
+      return;
+    }
+    
+    const Characteristic = this.platform.Characteristic;
+    const running = this.isSleepTimerRunning();
+    this.sleepTimerService.updateCharacteristic(
+      Characteristic.Active,
+      running ? Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE
+    );
+    this.sleepTimerService.updateCharacteristic(
+      Characteristic.InUse,
+      running ? Characteristic.InUse.IN_USE : Characteristic.InUse.NOT_IN_USE
+    );
+    this.sleepTimerService.updateCharacteristic(Characteristic.SetDuration, this.sleepTimerState.durationSeconds);
+    this.sleepTimerService.updateCharacteristic(Characteristic.RemainingDuration, this.getSleepTimerRemainingSeconds());
+  }
+  
   /**
    * Setup simple switch interface
    */
@@ -226,8 +1032,9 @@ export class SleepMeAccessory {
     
     this.switchService
       .getCharacteristic(this.platform.Characteristic.On)
-      .onGet(() => this.isPowered)
+      .onGet(() => this.trackRead(this.isPowered))
       .onSet(this.handlePowerToggle.bind(this));
+    this.setupStatusCharacteristics(this.switchService);
     
     // Temperature sensor for monitoring
     this.temperatureSensorService = this.accessory.addService(
@@ -242,7 +1049,8 @@ export class SleepMeAccessory {
         maxValue: MAX_TEMPERATURE_C + 5,
         minStep: 0.1
       })
-      .onGet(() => this.currentTemperature);
+      .onGet(() => this.trackRead(this.currentTemperature));
+    this.setupStatusCharacteristics(this.temperatureSensorService);
   }
   
   /**
@@ -254,8 +1062,9 @@ export class SleepMeAccessory {
     
     this.switchService
       .getCharacteristic(this.platform.Characteristic.On)
-      .onGet(() => this.isPowered)
+      .onGet(() => this.trackRead(this.isPowered))
       .onSet(this.handlePowerToggle.bind(this));
+    this.setupStatusCharacteristics(this.switchService);
     
     // 2. Temperature sensor for monitoring current temperature
     this.temperatureSensorService = this.accessory.addService(
@@ -270,7 +1079,8 @@ export class SleepMeAccessory {
         maxValue: MAX_TEMPERATURE_C + 5,
         minStep: 0.1
       })
-      .onGet(() => this.currentTemperature);
+      .onGet(() => this.trackRead(this.currentTemperature));
+    this.setupStatusCharacteristics(this.temperatureSensorService);
     
     // 3. Thermostat for temperature control
     this.setupThermostatInterface();
@@ -286,59 +1096,264 @@ export class SleepMeAccessory {
     // Configure basic characteristics
     this.thermostatService.setCharacteristic(this.platform.Characteristic.Name, this.displayName);
     
-    // Set up current temperature
-    this.thermostatService
-      .getCharacteristic(this.platform.Characteristic.CurrentTemperature)
+    // Set up current temperature
+    this.thermostatService
+      .getCharacteristic(this.platform.Characteristic.CurrentTemperature)
+      .setProps({
+        minValue: MIN_TEMPERATURE_C - 5,
+        maxValue: MAX_TEMPERATURE_C + 5,
+        minStep: 0.1
+      })
+      .onGet(() => this.trackRead(this.currentTemperature));
+    
+    // Set up target temperature
+    this.thermostatService
+      .getCharacteristic(this.platform.Characteristic.TargetTemperature)
+      .setProps({
+        minValue: MIN_TEMPERATURE_C,
+        maxValue: MAX_TEMPERATURE_C,
+        // Whole °F setpoints need a finer step to survive HomeKit's rounding
+        minStep: this.platform.temperatureUnit === 'F' ? 0.1 : 0.5
+      })
+      .onGet(() => this.trackRead(this.targetTemperature))
+      .onSet(this.handleTargetTemperatureSet.bind(this));
+    
+    // Current heating/cooling state
+    this.thermostatService
+      .getCharacteristic(this.platform.Characteristic.CurrentHeatingCoolingState)
+      .onGet(() => this.trackRead(this.getCurrentHeatingCoolingState()));
+    
+    // Target heating/cooling state - IMPORTANT: ONLY OFF AND AUTO options
+    const targetStateChar = this.thermostatService
+      .getCharacteristic(this.platform.Characteristic.TargetHeatingCoolingState);
+    
+    // This is the key change - limit valid values to just OFF and AUTO
+    targetStateChar.setProps({
+      validValues: [
+        this.platform.Characteristic.TargetHeatingCoolingState.OFF,
+        this.platform.Characteristic.TargetHeatingCoolingState.AUTO
+      ]
+    });
+    
+    targetStateChar
+      .onGet(() => this.trackRead(this.getTargetHeatingCoolingState()))
+      .onSet(this.handleTargetHeatingCoolingStateSet.bind(this));
+    
+    this.setupDisplayUnitsCharacteristic(this.thermostatService);
+    
+    this.setupStatusCharacteristics(this.thermostatService);
+  }
+  
+  /**
+   * Setup heater/cooler interface
+   * Active maps to power; the device's single setpoint is derived from the
+   * thresholds: their midpoint in AUTO, the heating threshold in HEAT and
+   * the cooling threshold in COOL
+   */
+  private setupHeaterCoolerInterface(): void {
+    const Characteristic = this.platform.Characteristic;
+    
+    this.heaterCoolerService = this.accessory.addService(this.platform.Service.HeaterCooler, this.displayName);
+    this.heaterCoolerService.setCharacteristic(Characteristic.Name, this.displayName);
+    
+    // Power
+    this.heaterCoolerService
+      .getCharacteristic(Characteristic.Active)
+      .onGet(() => this.trackRead(this.isPowered ? Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE))
+      .onSet(value => this.handlePowerToggle(value === Characteristic.Active.ACTIVE));
+    
+    this.heaterCoolerService
+      .getCharacteristic(Characteristic.CurrentTemperature)
       .setProps({
         minValue: MIN_TEMPERATURE_C - 5,
         maxValue: MAX_TEMPERATURE_C + 5,
         minStep: 0.1
       })
-      .onGet(() => this.currentTemperature);
+      .onGet(() => this.trackRead(this.currentTemperature));
     
-    // Set up target temperature
-    this.thermostatService
-      .getCharacteristic(this.platform.Characteristic.TargetTemperature)
+    this.heaterCoolerService
+      .getCharacteristic(Characteristic.CurrentHeaterCoolerState)
+      .onGet(() => this.trackRead(this.getCurrentHeaterCoolerState()));
+    
+    this.heaterCoolerService
+      .getCharacteristic(Characteristic.TargetHeaterCoolerState)
+      .setProps({
+        validValues: [
+          Characteristic.TargetHeaterCoolerState.AUTO,
+          Characteristic.TargetHeaterCoolerState.HEAT,
+          Characteristic.TargetHeaterCoolerState.COOL
+        ]
+      })
+      .onGet(() => this.trackRead(this.getHeaterCoolerSettings().mode))
+      .onSet(this.handleTargetHeaterCoolerStateSet.bind(this));
+    
+    // Thresholds use the device's range instead of HomeKit's defaults
+    this.heaterCoolerService
+      .getCharacteristic(Characteristic.HeatingThresholdTemperature)
       .setProps({
         minValue: MIN_TEMPERATURE_C,
         maxValue: MAX_TEMPERATURE_C,
-        minStep: 0.5
+        minStep: this.platform.temperatureUnit === 'F' ? 0.1 : 0.5
       })
-      .onGet(() => this.targetTemperature)
-      .onSet(this.handleTargetTemperatureSet.bind(this));
+      .onGet(() => this.trackRead(this.getHeaterCoolerSettings().heatingThreshold))
+      .onSet(value => this.handleThresholdSet('heating', value));
     
-    // Current heating/cooling state
-    this.thermostatService
-      .getCharacteristic(this.platform.Characteristic.CurrentHeatingCoolingState)
-      .onGet(() => this.getCurrentHeatingCoolingState());
+    this.heaterCoolerService
+      .getCharacteristic(Characteristic.CoolingThresholdTemperature)
+      .setProps({
+        minValue: MIN_TEMPERATURE_C,
+        maxValue: MAX_TEMPERATURE_C,
+        minStep: this.platform.temperatureUnit === 'F' ? 0.1 : 0.5
+      })
+      .onGet(() => this.trackRead(this.getHeaterCoolerSettings().coolingThreshold))
+      .onSet(value => this.handleThresholdSet('cooling', value));
     
-    // Target heating/cooling state - IMPORTANT: ONLY OFF AND AUTO options
-    const targetStateChar = this.thermostatService
-      .getCharacteristic(this.platform.Characteristic.TargetHeatingCoolingState);
+    this.setupDisplayUnitsCharacteristic(this.heaterCoolerService);
     
-    // This is the key change - limit valid values to just OFF and AUTO
-    targetStateChar.setProps({
-      validValues: [
-        this.platform.Characteristic.TargetHeatingCoolingState.OFF,
-        this.platform.Characteristic.TargetHeatingCoolingState.AUTO
-      ]
+    this.setupStatusCharacteristics(this.heaterCoolerService);
+  }
+  
+  /**
+   * Set up TemperatureDisplayUnits to follow the device's display unit
+   * Changing it in HomeKit changes the unit shown on the device
+   * @param service Thermostat or heater cooler service
+   */
+  private setupDisplayUnitsCharacteristic(service: Service): void {
+    service
+      .getCharacteristic(this.platform.Characteristic.TemperatureDisplayUnits)
+      .updateValue(this.getDisplayUnitsValue())
+      .onGet(() => this.getDisplayUnitsValue())
+      .onSet(this.handleDisplayUnitsSet.bind(this));
+  }
+  
+  /**
+   * Get the display unit as a TemperatureDisplayUnits value
+   */
+  private getDisplayUnitsValue(): number {
+    return this.displayUnit === 'F'
+      ? this.platform.Characteristic.TemperatureDisplayUnits.FAHRENHEIT
+      : this.platform.Characteristic.TemperatureDisplayUnits.CELSIUS;
+  }
+  
+  /**
+   * Handle a display unit change from HomeKit
+   * @param value New TemperatureDisplayUnits value
+   */
+  private async handleDisplayUnitsSet(value: CharacteristicValue): Promise<void> {
+    const unit = value === this.platform.Characteristic.TemperatureDisplayUnits.FAHRENHEIT ? 'F' : 'C';
+    if (unit === this.displayUnit) {
+      return;
+    }
+    
+    const previousUnit = this.displayUnit;
+    this.displayUnit = unit;
+    
+    const success = await this.api.setDisplayUnit(this.deviceId, unit);
+    if (!success) {
+      this.platform.log.error(`Failed to change display unit of ${this.displayName} to °${unit}`);
+      this.displayUnit = previousUnit;
+      this.updateDisplayUnits();
+    }
+  }
+  
+  /**
+   * Push the display unit to the services that show it
+   */
+  private updateDisplayUnits(): void {
+    const value = this.getDisplayUnitsValue();
+    [this.thermostatService, this.heaterCoolerService].forEach(service => {
+      service?.updateCharacteristic(this.platform.Characteristic.TemperatureDisplayUnits, value);
     });
+  }
+  
+  /**
+   * Record a HomeKit read so polling leaves deep idle
+   * @param value Value returned to HomeKit
+   * @returns The same value
+   */
+  private trackRead<T>(value: T): T {
+    this.api.deviceStates.markInteraction(this.deviceId);
+    return value;
+  }
+  
+  /**
+   * Add StatusActive and StatusFault to a service
+   * Lets the Home app flag the device when it is offline or unreachable
+   */
+  private setupStatusCharacteristics(service: Service): void {
+    const { StatusActive, StatusFault } = this.platform.Characteristic;
     
-    targetStateChar
-      .onGet(() => this.getTargetHeatingCoolingState())
-      .onSet(this.handleTargetHeatingCoolingStateSet.bind(this));
+    // Switch and Thermostat don't list these as optional characteristics
+    if (!service.testCharacteristic(StatusActive)) {
+      service.addOptionalCharacteristic(StatusActive);
+    }
+    if (!service.testCharacteristic(StatusFault)) {
+      service.addOptionalCharacteristic(StatusFault);
+    }
     
-    // Set display units (Celsius)
-    this.thermostatService
-      .getCharacteristic(this.platform.Characteristic.TemperatureDisplayUnits)
-      .setValue(this.platform.Characteristic.TemperatureDisplayUnits.CELSIUS);
+    service
+      .getCharacteristic(StatusActive)
+      .onGet(() => this.statusActive);
+    
+    service
+      .getCharacteristic(StatusFault)
+      .onGet(() => this.statusFault ? StatusFault.GENERAL_FAULT : StatusFault.NO_FAULT);
+  }
+  
+  /**
+   * Update StatusActive and StatusFault from device connectivity and API health
+   * - Device offline, rejected token or repeated failed updates: inactive and faulty
+   * - Rate limit backoff: faulty (values may be stale) but still active
+   */
+  private updateStatusIndicators(): void {
+    const health = this.api.getHealth();
+    const repeatedFailures = this.failedUpdateAttempts >= STATUS_FAULT_FAILURE_THRESHOLD;
+    
+    const active = this.isConnected && !health.authFailed && !repeatedFailures;
+    const fault = !active || health.rateLimited;
+    
+    if (active === this.statusActive && fault === this.statusFault) {
+      return;
+    }
+    
+    if (!active) {
+      const reason = !this.isConnected
+        ? 'device is offline'
+        : health.authFailed
+          ? 'API token was rejected'
+          : `${this.failedUpdateAttempts} consecutive status updates failed`;
+      this.platform.log.warn(`${this.displayName} reported as not responding: ${reason}`);
+    } else if (fault) {
+      this.platform.log.debug(`${this.displayName} reported as faulty: API rate limit backoff active`);
+    } else {
+      this.platform.log.info(`${this.displayName} is responding again`);
+    }
+    
+    this.statusActive = active;
+    this.statusFault = fault;
+    
+    const { StatusActive, StatusFault } = this.platform.Characteristic;
+    const faultValue = fault ? StatusFault.GENERAL_FAULT : StatusFault.NO_FAULT;
+    [
+      this.switchService,
+      this.thermostatService,
+      this.heaterCoolerService,
+      this.temperatureSensorService,
+      this.bedReadyService,
+      this.deviceScheduleService
+    ].forEach(service => {
+      if (service) {
+        service.updateCharacteristic(StatusActive, active);
+        service.updateCharacteristic(StatusFault, faultValue);
+      }
+    });
   }
   
   /**
    * Handle target temperature changes from HomeKit
    */
   private async handleTargetTemperatureSet(value: CharacteristicValue): Promise<void> {
-    const newTemp = value as number;
+    const newTemp = this.snapSetpoint(value as number);
     
     // Skip if no real change
     if (Math.abs(this.targetTemperature - newTemp) < 0.5) {
@@ -347,7 +1362,7 @@ export class SleepMeAccessory {
     
     // Update state immediately for responsiveness
     this.targetTemperature = newTemp;
-    this.lastUserActionTime = Date.now();
+    this.api.deviceStates.markUserAction(this.deviceId);
     
     this.platform.log.info(`Target temp: ${newTemp}°C for ${this.deviceId}`);
     
@@ -361,6 +1376,16 @@ export class SleepMeAccessory {
     this.debouncedTemperatureSet(newTemp);
   }
   
+  /**
+   * Snap a setpoint to the device's whole °F grid on Fahrenheit installs
+   * so HomeKit shows the value the device will actually hold
+   * @param temperature Setpoint in Celsius
+   * @returns Setpoint HomeKit should show
+   */
+  private snapSetpoint(temperature: number): number {
+    return this.platform.temperatureUnit === 'F' ? toSetpoint(temperature, 'F').celsius : temperature;
+  }
+  
   /**
    * Actually set temperature on the device (called by debounced handler)
    */
@@ -395,7 +1420,7 @@ export class SleepMeAccessory {
       // If any API call failed, force refresh device status to get real state
       if (!success) {
         setTimeout(() => {
-          this.refreshDeviceStatus(true).catch(error => {
+          this.api.deviceStates.refresh(this.deviceId).catch(error => {
             this.platform.log.error(`Failed to refresh device status after temperature API failure: ${error}`);
           });
         }, 2000);
@@ -411,7 +1436,7 @@ export class SleepMeAccessory {
       
       // Force refresh device status to get the real state
       setTimeout(() => {
-        this.refreshDeviceStatus(true).catch(refreshError => {
+        this.api.deviceStates.refresh(this.deviceId).catch(refreshError => {
           this.platform.log.error(`Failed to refresh device status after temperature exception: ${refreshError}`);
         });
       }, 2000);
@@ -430,7 +1455,7 @@ export class SleepMeAccessory {
       return;
     }
     
-    this.lastUserActionTime = Date.now();
+    this.api.deviceStates.markUserAction(this.deviceId);
     this.platform.log.info(`Power state: ${shouldPowerOn ? 'ON' : 'OFF'} for ${this.deviceId}`);
     
     // Update state immediately
@@ -447,6 +1472,12 @@ export class SleepMeAccessory {
   private async setPowerState(on: boolean): Promise<void> {
     const originalState = this.isPowered;
     
+    // Turning the device off ends a running Warm Hug and sleep timer
+    if (!on) {
+      this.platform.getScheduleManager(this.deviceId)?.cancelWarmHug(this.deviceId);
+      this.cancelSleepTimer('device turned off');
+    }
+    
     try {
       let success = false;
       if (on) {
@@ -466,7 +1497,7 @@ export class SleepMeAccessory {
         
         // Force refresh device status to get the real state
         setTimeout(() => {
-          this.refreshDeviceStatus(true).catch(error => {
+          this.api.deviceStates.refresh(this.deviceId).catch(error => {
             this.platform.log.error(`Failed to refresh device status after API failure: ${error}`);
           });
         }, 2000);
@@ -486,7 +1517,7 @@ export class SleepMeAccessory {
       
       // Force refresh device status to get the real state
       setTimeout(() => {
-        this.refreshDeviceStatus(true).catch(refreshError => {
+        this.api.deviceStates.refresh(this.deviceId).catch(refreshError => {
           this.platform.log.error(`Failed to refresh device status after exception: ${refreshError}`);
         });
       }, 2000);
@@ -513,6 +1544,146 @@ export class SleepMeAccessory {
     }
   }
   
+  /**
+   * Get the heater/cooler settings from the accessory context
+   * Initialized around the current setpoint on first use
+   */
+  private getHeaterCoolerSettings(): HeaterCoolerSettings {
+    if (!this.accessory.context.heaterCooler) {
+      const settings: HeaterCoolerSettings = {
+        mode: this.platform.Characteristic.TargetHeaterCoolerState.AUTO,
+        heatingThreshold: this.targetTemperature,
+        coolingThreshold: this.targetTemperature + HEATER_COOLER_THRESHOLD_GAP_C
+      };
+      this.accessory.context.heaterCooler = settings;
+      this.centerThresholds(settings, this.targetTemperature);
+    }
+    return this.accessory.context.heaterCooler as HeaterCoolerSettings;
+  }
+  
+  /**
+   * Get the device setpoint implied by the heater/cooler mode and thresholds
+   */
+  private getHeaterCoolerSetpoint(): number {
+    const { TargetHeaterCoolerState } = this.platform.Characteristic;
+    const settings = this.getHeaterCoolerSettings();
+    
+    switch (settings.mode) {
+      case TargetHeaterCoolerState.HEAT:
+        return settings.heatingThreshold;
+      case TargetHeaterCoolerState.COOL:
+        return settings.coolingThreshold;
+      default:
+        // Midpoint, rounded to the 0.5° step of the thresholds
+        return Math.round(settings.heatingThreshold + settings.coolingThreshold) / 2;
+    }
+  }
+  
+  /**
+   * Move both thresholds so their midpoint is the given setpoint
+   * The gap between them is kept, narrowed only where the device range ends
+   */
+  private centerThresholds(settings: HeaterCoolerSettings, setpoint: number): void {
+    const halfGap = Math.min(
+      Math.max(0, settings.coolingThreshold - settings.heatingThreshold) / 2,
+      setpoint - MIN_TEMPERATURE_C,
+      MAX_TEMPERATURE_C - setpoint
+    );
+    settings.heatingThreshold = setpoint - halfGap;
+    settings.coolingThreshold = setpoint + halfGap;
+  }
+  
+  /**
+   * Follow setpoint changes made outside HomeKit (schedules, the SleepMe app)
+   * Only applied while the device is on, as an idle device keeps its old setpoint
+   */
+  private syncThresholdsToTarget(): void {
+    if (!this.isPowered || Math.abs(this.getHeaterCoolerSetpoint() - this.targetTemperature) < 0.5) {
+      return;
+    }
+    
+    const { TargetHeaterCoolerState } = this.platform.Characteristic;
+    const settings = this.getHeaterCoolerSettings();
+    const setpoint = validateTemperature(this.targetTemperature);
+    
+    if (settings.mode === TargetHeaterCoolerState.HEAT) {
+      settings.heatingThreshold = setpoint;
+      settings.coolingThreshold = Math.max(settings.coolingThreshold, setpoint);
+    } else if (settings.mode === TargetHeaterCoolerState.COOL) {
+      settings.coolingThreshold = setpoint;
+      settings.heatingThreshold = Math.min(settings.heatingThreshold, setpoint);
+    } else {
+      this.centerThresholds(settings, setpoint);
+    }
+  }
+  
+  /**
+   * Handle heating or cooling threshold changes from HomeKit
+   * @param threshold Which threshold changed
+   * @param value New threshold (°C)
+   */
+  private async handleThresholdSet(threshold: 'heating' | 'cooling', value: CharacteristicValue): Promise<void> {
+    const temperature = value as number;
+    const settings = this.getHeaterCoolerSettings();
+    
+    // Keep heating at or below cooling
+    if (threshold === 'heating') {
+      settings.heatingThreshold = temperature;
+      settings.coolingThreshold = Math.max(settings.coolingThreshold, temperature);
+    } else {
+      settings.coolingThreshold = temperature;
+      settings.heatingThreshold = Math.min(settings.heatingThreshold, temperature);
+    }
+    
+    // Record the new setpoint before refreshing, so the thresholds aren't synced back to the old one
+    await this.handleTargetTemperatureSet(this.getHeaterCoolerSetpoint());
+    this.updateHeaterCoolerServices();
+  }
+  
+  /**
+   * Handle target heater/cooler state changes from HomeKit
+   * Switching mode changes which threshold the setpoint follows
+   */
+  private async handleTargetHeaterCoolerStateSet(value: CharacteristicValue): Promise<void> {
+    this.getHeaterCoolerSettings().mode = value as number;
+    const setpoint = this.getHeaterCoolerSetpoint();
+    
+    // Changing modes alone doesn't turn the device on
+    if (this.isPowered) {
+      await this.handleTargetTemperatureSet(setpoint);
+    } else {
+      this.targetTemperature = setpoint;
+    }
+  }
+  
+  /**
+   * Get current heater/cooler state from the device's thermal status
+   */
+  private getCurrentHeaterCoolerState(): number {
+    const { CurrentHeaterCoolerState } = this.platform.Characteristic;
+    
+    if (!this.isPowered) {
+      return CurrentHeaterCoolerState.INACTIVE;
+    }
+    
+    switch (this.thermalStatus) {
+      case ThermalStatus.HEATING:
+        return CurrentHeaterCoolerState.HEATING;
+      case ThermalStatus.COOLING:
+        return CurrentHeaterCoolerState.COOLING;
+      case ThermalStatus.ACTIVE:
+        // The API mostly reports "active"; infer the direction from the temperatures
+        if (this.currentTemperature < this.targetTemperature - 1.0) {
+          return CurrentHeaterCoolerState.HEATING;
+        } else if (this.currentTemperature > this.targetTemperature + 1.0) {
+          return CurrentHeaterCoolerState.COOLING;
+        }
+        return CurrentHeaterCoolerState.IDLE;
+      default:
+        return CurrentHeaterCoolerState.IDLE;
+    }
+  }
+  
   /**
    * Get target heating/cooling state (AUTO when on, OFF when off)
    */
@@ -547,7 +1718,7 @@ export class SleepMeAccessory {
    */
   private async handlePowerToggle(value: CharacteristicValue): Promise<void> {
     const shouldTurnOn = value as boolean;
-    this.lastUserActionTime = Date.now();
+    this.api.deviceStates.markUserAction(this.deviceId);
     
     this.platform.log.info(`Power toggle: ${shouldTurnOn ? 'ON' : 'OFF'} for ${this.deviceId}`);
     
@@ -588,11 +1759,18 @@ export class SleepMeAccessory {
       case InterfaceMode.THERMOSTAT:
         this.updateThermostatServices();
         break;
+      case InterfaceMode.HEATER_COOLER:
+        this.updateHeaterCoolerServices();
+        break;
       case InterfaceMode.HYBRID:
       default:
         this.updateHybridServices();
         break;
     }
+    
+    this.updatePresetServices();
+    this.updateBedReadyService();
+    this.updateDeviceScheduleService();
   }
   
   /**
@@ -647,7 +1825,7 @@ export class SleepMeAccessory {
         validCurrentTemp
       );
       
-      // Validate target temperature (for schedule mode with 999°C values)
+      // Validate target temperature
       const validTargetTemp = validateTemperature(this.targetTemperature);
       this.thermostatService.updateCharacteristic(
         this.platform.Characteristic.TargetTemperature, 
@@ -657,6 +1835,35 @@ export class SleepMeAccessory {
     }
   }
 
+  /**
+   * Update heater/cooler interface services
+   */
+  private updateHeaterCoolerServices(): void {
+    if (!this.heaterCoolerService) {
+      return;
+    }
+    
+    const Characteristic = this.platform.Characteristic;
+    this.syncThresholdsToTarget();
+    const settings = this.getHeaterCoolerSettings();
+    
+    this.heaterCoolerService.updateCharacteristic(
+      Characteristic.Active,
+      this.isPowered ? Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE
+    );
+    this.heaterCoolerService.updateCharacteristic(
+      Characteristic.CurrentTemperature,
+      validateTemperature(this.currentTemperature)
+    );
+    this.heaterCoolerService.updateCharacteristic(
+      Characteristic.CurrentHeaterCoolerState,
+      this.getCurrentHeaterCoolerState()
+    );
+    this.heaterCoolerService.updateCharacteristic(Characteristic.TargetHeaterCoolerState, settings.mode);
+    this.heaterCoolerService.updateCharacteristic(Characteristic.HeatingThresholdTemperature, settings.heatingThreshold);
+    this.heaterCoolerService.updateCharacteristic(Characteristic.CoolingThresholdTemperature, settings.coolingThreshold);
+  }
+  
   /**
    * Update heating/cooling state characteristics in HomeKit
    */
@@ -679,131 +1886,6 @@ export class SleepMeAccessory {
     );
   }
   
-  /**
-   * Set up adaptive status polling mechanism
-   * Adjusts polling frequency based on context (user actions, schedules, etc.)
-   */
-  private setupStatusPolling(): void {
-    if (this.statusUpdateTimer) {
-      clearInterval(this.statusUpdateTimer);
-    }
-    
-    // Start with responsive polling for first few minutes
-    this.currentPollingInterval = POLLING_INTERVALS.RESPONSIVE;
-    
-    const pollFunction = () => {
-      // Skip update if another one is in progress
-      if (this.updateInProgress) {
-        return;
-      }
-      
-      const now = Date.now();
-      const timeSinceUserAction = now - this.lastUserActionTime;
-      const timeSinceScheduleAction = now - this.lastScheduleActionTime;
-      
-      // Determine appropriate polling interval based on context
-      this.updatePollingInterval(timeSinceUserAction, timeSinceScheduleAction);
-      
-      // Skip polling only for recent user actions (not schedule actions)
-      if (timeSinceUserAction < USER_ACTION_QUIET_PERIOD_MS) {
-        this.platform.log.debug(`Skipping poll due to recent user action (${Math.round(timeSinceUserAction/1000)}s ago)`);
-        return;
-      }
-      
-      // Apply exponential backoff for repeated failures
-      if (this.failedUpdateAttempts > 1) {
-        const backoffFactor = Math.min(8, Math.pow(2, this.failedUpdateAttempts - 1));
-        const extendedInterval = this.currentPollingInterval * 1000 * backoffFactor;
-        
-        if (this.lastStatusUpdate && now - this.lastStatusUpdate < extendedInterval) {
-          return;
-        }
-      }
-      
-      this.refreshDeviceStatus().catch(error => {
-        this.failedUpdateAttempts++;
-        this.platform.log.error(`Status update error: ${error}`);
-      });
-    };
-    
-    // Add device-specific jitter to prevent synchronized polling across devices
-    const deviceJitter = this.getDeviceJitter();
-
-    // Initial poll with jitter (ensure non-negative delay)
-    setTimeout(pollFunction, Math.max(100, 2000 + deviceJitter));
-
-    // Set up recurring polling - we'll adjust interval dynamically with jitter
-    // Ensure interval is never negative (minimum 1 second)
-    const jitteredInterval = Math.max(1000, (this.currentPollingInterval * 1000) + deviceJitter);
-    this.statusUpdateTimer = setInterval(pollFunction, jitteredInterval);
-  }
-
-  /**
-   * Update polling interval based on current context
-   */
-  private updatePollingInterval(timeSinceUserAction: number, timeSinceScheduleAction: number): void {
-    let newInterval = POLLING_INTERVALS.BASE;
-    
-    // Responsive period after user actions
-    if (timeSinceUserAction < POLLING_CONTEXTS.RESPONSIVE_PERIOD) {
-      newInterval = POLLING_INTERVALS.RESPONSIVE;
-    }
-    // Active period during/after schedules 
-    else if (timeSinceScheduleAction < POLLING_CONTEXTS.SCHEDULE_ACTIVE_PERIOD) {
-      newInterval = POLLING_INTERVALS.ACTIVE;
-    }
-    // Startup period - more frequent polling initially
-    else if (Date.now() - this.platform.startTime < POLLING_CONTEXTS.STARTUP_PERIOD) {
-      newInterval = POLLING_INTERVALS.ACTIVE;
-    }
-    
-    // Update timer if interval changed
-    if (newInterval !== this.currentPollingInterval) {
-      this.currentPollingInterval = newInterval;
-      this.platform.log.debug(`Polling interval changed to ${newInterval}s`);
-      
-      // Restart timer with new interval and jitter to prevent synchronization
-      if (this.statusUpdateTimer) {
-        clearInterval(this.statusUpdateTimer);
-        const deviceJitter = this.getDeviceJitter();
-        // Ensure interval is never negative (minimum 1 second)
-        const jitteredInterval = Math.max(1000, (newInterval * 1000) + deviceJitter);
-        this.statusUpdateTimer = setInterval(() => {
-          this.refreshDeviceStatus().catch(error => {
-            this.failedUpdateAttempts++;
-            this.platform.log.error(`Status update error: ${error}`);
-          });
-        }, jitteredInterval);
-      }
-    }
-  }
-  
-  /**
-   * Get device-specific jitter to prevent synchronized polling
-   * Uses device ID as seed for consistent but distributed jitter
-   * @returns Jitter in milliseconds (±10-20% of base interval)
-   */
-  private getDeviceJitter(): number {
-    // Create a simple hash of device ID for consistent jitter
-    let hash = 0;
-    const deviceId = this.deviceId;
-    for (let i = 0; i < deviceId.length; i++) {
-      const char = deviceId.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    
-    // Convert to positive number and get jitter percentage between 10-20%
-    const jitterPercent = 10 + (Math.abs(hash) % 11); // 10-20%
-    const baseInterval = this.currentPollingInterval * 1000;
-    
-    // Apply jitter (can be positive or negative)
-    const jitterDirection = (hash % 2 === 0) ? 1 : -1;
-    const jitter = Math.floor((baseInterval * jitterPercent / 100) * jitterDirection);
-    
-    return jitter;
-  }
-  
   /**
    * Set up water level service for compatible devices
    */
@@ -845,137 +1927,157 @@ export class SleepMeAccessory {
   }
   
   /**
-   * Mark that a schedule action occurred (called by schedule manager)
+   * Subscribe to state changes and poll results for this device
+   * Polling itself is scheduled fleet-wide by the account's device state store
    */
-  public markScheduleAction(): void {
-    this.lastScheduleActionTime = Date.now();
+  private subscribeToDeviceState(): void {
+    const deviceStates = this.api.deviceStates;
+    
+    this.unsubscribeStateChanges = deviceStates.onChange(change => {
+      if (change.deviceId === this.deviceId) {
+        this.applyDeviceStatus(change.status);
+        this.updateStatusIndicators();
+      }
+    });
+    
+    this.unsubscribePollResults = deviceStates.onPollResult(result => {
+      if (result.deviceId !== this.deviceId) {
+        return;
+      }
+      
+      if (!result.success) {
+        this.platform.log.error(`Status refresh failed for ${this.displayName} (${result.consecutiveFailures} in a row)`);
+      }
+      this.failedUpdateAttempts = result.consecutiveFailures;
+      this.updateStatusIndicators();
+      
+      if (result.success) {
+        this.history?.record({
+          currentTemperature: this.currentTemperature,
+          targetTemperature: this.targetTemperature,
+          powered: this.isPowered
+        });
+      }
+    });
+    
+    deviceStates.registerDevice(this.deviceId);
   }
-
+  
   /**
-   * Refresh device status from the API
+   * Apply a device status to local state and HomeKit services
+   * @param status Device status from the API or the cache
    */
-  private async refreshDeviceStatus(isInitialSetup = false): Promise<void> {
-    // Only skip for recent user actions during non-initial setups
-    if (!isInitialSetup) {
-      const timeSinceUserAction = Date.now() - this.lastUserActionTime;
-      // Note: We don't skip for schedule actions - they need fresh status
-      if (timeSinceUserAction < USER_ACTION_QUIET_PERIOD_MS) {
-        return;
-      }
+  private applyDeviceStatus(status: DeviceStatus): void {
+    // Update firmware version if changed
+    if (status.firmwareVersion && status.firmwareVersion !== this.firmwareVersion) {
+      this.firmwareVersion = status.firmwareVersion;
+      this.informationService.updateCharacteristic(
+        this.platform.Characteristic.FirmwareRevision,
+        this.firmwareVersion
+      );
     }
     
-    // Prevent concurrent updates
-    if (this.updateInProgress) {
-      return;
+    // Update current temperature
+    if (status.currentTemperature !== this.currentTemperature) {
+      this.platform.log.debug(`Temperature update: ${this.currentTemperature}°C → ${status.currentTemperature}°C`);
+      this.currentTemperature = status.currentTemperature;
     }
     
-    this.updateInProgress = true;
+    // Following the SleepMe app's own schedule (reported as a setpoint of 999)
+    const deviceScheduleActive = !!status.deviceScheduleActive;
+    if (deviceScheduleActive !== this.isDeviceScheduleActive) {
+      this.platform.log.info(deviceScheduleActive
+        ? `${this.displayName} is following its SleepMe app schedule`
+        : `${this.displayName} is no longer following its SleepMe app schedule`);
+      this.isDeviceScheduleActive = deviceScheduleActive;
+    }
     
-    try {
-      // Get device status
-      const status = await this.api.getDeviceStatus(this.deviceId, isInitialSetup);
-      
-      if (!status) {
-        throw new Error(`Failed to get status for device ${this.deviceId}`);
-      }
-      
-      // Update state
-      this.lastStatusUpdate = Date.now();
-      this.failedUpdateAttempts = 0;
-      
-      // Update firmware version if changed
-      if (status.firmwareVersion && status.firmwareVersion !== this.firmwareVersion) {
-        this.firmwareVersion = status.firmwareVersion;
-        this.informationService.updateCharacteristic(
-          this.platform.Characteristic.FirmwareRevision,
-          this.firmwareVersion
-        );
-      }
+    // Update target temperature with validation; the device schedule's marker
+    // isn't a temperature, so the last real setpoint stays shown meanwhile
+    if (!deviceScheduleActive && status.targetTemperature !== this.targetTemperature) {
+      const rawTargetTemp = status.targetTemperature;
+      const validatedTargetTemp = validateTemperature(rawTargetTemp, this.targetTemperature);
       
-      // Update current temperature
-      if (status.currentTemperature !== this.currentTemperature) {
-        this.platform.log.debug(`Temperature update: ${this.currentTemperature}°C → ${status.currentTemperature}°C`);
-        this.currentTemperature = status.currentTemperature;
-        
-        // Update schedule manager with current temperature
-        if (this.platform.scheduleManager) {
-          this.platform.scheduleManager.updateDeviceTemperature(
-            this.deviceId, 
-            this.currentTemperature
-          );
-        }
-      }
-      
-      // Update target temperature with validation
-      if (status.targetTemperature !== this.targetTemperature) {
-        const rawTargetTemp = status.targetTemperature;
-        const validatedTargetTemp = validateTemperature(rawTargetTemp, this.targetTemperature);
-        
-        // Log when temperature is clamped to HomeKit limits
-        if (rawTargetTemp !== validatedTargetTemp) {
-          if (rawTargetTemp >= 999) {
-            this.platform.log.debug(`Device ${this.deviceId} in schedule mode (Target=${rawTargetTemp}°C), clamped to HomeKit max ${validatedTargetTemp}°C`);
-          } else {
-            this.platform.log.debug(`Target temperature clamped: ${rawTargetTemp}°C → ${validatedTargetTemp}°C`);
-          }
-        }
-        
-        this.targetTemperature = validatedTargetTemp;
+      // Log when temperature is clamped to HomeKit limits
+      if (rawTargetTemp !== validatedTargetTemp) {
+        this.platform.log.debug(`Target temperature clamped: ${rawTargetTemp}°C → ${validatedTargetTemp}°C`);
       }
       
-      // Update power state - but respect pending commands to prevent conflicts
-      const newPowerState = status.powerState === PowerState.ON || 
-                           (status.thermalStatus !== ThermalStatus.STANDBY && 
-                            status.thermalStatus !== ThermalStatus.OFF);
-      
-      // Check if we have a pending power command that should take precedence
-      if (this.pendingPowerCommand) {
-        const pendingAge = Date.now() - this.pendingPowerCommand.timestamp;
-        if (pendingAge < 30000) { // Respect pending commands for up to 30 seconds
-          this.platform.log.debug(`Skipping power state update due to pending command (${Math.round(pendingAge/1000)}s old): keeping optimistic state ${this.isPowered ? 'ON' : 'OFF'}`);
-        } else {
-          // Pending command is too old, clear it and use server state
-          this.platform.log.warn(`Pending power command expired after ${Math.round(pendingAge/1000)}s, using server state: ${newPowerState ? 'ON' : 'OFF'}`);
-          this.clearPendingPowerCommand();
-          if (this.isPowered !== newPowerState) {
-            this.platform.log.debug(`Power state update: ${this.isPowered ? 'ON' : 'OFF'} → ${newPowerState ? 'ON' : 'OFF'}`);
-            this.isPowered = newPowerState;
-          }
-        }
+      this.targetTemperature = this.snapSetpoint(validatedTargetTemp);
+    }
+    
+    // Update power state - but respect pending commands to prevent conflicts
+    const newPowerState = status.powerState === PowerState.ON || 
+                         (status.thermalStatus !== ThermalStatus.STANDBY && 
+                          status.thermalStatus !== ThermalStatus.OFF);
+    
+    // Check if we have a pending power command that should take precedence
+    if (this.pendingPowerCommand) {
+      const pendingAge = Date.now() - this.pendingPowerCommand.timestamp;
+      if (pendingAge < 30000) { // Respect pending commands for up to 30 seconds
+        this.platform.log.debug(`Skipping power state update due to pending command (${Math.round(pendingAge/1000)}s old): keeping optimistic state ${this.isPowered ? 'ON' : 'OFF'}`);
       } else {
-        // No pending command, safe to update from server state
+        // Pending command is too old, clear it and use server state
+        this.platform.log.warn(`Pending power command expired after ${Math.round(pendingAge/1000)}s, using server state: ${newPowerState ? 'ON' : 'OFF'}`);
+        this.clearPendingPowerCommand();
         if (this.isPowered !== newPowerState) {
           this.platform.log.debug(`Power state update: ${this.isPowered ? 'ON' : 'OFF'} → ${newPowerState ? 'ON' : 'OFF'}`);
           this.isPowered = newPowerState;
         }
       }
-      
-      // Update water level if available
-      if (status.waterLevel !== undefined && 
-         (status.waterLevel !== this.waterLevel || status.isWaterLow !== this.isWaterLow)) {
-        this.waterLevel = status.waterLevel;
-        // Determine low water status: use API flag if available, otherwise check if level is 50% or below
-        this.isWaterLow = status.isWaterLow !== undefined ? !!status.isWaterLow : this.waterLevel <= 50;
-        this.setupWaterLevelService(this.waterLevel, this.isWaterLow);
+    } else {
+      // No pending command, safe to update from server state
+      if (this.isPowered !== newPowerState) {
+        this.platform.log.debug(`Power state update: ${this.isPowered ? 'ON' : 'OFF'} → ${newPowerState ? 'ON' : 'OFF'}`);
+        this.isPowered = newPowerState;
+        
+        // Turned off elsewhere (SleepMe app, schedule) - nothing left to time
+        if (!newPowerState) {
+          this.cancelSleepTimer('device was turned off');
+        }
       }
-      
-      // Update all HomeKit services based on interface mode
-      this.updateAllServices();
-    } catch (error) {
-      this.failedUpdateAttempts++;
-      this.platform.log.error(`Status refresh error: ${error}`);
-    } finally {
-      this.updateInProgress = false;
     }
+    
+    this.thermalStatus = status.thermalStatus;
+    
+    // Reflect unit changes made on the device or in the SleepMe app
+    if (status.displayUnit && status.displayUnit !== this.displayUnit) {
+      this.platform.log.debug(`Display unit update: °${this.displayUnit} → °${status.displayUnit}`);
+      this.displayUnit = status.displayUnit;
+      this.updateDisplayUnits();
+    }
+    
+    // Update connectivity (reported by the API as status.is_connected)
+    if (status.connected !== undefined) {
+      this.isConnected = status.connected;
+    }
+    
+    // Update water level if available
+    if (status.waterLevel !== undefined && 
+       (status.waterLevel !== this.waterLevel || status.isWaterLow !== this.isWaterLow)) {
+      this.waterLevel = status.waterLevel;
+      // Determine low water status: use API flag if available, otherwise check if level is 50% or below
+      this.isWaterLow = status.isWaterLow !== undefined ? !!status.isWaterLow : this.waterLevel <= 50;
+      this.setupWaterLevelService(this.waterLevel, this.isWaterLow);
+    }
+    
+    // Update all HomeKit services based on interface mode
+    this.updateAllServices();
   }
   
   /**
    * Clean up resources when accessory is removed
    */
   public cleanup(): void {
-    if (this.statusUpdateTimer) {
-      clearInterval(this.statusUpdateTimer);
-      this.statusUpdateTimer = undefined;
+    this.unsubscribeStateChanges?.();
+    this.unsubscribePollResults?.();
+    this.unsubscribeWarmHugChanges?.();
+    this.api.deviceStates.unregisterDevice(this.deviceId);
+    
+    // A running sleep timer stays persisted and resumes after the restart
+    if (this.sleepTimerHandle) {
+      clearTimeout(this.sleepTimerHandle);
+      this.sleepTimerHandle = undefined;
     }
     
     // Clean up any pending commands
@@ -0,0 +1,528 @@
+/**
+ * Central device state store for SleepMe devices
+ * Holds the latest known status of every device on an account, runs a single
+ * fleet-wide poll scheduler that shares the account's request budget between
+ * devices by priority, and notifies subscribers when a device's state changes
+ */
+import { EventEmitter } from 'node:events';
+import { DeviceStatus, Logger, PowerState, ThermalStatus } from './types.js';
+import { RateLimiterSummary } from './rate-limiter.js';
+import {
+  POLLING_INTERVALS,
+  POLLING_CONTEXTS,
+  USER_ACTION_QUIET_PERIOD_MS,
+  FLEET_POLL_TICK_MS,
+  FLEET_POLL_BUDGET_SHARE,
+  MIN_FLEET_POLL_SPACING_MS
+} from '../settings.js';
+
+/**
+ * Poll priority tiers, highest first
+ */
+export enum PollPriority {
+  RECENTLY_USED = 'recently-used',   // User changed something in HomeKit
+  SCHEDULE = 'schedule',             // Schedule running or about to run
+  IDLE = 'idle',                     // Powered on, nothing happening
+  OFF = 'off',                       // Powered off, nothing happening
+  DEEP_IDLE = 'deep-idle'            // Powered off, unattended and nothing scheduled soon
+}
+
+/**
+ * Source of device status data (implemented by SleepMeApi)
+ */
+export interface DeviceStatusSource {
+  getDeviceStatus(deviceId: string, forceFresh?: boolean): Promise<DeviceStatus | null>;
+  getCachedDeviceStatus(deviceId: string): DeviceStatus | undefined;
+  getRateLimiterStats(): { summary: RateLimiterSummary };
+}
+
+/**
+ * A change of a device's state
+ */
+export interface DeviceStateChange {
+  deviceId: string;
+  status: DeviceStatus;
+  previous?: DeviceStatus;
+}
+
+/**
+ * Result of a status poll
+ */
+export interface DevicePollResult {
+  deviceId: string;
+  success: boolean;
+  consecutiveFailures: number;
+}
+
+/**
+ * Per-device scheduling state
+ */
+interface TrackedDevice {
+  status?: DeviceStatus;
+  lastPollTime: number;
+  lastUserActionTime: number;
+  lastInteractionTime: number;
+  lastScheduleActionTime: number;
+  nextScheduleTime?: number;
+  consecutiveFailures: number;
+  pollInProgress: boolean;
+  lastPriority?: PollPriority;
+}
+
+// Fields that make up a device's visible state
+const COMPARED_FIELDS: Array<keyof DeviceStatus> = [
+  'currentTemperature',
+  'targetTemperature',
+  'thermalStatus',
+  'powerState',
+  'firmwareVersion',
+  'connected',
+  'waterLevel',
+  'isWaterLow',
+  'deviceScheduleActive',
+  'displayUnit'
+];
+
+// Order used to break ties between equally overdue devices
+const PRIORITY_RANK: Record<PollPriority, number> = {
+  [PollPriority.RECENTLY_USED]: 0,
+  [PollPriority.SCHEDULE]: 1,
+  [PollPriority.IDLE]: 2,
+  [PollPriority.OFF]: 3,
+  [PollPriority.DEEP_IDLE]: 4
+};
+
+export class DeviceStateStore {
+  private readonly devices: Map<string, TrackedDevice> = new Map();
+  private readonly events = new EventEmitter();
+  private readonly createdAt = Date.now();
+  private schedulerTimer?: NodeJS.Timeout;
+  private lastFleetPollTime = 0;
+  private fleetPollInProgress = false;
+
+  /**
+   * Create a device state store
+   * @param source Status source used for polling
+   * @param logger Logging utility
+   */
+  constructor(
+    private readonly source: DeviceStatusSource,
+    private readonly logger: Logger
+  ) {
+    // Subscribers are expected to be one per accessory plus a few integrations
+    this.events.setMaxListeners(50);
+  }
+
+  /**
+   * Start scheduling polls for a device
+   * @param deviceId Device identifier
+   */
+  public registerDevice(deviceId: string): void {
+    if (this.devices.has(deviceId)) {
+      return;
+    }
+
+    this.devices.set(deviceId, {
+      status: this.source.getCachedDeviceStatus(deviceId),
+      lastPollTime: 0,
+      lastUserActionTime: 0,
+      lastInteractionTime: Date.now(),
+      lastScheduleActionTime: 0,
+      consecutiveFailures: 0,
+      pollInProgress: false
+    });
+
+    this.logger.debug(`Device ${deviceId} added to fleet poll scheduler (${this.devices.size} device(s))`);
+    this.startScheduler();
+  }
+
+  /**
+   * Stop scheduling polls for a device
+   * @param deviceId Device identifier
+   */
+  public unregisterDevice(deviceId: string): void {
+    this.devices.delete(deviceId);
+
+    if (this.devices.size === 0) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Get the latest known status of a device
+   * @param deviceId Device identifier
+   * @returns Status if known
+   */
+  public getStatus(deviceId: string): DeviceStatus | undefined {
+    return this.devices.get(deviceId)?.status;
+  }
+
+  /**
+   * Subscribe to device state changes
+   * @param listener Called with each change
+   * @returns Function that removes the subscription
+   */
+  public onChange(listener: (change: DeviceStateChange) => void): () => void {
+    this.events.on('change', listener);
+    return () => this.events.off('change', listener);
+  }
+
+  /**
+   * Subscribe to poll results
+   * @param listener Called after each status poll
+   * @returns Function that removes the subscription
+   */
+  public onPollResult(listener: (result: DevicePollResult) => void): () => void {
+    this.events.on('poll', listener);
+    return () => this.events.off('poll', listener);
+  }
+
+  /**
+   * Record a new status for a device and notify subscribers if it changed
+   * Called by the API client for fresh GET results and accepted commands
+   * @param deviceId Device identifier
+   * @param status New device status
+   */
+  public update(deviceId: string, status: DeviceStatus): void {
+    const device = this.devices.get(deviceId);
+    const previous = device ? device.status : undefined;
+
+    if (device) {
+      device.status = status;
+    }
+
+    if (previous && !this.hasChanged(previous, status)) {
+      return;
+    }
+
+    this.events.emit('change', { deviceId, status, previous } as DeviceStateChange);
+  }
+
+  /**
+   * Record a user action from HomeKit
+   * Polls pause for the quiet period and then run at the responsive rate
+   * @param deviceId Device identifier
+   */
+  public markUserAction(deviceId: string): void {
+    const device = this.devices.get(deviceId);
+    if (device) {
+      device.lastUserActionTime = Date.now();
+      device.lastInteractionTime = device.lastUserActionTime;
+    }
+  }
+
+  /**
+   * Record that HomeKit read a device's state
+   * Brings a device out of deep idle so the Home app soon shows fresh values
+   * @param deviceId Device identifier
+   */
+  public markInteraction(deviceId: string): void {
+    const device = this.devices.get(deviceId);
+    if (device) {
+      device.lastInteractionTime = Date.now();
+    }
+  }
+
+  /**
+   * Record that a schedule acted on a device
+   * @param deviceId Device identifier
+   */
+  public markScheduleAction(deviceId: string): void {
+    const device = this.devices.get(deviceId);
+    if (device) {
+      device.lastScheduleActionTime = Date.now();
+    }
+  }
+
+  /**
+   * Set when the next schedule for a device runs
+   * Devices are polled at the schedule rate shortly before it runs
+   * @param deviceId Device identifier
+   * @param time Next execution timestamp, or undefined if none
+   */
+  public setNextScheduleTime(deviceId: string, time: number | undefined): void {
+    const device = this.devices.get(deviceId);
+    if (device) {
+      device.nextScheduleTime = time;
+    }
+  }
+
+  /**
+   * Fetch fresh status for a device right away, outside the fleet schedule
+   * Used to recover the real state after a failed command
+   * @param deviceId Device identifier
+   */
+  public async refresh(deviceId: string): Promise<void> {
+    await this.pollDevice(deviceId, true);
+  }
+
+  /**
+   * Get the current poll priority of a device
+   * @param deviceId Device identifier
+   * @returns Poll priority, or undefined for unknown devices
+   */
+  public getPollPriority(deviceId: string): PollPriority | undefined {
+    const device = this.devices.get(deviceId);
+    return device ? this.getPriority(device, Date.now()) : undefined;
+  }
+
+  /**
+   * Stop the poll scheduler
+   */
+  public stop(): void {
+    if (this.schedulerTimer) {
+      clearInterval(this.schedulerTimer);
+      this.schedulerTimer = undefined;
+    }
+  }
+
+  /**
+   * Start the scheduler if it isn't running
+   */
+  private startScheduler(): void {
+    if (this.schedulerTimer) {
+      return;
+    }
+
+    this.schedulerTimer = setInterval(() => {
+      this.runSchedulerTick().catch(error => {
+        this.logger.error(`Fleet poll scheduler error: ${error}`);
+      });
+    }, FLEET_POLL_TICK_MS);
+  }
+
+  /**
+   * Poll the most overdue device if the fleet budget allows it
+   */
+  private async runSchedulerTick(): Promise<void> {
+    if (this.fleetPollInProgress) {
+      return;
+    }
+
+    const now = Date.now();
+    const summary = this.source.getRateLimiterStats().summary;
+
+    // Leave the API alone while the rate limiter is backing off
+    if (summary.backoffActive) {
+      return;
+    }
+
+    if (now - this.lastFleetPollTime < this.getFleetPollSpacingMs(summary)) {
+      return;
+    }
+
+    const deviceId = this.selectNextDevice(now);
+    if (!deviceId) {
+      return;
+    }
+
+    this.fleetPollInProgress = true;
+    this.lastFleetPollTime = now;
+
+    try {
+      // The first poll after startup fetches fresh data at higher priority
+      const forceFresh = this.devices.get(deviceId)?.lastPollTime === 0;
+      await this.pollDevice(deviceId, forceFresh);
+    } finally {
+      this.fleetPollInProgress = false;
+    }
+  }
+
+  /**
+   * Minimum time between two polls, derived from the rate limiter's window
+   * so polls of all devices together use only part of the request budget
+   * @param summary Current rate limiter summary
+   * @returns Spacing in milliseconds
+   */
+  private getFleetPollSpacingMs(summary: RateLimiterSummary): number {
+    const pollsPerWindow = Math.max(1, Math.floor(summary.maxRequestsPerWindow * FLEET_POLL_BUDGET_SHARE));
+    return Math.max(MIN_FLEET_POLL_SPACING_MS, Math.ceil(summary.windowDurationMs / pollsPerWindow));
+  }
+
+  /**
+   * Pick the device whose poll is most overdue relative to its target interval
+   * @param now Current timestamp
+   * @returns Device ID, or undefined if no device is due
+   */
+  private selectNextDevice(now: number): string | undefined {
+    let selected: { deviceId: string; overdue: number; rank: number } | undefined;
+
+    for (const [deviceId, device] of this.devices.entries()) {
+      if (device.pollInProgress) {
+        continue;
+      }
+
+      // Don't overwrite optimistic HomeKit state right after a user action
+      if (now - device.lastUserActionTime < USER_ACTION_QUIET_PERIOD_MS) {
+        continue;
+      }
+
+      const priority = this.getPriority(device, now);
+      if (priority !== device.lastPriority) {
+        if (priority === PollPriority.DEEP_IDLE || device.lastPriority === PollPriority.DEEP_IDLE) {
+          this.logger.debug(
+            `Device ${deviceId} ${priority === PollPriority.DEEP_IDLE ? 'entered' : 'left'} deep idle polling`
+          );
+        }
+        device.lastPriority = priority;
+      }
+
+      const overdue = device.lastPollTime === 0
+        ? Number.MAX_SAFE_INTEGER
+        : (now - device.lastPollTime) / this.getTargetIntervalMs(device, priority);
+
+      if (overdue < 1) {
+        continue;
+      }
+
+      const rank = PRIORITY_RANK[priority];
+      if (!selected || overdue > selected.overdue || (overdue === selected.overdue && rank < selected.rank)) {
+        selected = { deviceId, overdue, rank };
+      }
+    }
+
+    return selected?.deviceId;
+  }
+
+  /**
+   * Determine the poll priority of a device
+   * @param device Tracked device
+   * @param now Current timestamp
+   * @returns Poll priority
+   */
+  private getPriority(device: TrackedDevice, now: number): PollPriority {
+    if (now - device.lastUserActionTime < POLLING_CONTEXTS.RESPONSIVE_PERIOD) {
+      return PollPriority.RECENTLY_USED;
+    }
+
+    const scheduleRecent = now - device.lastScheduleActionTime < POLLING_CONTEXTS.SCHEDULE_ACTIVE_PERIOD;
+    const scheduleImminent = device.nextScheduleTime !== undefined &&
+      device.nextScheduleTime - now < POLLING_CONTEXTS.SCHEDULE_ACTIVE_PERIOD;
+    if (scheduleRecent || scheduleImminent) {
+      return PollPriority.SCHEDULE;
+    }
+
+    // More frequent polling shortly after startup
+    if (now - this.createdAt < POLLING_CONTEXTS.STARTUP_PERIOD) {
+      return PollPriority.SCHEDULE;
+    }
+
+    if (this.isPoweredOn(device.status)) {
+      return PollPriority.IDLE;
+    }
+
+    // Off, nobody looked at it lately and nothing runs within the horizon
+    const untilNextSchedule = device.nextScheduleTime !== undefined
+      ? device.nextScheduleTime - now
+      : Number.POSITIVE_INFINITY;
+    if (now - device.lastInteractionTime > POLLING_CONTEXTS.DEEP_IDLE_DELAY &&
+        untilNextSchedule > POLLING_CONTEXTS.DEEP_IDLE_SCHEDULE_HORIZON) {
+      return PollPriority.DEEP_IDLE;
+    }
+
+    return PollPriority.OFF;
+  }
+
+  /**
+   * Target poll interval for a device, backed off after repeated failures
+   * @param device Tracked device
+   * @param priority Current poll priority
+   * @returns Interval in milliseconds
+   */
+  private getTargetIntervalMs(device: TrackedDevice, priority: PollPriority): number {
+    let intervalSeconds: number;
+    switch (priority) {
+      case PollPriority.RECENTLY_USED:
+        intervalSeconds = POLLING_INTERVALS.RESPONSIVE;
+        break;
+      case PollPriority.SCHEDULE:
+        intervalSeconds = POLLING_INTERVALS.ACTIVE;
+        break;
+      case PollPriority.IDLE:
+        intervalSeconds = POLLING_INTERVALS.BASE;
+        break;
+      case PollPriority.DEEP_IDLE:
+        intervalSeconds = POLLING_INTERVALS.DEEP_IDLE;
+        break;
+      case PollPriority.OFF:
+      default:
+        intervalSeconds = POLLING_INTERVALS.OFF;
+        break;
+    }
+
+    // Exponential backoff for repeated failures
+    const backoffFactor = device.consecutiveFailures > 1
+      ? Math.min(8, Math.pow(2, device.consecutiveFailures - 1))
+      : 1;
+
+    return intervalSeconds * 1000 * backoffFactor;
+  }
+
+  /**
+   * Fetch the status of a device and report the result
+   * New statuses reach the store through update(), called by the API client
+   * @param deviceId Device identifier
+   * @param forceFresh Bypass the API client's cache
+   */
+  private async pollDevice(deviceId: string, forceFresh: boolean): Promise<void> {
+    const device = this.devices.get(deviceId);
+    if (!device || device.pollInProgress) {
+      return;
+    }
+
+    device.pollInProgress = true;
+    let success = false;
+
+    try {
+      const status = await this.source.getDeviceStatus(deviceId, forceFresh);
+      success = status !== null;
+
+      // Cached results don't pass through update(), keep the store current anyway
+      if (status) {
+        this.update(deviceId, status);
+      }
+    } catch (error) {
+      this.logger.error(`Status poll failed for device ${deviceId}: ${error}`);
+    } finally {
+      device.pollInProgress = false;
+      device.lastPollTime = Date.now();
+      device.consecutiveFailures = success ? 0 : device.consecutiveFailures + 1;
+    }
+
+    this.logger.verbose(
+      `Polled device ${deviceId} [${this.getPriority(device, Date.now())}]: ` +
+      `${success ? 'ok' : `failed (${device.consecutiveFailures} in a row)`}`
+    );
+
+    this.events.emit('poll', {
+      deviceId,
+      success,
+      consecutiveFailures: device.consecutiveFailures
+    } as DevicePollResult);
+  }
+
+  /**
+   * Whether a status means the device is running
+   * @param status Device status
+   * @returns True if powered on
+   */
+  private isPoweredOn(status?: DeviceStatus): boolean {
+    if (!status) {
+      return false;
+    }
+    return status.powerState === PowerState.ON ||
+      (status.thermalStatus !== ThermalStatus.STANDBY &&
+       status.thermalStatus !== ThermalStatus.OFF &&
+       status.thermalStatus !== ThermalStatus.UNKNOWN);
+  }
+
+  /**
+   * Compare the visible fields of two statuses
+   * @param previous Previous status
+   * @param next New status
+   * @returns True if any visible field differs
+   */
+  private hasChanged(previous: DeviceStatus, next: DeviceStatus): boolean {
+    return COMPARED_FIELDS.some(field => previous[field] !== next[field]);
+  }
+}
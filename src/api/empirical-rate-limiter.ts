@@ -4,6 +4,7 @@
  */
 
 import { RequestPriority } from '../settings.js';
+import { RateLimiter, RateLimiterDecision, RateLimiterSummary } from './rate-limiter.js';
 
 export interface EmpiricalRateLimiterConfig {
   // Empirically determined: 4 requests per minute maximum
@@ -28,7 +29,18 @@ export interface RequestMetrics {
   rateLimited: boolean;
 }
 
-export class EmpiricalRateLimiter {
+/**
+ * Limiter state persisted across restarts
+ */
+export interface PersistedEmpiricalState {
+  currentMinuteStart: number;
+  requestsThisMinute: number;
+  lastRateLimitTime: number;
+  adaptiveBackoffUntil: number;
+  requestHistory: RequestMetrics[];
+}
+
+export class EmpiricalRateLimiter implements RateLimiter {
   private config: EmpiricalRateLimiterConfig;
   private requestHistory: RequestMetrics[] = [];
   private currentMinuteStart: number;
@@ -55,11 +67,7 @@ export class EmpiricalRateLimiter {
   /**
    * Check if a request should be allowed
    */
-  public shouldAllowRequest(priority: RequestPriority): {
-    allowed: boolean;
-    waitTime: number;
-    reason?: string;
-  } {
+  public shouldAllowRequest(priority: RequestPriority): RateLimiterDecision {
     const now = Date.now();
     
     // Update minute window if needed
@@ -72,7 +80,7 @@ export class EmpiricalRateLimiter {
     if (this.adaptiveBackoffUntil > now) {
       // Critical requests can bypass adaptive backoff
       if (priority === RequestPriority.CRITICAL && this.config.allowCriticalBypass) {
-        return { allowed: true, waitTime: 0, reason: 'Critical bypass during backoff' };
+        return { allowed: true, waitTimeMs: 0, reason: 'Critical bypass during backoff' };
       }
       
       // HIGH priority requests can bypass backoff during startup grace period
@@ -86,14 +94,14 @@ export class EmpiricalRateLimiter {
         );
         
         if (!recentRateLimitError) {
-          return { allowed: true, waitTime: 0, reason: 'HIGH priority startup grace period bypass' };
+          return { allowed: true, waitTimeMs: 0, reason: 'HIGH priority startup grace period bypass' };
         }
       }
       
       const waitTime = Math.max(0, this.adaptiveBackoffUntil - now);
       return {
         allowed: false,
-        waitTime,
+        waitTimeMs: waitTime,
         reason: `Adaptive backoff active (${Math.ceil(waitTime / 1000)}s remaining)`
       };
     }
@@ -122,11 +130,11 @@ export class EmpiricalRateLimiter {
         const waitTime = this.timeUntilNextMinute();
         return { 
           allowed: false, 
-          waitTime, 
+          waitTimeMs: waitTime, 
           reason: 'Critical request limit exceeded' 
         };
       }
-      return { allowed: true, waitTime: 0, reason: 'Critical bypass' };
+      return { allowed: true, waitTimeMs: 0, reason: 'Critical bypass' };
     }
 
     // Normal rate limiting
@@ -135,7 +143,7 @@ export class EmpiricalRateLimiter {
       const gracePeriodInfo = inStartupGracePeriod ? ' (startup grace period active)' : '';
       return { 
         allowed: false, 
-        waitTime, 
+        waitTimeMs: waitTime, 
         reason: `Rate limit reached (${this.requestsThisMinute}/${effectiveLimit})${gracePeriodInfo}` 
       };
     }
@@ -143,13 +151,13 @@ export class EmpiricalRateLimiter {
     const bypassReason = inStartupGracePeriod && priority === RequestPriority.HIGH ? 
       'Startup grace period - HIGH priority' : undefined;
     
-    return { allowed: true, waitTime: 0, reason: bypassReason };
+    return { allowed: true, waitTimeMs: 0, reason: bypassReason };
   }
 
   /**
    * Record a request and its outcome
    */
-  public recordRequest(priority: RequestPriority, success: boolean, responseTime: number, rateLimited = false): void {
+  public recordRequest(priority: RequestPriority, success: boolean, rateLimited = false, responseTime = 0): void {
     const now = Date.now();
     
     // Update minute window
@@ -180,6 +188,20 @@ export class EmpiricalRateLimiter {
     this.cleanOldHistory(now);
   }
 
+  /**
+   * Check if a critical request may bypass the per-minute limit
+   */
+  public useCriticalBypass(): boolean {
+    return this.config.allowCriticalBypass && this.shouldAllowRequest(RequestPriority.CRITICAL).allowed;
+  }
+
+  /**
+   * Time until a non-critical request would be allowed
+   */
+  public getTimeUntilAvailableMs(): number {
+    return this.shouldAllowRequest(RequestPriority.NORMAL).waitTimeMs;
+  }
+
   /**
    * Handle rate limit response
    */
@@ -253,6 +275,39 @@ export class EmpiricalRateLimiter {
     this.requestHistory = this.requestHistory.filter(r => r.timestamp > tenMinutesAgo);
   }
 
+  /**
+   * Export limiter state for persistence
+   */
+  public exportState(): PersistedEmpiricalState {
+    return {
+      currentMinuteStart: this.currentMinuteStart,
+      requestsThisMinute: this.requestsThisMinute,
+      lastRateLimitTime: this.lastRateLimitTime,
+      adaptiveBackoffUntil: this.adaptiveBackoffUntil,
+      requestHistory: [...this.requestHistory]
+    };
+  }
+
+  /**
+   * Restore limiter state saved by a previous run
+   * The startup grace period always restarts with the new process
+   */
+  public restoreState(persisted: PersistedEmpiricalState): void {
+    if (!persisted) {
+      return;
+    }
+
+    const now = Date.now();
+    this.currentMinuteStart = persisted.currentMinuteStart ?? this.currentMinuteStart;
+    this.requestsThisMinute = persisted.requestsThisMinute ?? 0;
+    this.lastRateLimitTime = persisted.lastRateLimitTime ?? 0;
+    this.adaptiveBackoffUntil = persisted.adaptiveBackoffUntil ?? 0;
+    this.requestHistory = persisted.requestHistory || [];
+
+    this.updateMinuteWindow(now);
+    this.cleanOldHistory(now);
+  }
+
   /**
    * Get current statistics
    */
@@ -289,6 +344,32 @@ export class EmpiricalRateLimiter {
     };
   }
 
+  /**
+   * Get a strategy-independent status snapshot
+   */
+  public getSummary(): RateLimiterSummary {
+    const now = Date.now();
+    const recentRequests = this.requestHistory.filter(r => r.timestamp > now - 60000);
+
+    // Count rate limits since the last request that got through
+    let consecutiveRateLimits = 0;
+    for (let i = this.requestHistory.length - 1; i >= 0 && this.requestHistory[i].rateLimited; i--) {
+      consecutiveRateLimits++;
+    }
+
+    return {
+      requestsInWindow: this.requestsThisMinute,
+      maxRequestsPerWindow: this.config.maxRequestsPerMinute,
+      windowDurationMs: 60000,
+      backoffActive: this.adaptiveBackoffUntil > now,
+      consecutiveRateLimits,
+      recentRequests: recentRequests.length,
+      successRate: recentRequests.length > 0
+        ? (recentRequests.filter(r => r.success).length / recentRequests.length) * 100
+        : 100
+    };
+  }
+
   /**
    * Get recommendations for optimizing request patterns
    */
@@ -8,6 +8,7 @@
  */
 
 import { RequestPriority } from '../settings.js';
+import { RateLimiter, RateLimiterSummary } from './rate-limiter.js';
 
 export interface EmpiricalDiscreteWindowConfig {
   // TRUE API PARAMETERS (from live testing)
@@ -36,6 +37,22 @@ export interface DiscreteWindowState {
   criticalBypassResetTime: number;
 }
 
+export interface DiscreteWindowHistoryEntry {
+  timestamp: number;
+  priority: RequestPriority;
+  allowed: boolean;
+  rateLimited: boolean;
+  requestsInWindow: number;
+}
+
+/**
+ * Limiter state persisted across restarts
+ */
+export interface PersistedDiscreteWindowState {
+  state: DiscreteWindowState;
+  requestHistory: DiscreteWindowHistoryEntry[];
+}
+
 export interface RateLimitDecision {
   allowed: boolean;
   reason: string;
@@ -45,16 +62,10 @@ export interface RateLimitDecision {
   recommendation: string;
 }
 
-export class EmpiricalDiscreteWindowLimiter {
+export class EmpiricalDiscreteWindowLimiter implements RateLimiter {
   private config: EmpiricalDiscreteWindowConfig;
   private state: DiscreteWindowState;
-  private requestHistory: Array<{
-    timestamp: number;
-    priority: RequestPriority;
-    allowed: boolean;
-    rateLimited: boolean;
-    requestsInWindow: number;
-  }> = [];
+  private requestHistory: DiscreteWindowHistoryEntry[] = [];
 
   constructor(config: Partial<EmpiricalDiscreteWindowConfig> = {}) {
     this.config = {
@@ -302,6 +313,55 @@ export class EmpiricalDiscreteWindowLimiter {
     return this.state.currentWindowStart + this.config.windowDurationMs;
   }
 
+  /**
+   * Time until a non-critical request would be allowed, without reserving a slot
+   */
+  public getTimeUntilAvailableMs(): number {
+    const now = Date.now();
+    this.updateCurrentWindow(now);
+
+    if (this.state.adaptiveBackoffUntil > now) {
+      return this.state.adaptiveBackoffUntil - now;
+    }
+
+    const timeSinceLastRequest = now - this.state.lastRequestTime;
+    if (this.state.lastRequestTime > 0 && timeSinceLastRequest < this.config.minWindowGapMs) {
+      return this.config.minWindowGapMs - timeSinceLastRequest;
+    }
+
+    if (this.state.requestsInCurrentWindow >= this.config.requestsPerWindow) {
+      return this.calculateWaitTimeForNextWindow();
+    }
+
+    return 0;
+  }
+
+  /**
+   * Export limiter state for persistence
+   */
+  public exportState(): PersistedDiscreteWindowState {
+    return {
+      state: { ...this.state },
+      requestHistory: [...this.requestHistory]
+    };
+  }
+
+  /**
+   * Restore limiter state saved by a previous run
+   */
+  public restoreState(persisted: PersistedDiscreteWindowState): void {
+    if (!persisted || !persisted.state) {
+      return;
+    }
+
+    const now = Date.now();
+    this.state = { ...this.state, ...persisted.state };
+    this.requestHistory = (persisted.requestHistory || []).filter(r => r.timestamp > now - 600000);
+
+    // Re-align window counters with the current wall clock window
+    this.updateCurrentWindow(now);
+  }
+
   /**
    * Get current status
    */
@@ -343,6 +403,22 @@ export class EmpiricalDiscreteWindowLimiter {
     };
   }
 
+  /**
+   * Get a strategy-independent status snapshot
+   */
+  public getSummary(): RateLimiterSummary {
+    const status = this.getStatus();
+    return {
+      requestsInWindow: status.requestsInCurrentWindow,
+      maxRequestsPerWindow: status.maxRequestsPerWindow,
+      windowDurationMs: status.windowDurationMs,
+      backoffActive: status.adaptiveBackoffActive,
+      consecutiveRateLimits: status.consecutiveRateLimits,
+      recentRequests: status.recentRequests,
+      successRate: status.successRate
+    };
+  }
+
   /**
    * Get recommendations for optimal usage
    */
@@ -0,0 +1,370 @@
+/**
+ * Self-calibrating rate limiter for SleepMe API
+ * Starts from the documented limits and adjusts its window length and burst
+ * size from observed 429 responses:
+ * - A 429 after N successful requests in the window caps the burst size at N
+ * - A 429 on the first request of a window means the window is too short
+ * - Sustained fully-used windows without a 429 probe a larger burst / shorter window,
+ *   less often as more rate limits are observed
+ */
+
+import { RequestPriority } from '../settings.js';
+import { Logger } from './types.js';
+import { RateLimiter, RateLimiterDecision, RateLimiterSummary } from './rate-limiter.js';
+
+export interface LearnedRateLimiterConfig {
+  initialWindowMs: number;        // Starting window length
+  initialBurstSize: number;       // Starting requests per window
+  minWindowMs: number;            // Bounds for the learned window length
+  maxWindowMs: number;
+  minBurstSize: number;           // Bounds for the learned burst size
+  maxBurstSize: number;
+  minRequestGapMs: number;        // Minimum gap between any two requests
+  cleanWindowsBeforeProbe: number; // Fully-used windows without 429 before probing higher throughput (doubles per observed 429, up to 32x)
+  criticalBypassLimit: number;    // Critical bypasses per window
+  maxBackoffMs: number;           // Maximum backoff after consecutive 429s
+}
+
+/**
+ * Calibration learned from observed API behaviour
+ */
+export interface LearnedRateLimitModel {
+  windowMs: number;
+  burstSize: number;
+  observedRateLimits: number;
+  cleanWindows: number;
+  lastCalibrated: number;
+}
+
+interface LearnedRequestEntry {
+  timestamp: number;
+  priority: RequestPriority;
+  rateLimited: boolean;
+}
+
+/**
+ * Limiter state persisted across restarts
+ */
+export interface PersistedLearnedState {
+  model: LearnedRateLimitModel;
+  requestHistory: LearnedRequestEntry[];
+  lastRequestTime: number;
+  consecutiveRateLimits: number;
+  backoffUntil: number;
+}
+
+export class LearnedRateLimiter implements RateLimiter {
+  private config: LearnedRateLimiterConfig;
+  private model: LearnedRateLimitModel;
+  private requestHistory: LearnedRequestEntry[] = [];
+  private lastRequestTime = 0;
+  private consecutiveRateLimits = 0;
+  private backoffUntil = 0;
+  private criticalBypassesUsed = 0;
+  private criticalBypassWindowStart = 0;
+
+  // Tracking of the calibration window currently being observed
+  private observedWindowStart = 0;
+  private observedWindowRequests = 0;
+  private observedWindowRateLimited = false;
+
+  constructor(config: Partial<LearnedRateLimiterConfig> = {}, private readonly logger?: Logger) {
+    this.config = {
+      initialWindowMs: 60000,        // API documents 60s windows
+      initialBurstSize: 4,           // Half of the documented 8 requests per window
+      minWindowMs: 30000,
+      maxWindowMs: 180000,
+      minBurstSize: 1,
+      maxBurstSize: 8,
+      minRequestGapMs: 2000,
+      cleanWindowsBeforeProbe: 5,
+      criticalBypassLimit: 1,
+      maxBackoffMs: 300000,          // 5 minutes max backoff
+      ...config
+    };
+
+    this.model = {
+      windowMs: this.config.initialWindowMs,
+      burstSize: this.config.initialBurstSize,
+      observedRateLimits: 0,
+      cleanWindows: 0,
+      lastCalibrated: 0
+    };
+  }
+
+  /**
+   * Check if a request should be allowed within the learned window
+   */
+  public shouldAllowRequest(_priority: RequestPriority): RateLimiterDecision {
+    const now = Date.now();
+
+    if (this.backoffUntil > now) {
+      return {
+        allowed: false,
+        waitTimeMs: this.backoffUntil - now,
+        reason: `Backoff after ${this.consecutiveRateLimits} rate limit(s)`
+      };
+    }
+
+    const timeSinceLastRequest = now - this.lastRequestTime;
+    if (this.lastRequestTime > 0 && timeSinceLastRequest < this.config.minRequestGapMs) {
+      return {
+        allowed: false,
+        waitTimeMs: this.config.minRequestGapMs - timeSinceLastRequest,
+        reason: 'Minimum gap not met'
+      };
+    }
+
+    const inWindow = this.getRequestsInWindow(now);
+    if (inWindow.length < this.model.burstSize) {
+      return { allowed: true, waitTimeMs: 0 };
+    }
+
+    // Window is full - wait until the oldest request slides out
+    const waitTimeMs = Math.max(0, inWindow[0].timestamp + this.model.windowMs - now);
+    return {
+      allowed: false,
+      waitTimeMs,
+      reason: `Learned window full (${inWindow.length}/${this.model.burstSize} per ${Math.round(this.model.windowMs / 1000)}s)`
+    };
+  }
+
+  /**
+   * Use a critical bypass slot if one is left in the current window
+   */
+  public useCriticalBypass(): boolean {
+    const now = Date.now();
+
+    if (now - this.criticalBypassWindowStart >= this.model.windowMs) {
+      this.criticalBypassWindowStart = now;
+      this.criticalBypassesUsed = 0;
+    }
+
+    if (this.criticalBypassesUsed < this.config.criticalBypassLimit) {
+      this.criticalBypassesUsed++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Record the result of a request and calibrate on rate limits
+   */
+  public recordRequest(priority: RequestPriority, success: boolean, rateLimited: boolean): void {
+    const now = Date.now();
+
+    this.advanceObservedWindow(now);
+
+    if (rateLimited) {
+      this.calibrateOnRateLimit(now);
+    } else {
+      this.consecutiveRateLimits = 0;
+    }
+
+    this.requestHistory.push({ timestamp: now, priority, rateLimited });
+    this.lastRequestTime = now;
+    this.observedWindowRequests++;
+
+    // Keep enough history to cover the longest possible window
+    this.requestHistory = this.requestHistory.filter(r => r.timestamp > now - this.config.maxWindowMs);
+  }
+
+  /**
+   * Time until a non-critical request would be allowed
+   */
+  public getTimeUntilAvailableMs(): number {
+    return this.shouldAllowRequest(RequestPriority.NORMAL).waitTimeMs;
+  }
+
+  /**
+   * Get the current calibration
+   */
+  public getModel(): LearnedRateLimitModel {
+    return { ...this.model };
+  }
+
+  /**
+   * Restore calibration learned by a previous run
+   * Values are clamped to the configured bounds
+   */
+  public restoreModel(model: Partial<LearnedRateLimitModel>): void {
+    if (!model) {
+      return;
+    }
+
+    if (typeof model.windowMs === 'number' && Number.isFinite(model.windowMs)) {
+      this.model.windowMs = Math.min(this.config.maxWindowMs, Math.max(this.config.minWindowMs, model.windowMs));
+    }
+    if (typeof model.burstSize === 'number' && Number.isFinite(model.burstSize)) {
+      this.model.burstSize = Math.min(
+        this.config.maxBurstSize,
+        Math.max(this.config.minBurstSize, Math.round(model.burstSize))
+      );
+    }
+    this.model.observedRateLimits = model.observedRateLimits ?? this.model.observedRateLimits;
+    this.model.cleanWindows = model.cleanWindows ?? 0;
+    this.model.lastCalibrated = model.lastCalibrated ?? 0;
+  }
+
+  /**
+   * Export limiter state for persistence
+   */
+  public exportState(): PersistedLearnedState {
+    return {
+      model: this.getModel(),
+      requestHistory: [...this.requestHistory],
+      lastRequestTime: this.lastRequestTime,
+      consecutiveRateLimits: this.consecutiveRateLimits,
+      backoffUntil: this.backoffUntil
+    };
+  }
+
+  /**
+   * Restore limiter state saved by a previous run
+   */
+  public restoreState(persisted: PersistedLearnedState): void {
+    if (!persisted) {
+      return;
+    }
+
+    const now = Date.now();
+    this.restoreModel(persisted.model);
+    this.requestHistory = (persisted.requestHistory || []).filter(r => r.timestamp > now - this.config.maxWindowMs);
+    this.lastRequestTime = persisted.lastRequestTime ?? 0;
+    this.consecutiveRateLimits = persisted.consecutiveRateLimits ?? 0;
+    this.backoffUntil = persisted.backoffUntil ?? 0;
+  }
+
+  /**
+   * Get a strategy-independent status snapshot
+   */
+  public getSummary(): RateLimiterSummary {
+    const now = Date.now();
+    const recentRequests = this.requestHistory.filter(r => r.timestamp > now - 60000);
+
+    return {
+      requestsInWindow: this.getRequestsInWindow(now).length,
+      maxRequestsPerWindow: this.model.burstSize,
+      windowDurationMs: this.model.windowMs,
+      backoffActive: this.backoffUntil > now,
+      consecutiveRateLimits: this.consecutiveRateLimits,
+      recentRequests: recentRequests.length,
+      successRate: recentRequests.length > 0
+        ? (recentRequests.filter(r => !r.rateLimited).length / recentRequests.length) * 100
+        : 100
+    };
+  }
+
+  /**
+   * Get recommendations for optimal usage
+   */
+  public getRecommendations(): string[] {
+    const summary = this.getSummary();
+    const recommendations: string[] = [];
+
+    if (summary.backoffActive) {
+      recommendations.push(`Backoff active - wait ${Math.ceil((this.backoffUntil - Date.now()) / 1000)}s`);
+    }
+
+    if (this.model.observedRateLimits === 0) {
+      recommendations.push('No rate limits observed yet - calibration still uses initial values');
+    }
+
+    recommendations.push(
+      `Learned limit: ${this.model.burstSize} request(s) per ${Math.round(this.model.windowMs / 1000)}s ` +
+      `(${this.model.observedRateLimits} rate limit(s) observed)`
+    );
+
+    return recommendations;
+  }
+
+  /**
+   * Successful (non rate limited) requests inside the learned window, oldest first
+   */
+  private getRequestsInWindow(now: number): LearnedRequestEntry[] {
+    return this.requestHistory.filter(r => !r.rateLimited && r.timestamp > now - this.model.windowMs);
+  }
+
+  /**
+   * Shrink the model after a 429 and start backing off
+   */
+  private calibrateOnRateLimit(now: number): void {
+    const succeededInWindow = this.getRequestsInWindow(now).length;
+    const previous = { ...this.model };
+
+    if (succeededInWindow === 0) {
+      // Rejected on the first request - the API's window is longer than ours
+      this.model.windowMs = Math.min(this.config.maxWindowMs, Math.round(this.model.windowMs * 1.5));
+    } else {
+      // The API accepted this many requests before rejecting
+      this.model.burstSize = Math.max(
+        this.config.minBurstSize,
+        Math.min(this.model.burstSize - 1, succeededInWindow)
+      );
+    }
+
+    this.model.observedRateLimits++;
+    this.model.cleanWindows = 0;
+    this.model.lastCalibrated = now;
+    this.observedWindowRateLimited = true;
+
+    this.consecutiveRateLimits++;
+    const backoffMs = Math.min(
+      this.config.maxBackoffMs,
+      this.model.windowMs * Math.pow(2, this.consecutiveRateLimits - 1)
+    );
+    this.backoffUntil = now + backoffMs;
+
+    this.logCalibration(previous, 'rate limit observed');
+  }
+
+  /**
+   * Close the observed window when it has elapsed and probe for more throughput
+   * after enough fully-used windows without a 429
+   */
+  private advanceObservedWindow(now: number): void {
+    if (now - this.observedWindowStart < this.model.windowMs) {
+      return;
+    }
+
+    if (this.observedWindowStart > 0 && !this.observedWindowRateLimited &&
+        this.observedWindowRequests >= this.model.burstSize) {
+      this.model.cleanWindows++;
+
+      // Probe less often the more rate limits confirmed the current calibration
+      const probeThreshold = this.config.cleanWindowsBeforeProbe * Math.pow(2, Math.min(this.model.observedRateLimits, 5));
+      if (this.model.cleanWindows >= probeThreshold) {
+        const previous = { ...this.model };
+
+        if (this.model.burstSize < this.config.maxBurstSize) {
+          this.model.burstSize++;
+        } else {
+          this.model.windowMs = Math.max(this.config.minWindowMs, Math.round(this.model.windowMs * 0.9));
+        }
+
+        this.model.cleanWindows = 0;
+        this.model.lastCalibrated = now;
+        this.logCalibration(previous, 'sustained load without rate limits');
+      }
+    }
+
+    this.observedWindowStart = now;
+    this.observedWindowRequests = 0;
+    this.observedWindowRateLimited = false;
+  }
+
+  /**
+   * Log calibration changes
+   */
+  private logCalibration(previous: LearnedRateLimitModel, cause: string): void {
+    if (previous.windowMs === this.model.windowMs && previous.burstSize === this.model.burstSize) {
+      return;
+    }
+
+    this.logger?.info(
+      `Rate limit calibration updated (${cause}): ` +
+      `${previous.burstSize}/${Math.round(previous.windowMs / 1000)}s -> ` +
+      `${this.model.burstSize}/${Math.round(this.model.windowMs / 1000)}s`
+    );
+  }
+}
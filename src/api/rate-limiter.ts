@@ -0,0 +1,69 @@
+/**
+ * Common interface implemented by all SleepMe API rate limiting strategies
+ */
+
+import { RequestPriority } from '../settings.js';
+
+/**
+ * Decision on whether a request may be sent now
+ */
+export interface RateLimiterDecision {
+  allowed: boolean;
+  waitTimeMs: number;
+  reason?: string;
+}
+
+/**
+ * Strategy-independent snapshot used for logging and statistics
+ */
+export interface RateLimiterSummary {
+  requestsInWindow: number;
+  maxRequestsPerWindow: number;
+  windowDurationMs: number;
+  backoffActive: boolean;
+  consecutiveRateLimits: number;
+  recentRequests: number;
+  successRate: number;
+}
+
+export interface RateLimiter {
+  /**
+   * Check if a request should be allowed
+   */
+  shouldAllowRequest(priority: RequestPriority): RateLimiterDecision;
+
+  /**
+   * Try to use a critical bypass slot for a request that must go out immediately
+   */
+  useCriticalBypass(): boolean;
+
+  /**
+   * Record the outcome of a request that was sent
+   */
+  recordRequest(priority: RequestPriority, success: boolean, rateLimited: boolean, responseTimeMs?: number): void;
+
+  /**
+   * Time until a non-critical request would be allowed, without reserving a slot
+   */
+  getTimeUntilAvailableMs(): number;
+
+  /**
+   * Get a strategy-independent status snapshot
+   */
+  getSummary(): RateLimiterSummary;
+
+  /**
+   * Get recommendations for optimal usage
+   */
+  getRecommendations(): string[];
+
+  /**
+   * Export limiter state for persistence
+   */
+  exportState(): unknown;
+
+  /**
+   * Restore limiter state saved by a previous run
+   */
+  restoreState(state: unknown): void;
+}
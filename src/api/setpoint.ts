@@ -0,0 +1,63 @@
+/**
+ * Unit-aware setpoints for SleepMe devices
+ * Devices store setpoints in whole °F. Fahrenheit installs keep setpoints on
+ * that grid, so a value chosen in °F reaches the device and comes back unchanged
+ */
+import { MIN_TEMPERATURE_C, MAX_TEMPERATURE_C } from '../settings.js';
+import { TemperatureUnit } from './types.js';
+
+/**
+ * A setpoint in both units
+ */
+export interface Setpoint {
+  celsius: number;     // Value shown in HomeKit and kept in the status cache
+  fahrenheit: number;  // Whole °F value sent to the device
+}
+
+/**
+ * Convert Celsius to Fahrenheit
+ * @param celsius Temperature in Celsius
+ * @returns Temperature in Fahrenheit
+ */
+export function celsiusToFahrenheit(celsius: number): number {
+  return (celsius * 9 / 5) + 32;
+}
+
+/**
+ * Convert Fahrenheit to Celsius
+ * @param fahrenheit Temperature in Fahrenheit
+ * @returns Temperature in Celsius
+ */
+export function fahrenheitToCelsius(fahrenheit: number): number {
+  return (fahrenheit - 32) * 5 / 9;
+}
+
+/**
+ * Build the setpoint for a temperature chosen in HomeKit
+ * In Fahrenheit the value is snapped to the nearest whole °F inside the device
+ * range; in Celsius it is kept exactly as chosen
+ * @param celsius Chosen temperature in Celsius
+ * @param unit Unit the install works in
+ * @returns Setpoint in both units
+ */
+export function toSetpoint(celsius: number, unit: TemperatureUnit): Setpoint {
+  if (unit !== 'F') {
+    return { celsius, fahrenheit: Math.round(celsiusToFahrenheit(celsius)) };
+  }
+
+  const fahrenheit = Math.min(
+    Math.floor(celsiusToFahrenheit(MAX_TEMPERATURE_C)),
+    Math.max(Math.ceil(celsiusToFahrenheit(MIN_TEMPERATURE_C)), Math.round(celsiusToFahrenheit(celsius)))
+  );
+  return fromFahrenheit(fahrenheit);
+}
+
+/**
+ * Build the setpoint for a whole °F value reported by the device
+ * @param fahrenheit Setpoint in Fahrenheit
+ * @returns Setpoint in both units
+ */
+export function fromFahrenheit(fahrenheit: number): Setpoint {
+  // Two decimals are plenty for HomeKit and still round back to the same °F
+  return { celsius: Math.round(fahrenheitToCelsius(fahrenheit) * 100) / 100, fahrenheit };
+}
@@ -9,20 +9,56 @@ import {
   USER_COMMAND_CACHE_VALIDITY_MS,
   SCHEDULE_CACHE_VALIDITY_MS,
   ACTIVE_PERIOD_CACHE_VALIDITY_MS,
+  STATE_PERSIST_INTERVAL_MS,
+  RESTORED_CACHE_MAX_AGE_MS,
   MAX_RETRIES,
+  PATCH_COALESCE_WINDOW_MS,
+  COMMAND_VERIFICATION_DELAY_MS,
+  DEFAULT_RATE_LIMIT_STRATEGY,
+  DEVICE_SCHEDULE_SETPOINT,
+  RateLimitStrategy,
   RequestPriority
 } from '../settings.js';
 import { 
   Device, 
   DeviceStatus,
   ApiStats, 
+  ApiHealth,
   ThermalStatus, 
   PowerState,
-  Logger
+  Logger,
+  TemperatureUnit
 } from './types.js';
+import { toSetpoint, fromFahrenheit } from './setpoint.js';
+import { RateLimiter, RateLimiterSummary } from './rate-limiter.js';
 import { EmpiricalRateLimiter } from './empirical-rate-limiter.js';
 import { UltraConservativeRateLimiter } from './ultra-conservative-rate-limiter.js';
 import { EmpiricalDiscreteWindowLimiter } from './empirical-token-bucket-limiter.js';
+import { LearnedRateLimiter, LearnedRateLimitModel } from './learned-rate-limiter.js';
+import { PersistentStateStore } from '../persistence.js';
+import { DeviceStateStore } from './device-state-store.js';
+
+/**
+ * Key of the persisted device status cache document
+ */
+const STATUS_CACHE_STATE_KEY = 'device-status-cache';
+
+/**
+ * Key of the persisted rate limiter state document
+ */
+const RATE_LIMITER_STATE_KEY = 'rate-limiter-state';
+
+/**
+ * Rate limiter state persisted across restarts
+ * Runtime state only applies to the strategy that saved it; the learned
+ * calibration is kept regardless of age or the active strategy
+ */
+interface PersistedRateLimiterState {
+  savedAt: number;
+  strategy?: RateLimitStrategy;
+  limiter?: unknown;
+  learnedModel?: LearnedRateLimitModel;
+}
 
 /**
  * Interface for a cached device status entry
@@ -33,11 +69,38 @@ interface DeviceStatusCache {
   timestamp: number;                         // When the status was cached
   isOptimistic: boolean;                     // Whether this is an optimistic update
   confidence?: 'low' | 'medium' | 'high';    // Confidence in the cache data
-  source?: 'get' | 'patch' | 'inferred';     // Source of the cache data
+  source?: 'get' | 'patch' | 'inferred' | 'restored'; // Source of the cache data
   verified?: boolean;                        // Whether this has been verified by GET
   context?: 'user' | 'schedule' | 'system';  // Context of the cache update
 }
 
+/**
+ * Device status served from the status cache instead of the API
+ * Status requests resolve with this in place of a raw API payload
+ * when they are answered from the cache (rate limiting, queue backlog)
+ */
+interface CachedStatusResult {
+  status: DeviceStatus;                // Parsed status from the cache
+  fromCache: true;                     // Marks the result as served from the cache
+}
+
+/**
+ * Check whether a status request was answered from the cache
+ * @param response Resolved value of a status request
+ */
+function isCachedStatusResult(response: unknown): response is CachedStatusResult {
+  return typeof response === 'object' && response !== null && (response as CachedStatusResult).fromCache === true;
+}
+
+/**
+ * A command whose result has not been verified yet
+ */
+interface PendingVerification {
+  expected: Partial<DeviceStatus>;     // State the command(s) should have produced
+  commandTime: number;                 // When the latest command was accepted
+  timer: NodeJS.Timeout;               // Timer for the verification GET
+}
+
 /**
  * Interface for a request in the queue
  */
@@ -54,10 +117,22 @@ interface QueuedRequest {
   url: string;                         // Endpoint URL (for logging)
   deviceId?: string;                   // Device ID if applicable
   operationType?: string;              // Operation type for deduplication
+  bypassCache?: boolean;               // Never answer from the status cache (needs the device's actual state)
   lastAttempt?: number;                // When the request was last attempted
   data?: Record<string, unknown>;      // Optional data payload for convenience
 }
 
+/**
+ * Optional settings for the API client
+ */
+export interface SleepMeApiOptions {
+  baseUrl?: string;                    // Override for API_BASE_URL (e.g. local simulator)
+  stateStore?: PersistentStateStore;   // Storage for state that survives restarts
+  rateLimitStrategy?: RateLimitStrategy; // Rate limiting strategy (default discrete-window)
+  stateNamespace?: string;             // Prefix for persisted state keys (one per account)
+  setpointUnit?: TemperatureUnit;      // Unit setpoints are chosen in (default C)
+}
+
 /**
  * SleepMe API Client
  * Handles API communication with rate limiting and robust error handling
@@ -74,20 +149,32 @@ export class SleepMeApi {
   private consecutiveErrors = 0;
   private rateExceededLogged = false;  // Flag to prevent redundant log messages
   
-  // Legacy empirical rate limiter (kept for monitoring)
-  private empiricalRateLimiter: EmpiricalRateLimiter;
-  
-  // Ultra-conservative rate limiter (fallback)
-  private ultraConservativeRateLimiter: UltraConservativeRateLimiter;
+  // Rate limiter for the configured strategy
+  private readonly rateLimitStrategy: RateLimitStrategy;
+  private rateLimiter: RateLimiter;
   
-  // Primary rate limiter - empirical discrete window (based on live testing)
-  private discreteWindowLimiter: EmpiricalDiscreteWindowLimiter;
+  // Learned calibration carried over from a previous run
+  private learnedModel?: LearnedRateLimitModel;
   
   // Request ID counter
   private requestIdCounter = 0;
   
   // Device status cache
   private deviceStatusCache: Map<string, DeviceStatusCache> = new Map();
+  private statusCacheDirty = false;
+  
+  // Latest device states, fleet-wide poll scheduling and change events
+  public readonly deviceStates: DeviceStateStore;
+  
+  // Commands awaiting a verification GET, by device
+  private pendingVerifications: Map<string, PendingVerification> = new Map();
+  
+  // Optional persistent storage for restart-surviving state
+  private readonly stateStore?: PersistentStateStore;
+  private readonly stateNamespace?: string;
+  
+  // Whether rate limiter state from a previous run was restored
+  private rateLimiterStateRestored = false;
   
   // API statistics for monitoring
   private stats: ApiStats = {
@@ -96,7 +183,9 @@ export class SleepMeApi {
     failedRequests: 0,
     lastRequest: null,
     lastError: null,
-    averageResponseTime: 0
+    averageResponseTime: 0,
+    verifiedCommands: 0,
+    driftDetected: 0
   };
   
   // Initial startup delay 
@@ -109,15 +198,24 @@ export class SleepMeApi {
   private authHeaderValue: string;
   private triedWithoutBearer = false;
   private authFormatChangeLogged = false;
+  private authFailed = false;
+
+  // Base URL prepended to every request path
+  private readonly baseUrl: string;
+
+  // Fahrenheit installs keep setpoints on the device's whole °F grid
+  private readonly setpointUnit: TemperatureUnit;
 
   /**
    * Create a new SleepMe API client
    * @param apiToken API authentication token
    * @param logger Logging utility
+   * @param options Optional client settings
    */
   constructor(
     private readonly apiToken: string,
-    private readonly logger: Logger
+    private readonly logger: Logger,
+    options: SleepMeApiOptions = {}
   ) {
     // Validate API token
     if (!apiToken || apiToken.trim() === '') {
@@ -126,6 +224,19 @@ export class SleepMeApi {
     }
 
     this.authHeaderValue = `Bearer ${this.apiToken}`;
+    this.baseUrl = (options.baseUrl || API_BASE_URL).replace(/\/+$/, '');
+    this.setpointUnit = options.setpointUnit || 'C';
+    
+    if (this.baseUrl !== API_BASE_URL) {
+      this.logger.warn(`Using custom API base URL: ${this.baseUrl}`);
+    }
+    
+    // Restore last known device states from the previous run
+    this.stateStore = options.stateStore;
+    this.stateNamespace = options.stateNamespace;
+    this.restoreStatusCache();
+    
+    this.deviceStates = new DeviceStateStore(this, this.logger);
 
     // Startup will be marked complete by the platform after initial discovery
     this.startupComplete = new Promise(resolve => {
@@ -146,37 +257,22 @@ export class SleepMeApi {
     // Set up cache cleanup interval
     setInterval(() => this.cleanupCache(), 300000); // Clean up cache every 5 minutes
     
-    // Initialize legacy empirical rate limiter (kept for monitoring)
-    this.empiricalRateLimiter = new EmpiricalRateLimiter({
-      maxRequestsPerMinute: MAX_REQUESTS_PER_MINUTE,
-      allowCriticalBypass: true,
-      safetyMargin: 0.25 // 25% safety margin
-    });
+    // Initialize the rate limiter for the configured strategy
+    this.rateLimitStrategy = options.rateLimitStrategy || DEFAULT_RATE_LIMIT_STRATEGY;
+    this.rateLimiter = this.createRateLimiter(this.rateLimitStrategy);
     
-    // Initialize ultra-conservative rate limiter (fallback)
-    this.ultraConservativeRateLimiter = new UltraConservativeRateLimiter({
-      bucketCapacity: 2, // Ultra-conservative: 2 tokens based on testing
-      refillIntervalMs: 45000, // 45 seconds based on observed recovery patterns
-      maxBurstSize: 2,
-      allowCriticalBypass: true,
-      emergencyBackoffMs: 120000, // 2 minutes
-      startupGracePeriodMs: 180000 // 3 minutes
-    });
+    // Resume rate limiting where the previous run left off
+    this.restoreRateLimiterState();
     
-    // Initialize PRIMARY rate limiter - empirical discrete window (based on live testing)
-    // CRITICAL FIX: Updated to match actual API server rate limits (8 requests per 60s)
-    this.discreteWindowLimiter = new EmpiricalDiscreteWindowLimiter({
-      windowDurationMs: 60000,        // 60s windows (aligned with API server)
-      requestsPerWindow: 6,           // 6 requests per window (conservative use of 8 available)
-      minWindowGapMs: 5000,           // 5s minimum between requests (much more responsive)
-      safetyMargin: 0.1,              // 10% safety margin (less conservative)
-      allowCriticalBypass: true,
-      criticalBypassLimit: 2,         // 2 critical bypasses per window (leaves budget for normal ops)
-      adaptiveBackoffMultiplier: 1.5, // Moderate backoff on consecutive failures
-      maxAdaptiveBackoffMs: 180000    // 3 minutes max backoff
-    });
+    // Periodically persist changed cache entries and rate limiter state
+    if (this.stateStore) {
+      setInterval(() => {
+        this.persistStatusCache();
+        this.persistRateLimiterState();
+      }, STATE_PERSIST_INTERVAL_MS);
+    }
     
-    this.logger.info('SleepMe API client initialized with empirical token bucket rate limiting');
+    this.logger.info(`SleepMe API client initialized with ${this.rateLimitStrategy} rate limiting`);
   }
   
   /**
@@ -188,47 +284,87 @@ export class SleepMeApi {
   }
   
   /**
-   * Get empirical rate limiter statistics
-   * @returns Current rate limiter statistics and recommendations
+   * Get API conditions that prevent fresh device data
+   * @returns Auth and rate limit lockout state
    */
-  public getRateLimiterStats(): {
-    stats: ReturnType<EmpiricalRateLimiter['getStats']>;
-    recommendations: string[];
-  } {
+  public getHealth(): ApiHealth {
     return {
-      stats: this.empiricalRateLimiter.getStats(),
-      recommendations: this.empiricalRateLimiter.getRecommendations()
+      authFailed: this.authFailed,
+      rateLimited: this.rateLimiter.getSummary().backoffActive
     };
   }
-
+  
   /**
-   * Get ultra-conservative rate limiter statistics and recommendations
-   * @returns Current rate limiter status and recommendations
+   * Get rate limiter statistics and recommendations
+   * @returns Active strategy, status summary and recommendations
    */
-  public getUltraConservativeStats(): {
-    status: ReturnType<UltraConservativeRateLimiter['getStatus']>;
+  public getRateLimiterStats(): {
+    strategy: RateLimitStrategy;
+    summary: RateLimiterSummary;
     recommendations: string[];
+    learnedModel?: LearnedRateLimitModel;
   } {
     return {
-      status: this.ultraConservativeRateLimiter.getStatus(),
-      recommendations: this.ultraConservativeRateLimiter.getRecommendations()
+      strategy: this.rateLimitStrategy,
+      summary: this.rateLimiter.getSummary(),
+      recommendations: this.rateLimiter.getRecommendations(),
+      learnedModel: this.rateLimiter instanceof LearnedRateLimiter ? this.rateLimiter.getModel() : undefined
     };
   }
-
+  
   /**
-   * Get primary discrete window rate limiter statistics and recommendations
-   * @returns Current rate limiter status and detailed statistics
+   * Create the rate limiter for a strategy
+   * @param strategy Rate limiting strategy
+   * @returns Rate limiter instance
    */
-  public getDiscreteWindowStats(): {
-    status: ReturnType<EmpiricalDiscreteWindowLimiter['getStatus']>;
-    detailedStats: ReturnType<EmpiricalDiscreteWindowLimiter['getDetailedStats']>;
-    recommendations: string[];
-  } {
-    return {
-      status: this.discreteWindowLimiter.getStatus(),
-      detailedStats: this.discreteWindowLimiter.getDetailedStats(),
-      recommendations: this.discreteWindowLimiter.getRecommendations()
-    };
+  private createRateLimiter(strategy: RateLimitStrategy): RateLimiter {
+    switch (strategy) {
+      case RateLimitStrategy.TOKEN_BUCKET:
+        // Bucket sized to the observed 3-4 token burst capacity
+        return new UltraConservativeRateLimiter({
+          bucketCapacity: 3,
+          refillIntervalMs: 20000, // 20 seconds (observed 5-30s recovery)
+          maxBurstSize: 3,
+          allowCriticalBypass: true,
+          emergencyBackoffMs: 60000, // 1 minute
+          startupGracePeriodMs: 180000 // 3 minutes
+        });
+        
+      case RateLimitStrategy.CONSERVATIVE:
+        return new UltraConservativeRateLimiter({
+          bucketCapacity: 2, // Ultra-conservative: 2 tokens based on testing
+          refillIntervalMs: 45000, // 45 seconds based on observed recovery patterns
+          maxBurstSize: 2,
+          allowCriticalBypass: true,
+          emergencyBackoffMs: 120000, // 2 minutes
+          startupGracePeriodMs: 180000 // 3 minutes
+        });
+        
+      case RateLimitStrategy.ADAPTIVE:
+        return new EmpiricalRateLimiter({
+          maxRequestsPerMinute: MAX_REQUESTS_PER_MINUTE,
+          allowCriticalBypass: true,
+          safetyMargin: 0.25 // 25% safety margin
+        });
+        
+      case RateLimitStrategy.LEARNED:
+        return new LearnedRateLimiter({}, this.logger);
+        
+      case RateLimitStrategy.DISCRETE_WINDOW:
+      default:
+        // Empirical discrete window (based on live testing)
+        // CRITICAL FIX: Updated to match actual API server rate limits (8 requests per 60s)
+        return new EmpiricalDiscreteWindowLimiter({
+          windowDurationMs: 60000,        // 60s windows (aligned with API server)
+          requestsPerWindow: 6,           // 6 requests per window (conservative use of 8 available)
+          minWindowGapMs: 5000,           // 5s minimum between requests (much more responsive)
+          safetyMargin: 0.1,              // 10% safety margin (less conservative)
+          allowCriticalBypass: true,
+          criticalBypassLimit: 2,         // 2 critical bypasses per window (leaves budget for normal ops)
+          adaptiveBackoffMultiplier: 1.5, // Moderate backoff on consecutive failures
+          maxAdaptiveBackoffMs: 180000    // 3 minutes max backoff
+        });
+    }
   }
   
   /**
@@ -249,6 +385,167 @@ export class SleepMeApi {
     this.logger.debug('Initial discovery marked as complete');
   }
   
+  /**
+   * Get the cached status for a device regardless of cache validity
+   * Used to show the last known state (e.g. restored after a restart)
+   * @param deviceId Device identifier
+   * @returns Cached status or undefined if none
+   */
+  public getCachedDeviceStatus(deviceId: string): DeviceStatus | undefined {
+    return this.deviceStatusCache.get(deviceId)?.status;
+  }
+  
+  /**
+   * Persist state that should survive restarts (called on shutdown)
+   */
+  public persistState(): void {
+    this.persistStatusCache(true);
+    this.persistRateLimiterState();
+  }
+  
+  /**
+   * Get the startup delay required by rate limiter state restored from the previous run
+   * @returns Delay in milliseconds, or undefined if no limiter state was restored
+   */
+  public getRestoredStartupDelayMs(): number | undefined {
+    if (!this.rateLimiterStateRestored) {
+      return undefined;
+    }
+    
+    return this.rateLimiter.getTimeUntilAvailableMs();
+  }
+  
+  /**
+   * Restore persisted rate limiter state so a restart doesn't reset request budgets
+   */
+  private restoreRateLimiterState(): void {
+    if (!this.stateStore) {
+      return;
+    }
+    
+    const persisted = this.stateStore.read<PersistedRateLimiterState>(this.getStateKey(RATE_LIMITER_STATE_KEY));
+    if (!persisted) {
+      return;
+    }
+    
+    try {
+      // Learned calibration is long-lived and kept even when another strategy is active
+      if (persisted.learnedModel) {
+        this.learnedModel = persisted.learnedModel;
+        if (this.rateLimiter instanceof LearnedRateLimiter) {
+          this.rateLimiter.restoreModel(persisted.learnedModel);
+        }
+      }
+      
+      if (persisted.strategy !== this.rateLimitStrategy || !persisted.limiter ||
+          typeof persisted.savedAt !== 'number' || Date.now() - persisted.savedAt > RESTORED_CACHE_MAX_AGE_MS) {
+        return;
+      }
+      
+      this.rateLimiter.restoreState(persisted.limiter);
+      this.rateLimiterStateRestored = true;
+      
+      const waitMs = this.rateLimiter.getTimeUntilAvailableMs();
+      this.logger.info(
+        `Restored rate limiter state from previous run (saved ${Math.round((Date.now() - persisted.savedAt) / 1000)}s ago, ` +
+        `next request allowed in ${Math.ceil(waitMs / 1000)}s)`
+      );
+    } catch (error) {
+      this.logger.warn(`Failed to restore rate limiter state: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+  
+  /**
+   * Write rate limiter state to persistent storage
+   */
+  private persistRateLimiterState(): void {
+    if (!this.stateStore) {
+      return;
+    }
+    
+    if (this.rateLimiter instanceof LearnedRateLimiter) {
+      this.learnedModel = this.rateLimiter.getModel();
+    }
+    
+    const state: PersistedRateLimiterState = {
+      savedAt: Date.now(),
+      strategy: this.rateLimitStrategy,
+      limiter: this.rateLimiter.exportState(),
+      learnedModel: this.learnedModel
+    };
+    
+    this.stateStore.write(this.getStateKey(RATE_LIMITER_STATE_KEY), state);
+  }
+  
+  /**
+   * Get the persisted state key for this client
+   * @param key Base document key
+   * @returns Key prefixed with the state namespace, if any
+   */
+  private getStateKey(key: string): string {
+    return this.stateNamespace ? `${this.stateNamespace}-${key}` : key;
+  }
+  
+  /**
+   * Restore persisted device status cache entries
+   * Restored entries are flagged as low-confidence so normal validity rules apply
+   */
+  private restoreStatusCache(): void {
+    if (!this.stateStore) {
+      return;
+    }
+    
+    const persisted = this.stateStore.read<Record<string, DeviceStatusCache>>(this.getStateKey(STATUS_CACHE_STATE_KEY));
+    if (!persisted) {
+      return;
+    }
+    
+    const now = Date.now();
+    let restoredCount = 0;
+    
+    for (const [deviceId, entry] of Object.entries(persisted)) {
+      if (!entry || !entry.status || typeof entry.timestamp !== 'number' ||
+          now - entry.timestamp > RESTORED_CACHE_MAX_AGE_MS) {
+        continue;
+      }
+      
+      this.deviceStatusCache.set(deviceId, {
+        ...entry,
+        isOptimistic: false,
+        confidence: 'low',
+        source: 'restored',
+        verified: false
+      });
+      restoredCount++;
+    }
+    
+    if (restoredCount > 0) {
+      this.logger.info(`Restored last known status for ${restoredCount} device(s) from previous run`);
+    }
+  }
+  
+  /**
+   * Write the device status cache to persistent storage
+   * @param force Write even if nothing changed since the last write
+   */
+  private persistStatusCache(force = false): void {
+    if (!this.stateStore || (!this.statusCacheDirty && !force)) {
+      return;
+    }
+    
+    const entries: Record<string, DeviceStatusCache> = {};
+    for (const [deviceId, entry] of this.deviceStatusCache.entries()) {
+      // Raw responses are only useful for live debugging
+      const status = { ...entry.status };
+      delete status.rawResponse;
+      entries[deviceId] = { ...entry, status };
+    }
+    
+    this.stateStore.write(this.getStateKey(STATUS_CACHE_STATE_KEY), entries);
+    this.statusCacheDirty = false;
+    this.logger.verbose(`Persisted status cache for ${Object.keys(entries).length} device(s)`);
+  }
+  
   /**
    * Create a simple hash of device ID for consistent jitter
    * @param deviceId Device identifier
@@ -400,7 +697,7 @@ const priority = forceFresh ? RequestPriority.HIGH : RequestPriority.NORMAL;
 
 this.logger.verbose(`Using ${priority} priority for device status request (forceFresh: ${forceFresh})`);
 
-const response = await this.makeRequest<Record<string, unknown>>({
+const response = await this.makeRequest<Record<string, unknown> | CachedStatusResult>({
   method: 'GET',
   url: `/devices/${deviceId}`,
   priority: priority,
@@ -413,6 +710,11 @@ const response = await this.makeRequest<Record<string, unknown>>({
       return null;
     }
     
+    // Answered from the cache under rate limiting or a queue backlog; already parsed
+    if (isCachedStatusResult(response)) {
+      return response.status;
+    }
+    
     // Parse the device status from the response
     const status = this.parseDeviceStatus(response);
     
@@ -426,6 +728,8 @@ const response = await this.makeRequest<Record<string, unknown>>({
       verified: true,  // This is from a GET so it's verified by definition
       context: 'system'  // GET requests are system-initiated
     });
+    this.statusCacheDirty = true;
+    this.deviceStates.update(deviceId, status);
     
     return status;
   } catch (error) {
@@ -473,17 +777,17 @@ const response = await this.makeRequest<Record<string, unknown>>({
 public async turnDeviceOn(deviceId: string, temperature?: number): Promise<boolean> {
   try {
     // Default temperature if none provided
-    const targetTemp = temperature !== undefined ? temperature : 21;
+    const setpoint = toSetpoint(temperature !== undefined ? temperature : 21, this.setpointUnit);
     
-    this.logger.info(`Turning device ${deviceId} ON with temperature ${targetTemp}°C`);
+    this.logger.info(`Turning device ${deviceId} ON with temperature ${this.formatSetpoint(setpoint.celsius)}`);
     
-    // Cancel any pending requests for this device to prevent race conditions
-    this.cancelAllDeviceRequests(deviceId);
+    // Pending settings changes for this device are coalesced into one PATCH
+    // rather than cancelled, so e.g. a scene's power and temperature go out together
     
     // Create payload for API - using integers for temperature values
     const payload: Record<string, unknown> = {
       // Set Fahrenheit as primary temp (matching API expectation)
-      set_temperature_f: Math.round(this.convertCtoF(targetTemp)),
+      set_temperature_f: setpoint.fahrenheit,
       thermal_control_status: 'active'
     };
     
@@ -496,11 +800,12 @@ public async turnDeviceOn(deviceId: string, temperature?: number): Promise<boole
       // This is critical for the trust-based approach
       this.updateCacheWithTrustedState(deviceId, {
         powerState: PowerState.ON,
-        targetTemperature: targetTemp,
+        targetTemperature: setpoint.celsius,
+        targetTemperatureF: setpoint.fahrenheit,
         thermalStatus: ThermalStatus.ACTIVE,
         // We don't know current temperature yet, but we'll assume it's moving toward target
         // This gives better UX without requiring a GET
-        currentTemperature: this.getLastKnownTemperature(deviceId, targetTemp)
+        currentTemperature: this.getLastKnownTemperature(deviceId, setpoint.celsius)
       }, 'user');
       
       this.logger.verbose(`Device ${deviceId} turned ON successfully`);
@@ -524,8 +829,7 @@ public async turnDeviceOff(deviceId: string): Promise<boolean> {
   try {
     this.logger.info(`Turning device ${deviceId} OFF`);
     
-    // Cancel any pending requests for this device
-    this.cancelAllDeviceRequests(deviceId);
+    // Pending settings changes for this device are coalesced into one PATCH (later fields win)
     
     // Create payload with standby status
     const payload = {
@@ -564,14 +868,15 @@ public async turnDeviceOff(deviceId: string): Promise<boolean> {
  */
 public async setTemperature(deviceId: string, temperature: number): Promise<boolean> {
   try {
-    this.logger.info(`Setting device ${deviceId} temperature to ${temperature}°C`);
+    // Whole Fahrenheit (matching API expectation); Fahrenheit installs keep the exact chosen value
+    const setpoint = toSetpoint(temperature, this.setpointUnit);
+    const label = this.formatSetpoint(setpoint.celsius);
     
-    // Convert to Fahrenheit and round to integer (matching API expectation)
-    const tempF = Math.round(this.convertCtoF(temperature));
+    this.logger.info(`Setting device ${deviceId} temperature to ${label}`);
     
     // Create payload following API format
     const payload = {
-      set_temperature_f: tempF
+      set_temperature_f: setpoint.fahrenheit
     };
     
     this.logger.verbose(`Set temperature payload: ${JSON.stringify(payload)}`);
@@ -581,16 +886,17 @@ public async setTemperature(deviceId: string, temperature: number): Promise<bool
     if (success) {
       // Update cache with trusted state - key to trust-based approach
       this.updateCacheWithTrustedState(deviceId, {
-        targetTemperature: temperature,
+        targetTemperature: setpoint.celsius,
+        targetTemperatureF: setpoint.fahrenheit,
         // Setting temperature implies the device is ON
         powerState: PowerState.ON,
         thermalStatus: ThermalStatus.ACTIVE
       }, 'user');
       
-      this.logger.verbose(`Device ${deviceId} temperature set successfully to ${temperature}°C`);
+      this.logger.verbose(`Device ${deviceId} temperature set successfully to ${label}`);
       return true;
     } else {
-      this.logger.error(`Failed to set device ${deviceId} temperature to ${temperature}°C`);
+      this.logger.error(`Failed to set device ${deviceId} temperature to ${label}`);
       return false;
     }
   } catch (error) {
@@ -610,17 +916,20 @@ public async setTemperature(deviceId: string, temperature: number): Promise<bool
   /**
    * Turn device on for schedule operation (uses schedule context)
    * @param deviceId Device identifier
-   * @param temperature Target temperature in Celsius
+   * @param temperature Target temperature in Celsius; the current setpoint is kept if left out
    * @returns Whether operation was successful
    */
-  public async turnDeviceOnForSchedule(deviceId: string, temperature: number): Promise<boolean> {
+  public async turnDeviceOnForSchedule(deviceId: string, temperature?: number): Promise<boolean> {
+    if (temperature === undefined) {
+      return this.setThermalStatusForSchedule(deviceId, true);
+    }
+    
     try {
-      this.logger.info(`Schedule: Turning device ${deviceId} ON with temperature ${temperature}°C`);
-      
-      this.cancelAllDeviceRequests(deviceId);
+      const setpoint = toSetpoint(temperature, this.setpointUnit);
+      this.logger.info(`Schedule: Turning device ${deviceId} ON with temperature ${this.formatSetpoint(setpoint.celsius)}`);
       
       const payload: Record<string, unknown> = {
-        set_temperature_f: Math.round(this.convertCtoF(temperature)),
+        set_temperature_f: setpoint.fahrenheit,
         thermal_control_status: 'active'
       };
       
@@ -629,9 +938,10 @@ public async setTemperature(deviceId: string, temperature: number): Promise<bool
       if (success) {
         this.updateCacheWithTrustedState(deviceId, {
           powerState: PowerState.ON,
-          targetTemperature: temperature,
+          targetTemperature: setpoint.celsius,
+          targetTemperatureF: setpoint.fahrenheit,
           thermalStatus: ThermalStatus.ACTIVE,
-          currentTemperature: this.getLastKnownTemperature(deviceId, temperature)
+          currentTemperature: this.getLastKnownTemperature(deviceId, setpoint.celsius)
         }, 'schedule');
         
         this.logger.verbose(`Schedule: Device ${deviceId} turned ON successfully`);
@@ -644,6 +954,46 @@ public async setTemperature(deviceId: string, temperature: number): Promise<bool
     }
   }
 
+  /**
+   * Turn device off for schedule operation (uses schedule context)
+   * @param deviceId Device identifier
+   * @returns Whether operation was successful
+   */
+  public async turnDeviceOffForSchedule(deviceId: string): Promise<boolean> {
+    return this.setThermalStatusForSchedule(deviceId, false);
+  }
+
+  /**
+   * Switch a device on or off without changing its setpoint (uses schedule context)
+   * @param deviceId Device identifier
+   * @param on Whether to turn the device on
+   * @returns Whether operation was successful
+   */
+  private async setThermalStatusForSchedule(deviceId: string, on: boolean): Promise<boolean> {
+    const action = on ? 'ON at its current setpoint' : 'OFF';
+    try {
+      this.logger.info(`Schedule: Turning device ${deviceId} ${action}`);
+      
+      const success = await this.updateDeviceSettings(deviceId, {
+        thermal_control_status: on ? 'active' : 'standby'
+      });
+      
+      if (success) {
+        this.updateCacheWithTrustedState(deviceId, {
+          powerState: on ? PowerState.ON : PowerState.OFF,
+          thermalStatus: on ? ThermalStatus.ACTIVE : ThermalStatus.STANDBY
+        }, 'schedule');
+        
+        this.logger.verbose(`Schedule: Device ${deviceId} turned ${action} successfully`);
+        return true;
+      }
+      return false;
+    } catch (error) {
+      this.handleApiError(`setThermalStatusForSchedule(${deviceId})`, error);
+      return false;
+    }
+  }
+
   /**
    * Set temperature for schedule operation (uses schedule context)
    * @param deviceId Device identifier
@@ -652,22 +1002,25 @@ public async setTemperature(deviceId: string, temperature: number): Promise<bool
    */
   public async setTemperatureForSchedule(deviceId: string, temperature: number): Promise<boolean> {
     try {
-      this.logger.info(`Schedule: Setting device ${deviceId} temperature to ${temperature}°C`);
+      const setpoint = toSetpoint(temperature, this.setpointUnit);
+      const label = this.formatSetpoint(setpoint.celsius);
+      this.logger.info(`Schedule: Setting device ${deviceId} temperature to ${label}`);
       
       const payload = {
-        set_temperature_f: Math.round(this.convertCtoF(temperature))
+        set_temperature_f: setpoint.fahrenheit
       };
       
       const success = await this.updateDeviceSettings(deviceId, payload);
       
       if (success) {
         this.updateCacheWithTrustedState(deviceId, {
-          targetTemperature: temperature,
+          targetTemperature: setpoint.celsius,
+          targetTemperatureF: setpoint.fahrenheit,
           powerState: PowerState.ON,
           thermalStatus: ThermalStatus.ACTIVE
         }, 'schedule');
         
-        this.logger.verbose(`Schedule: Device ${deviceId} temperature set successfully to ${temperature}°C`);
+        this.logger.verbose(`Schedule: Device ${deviceId} temperature set successfully to ${label}`);
         return true;
       }
       return false;
@@ -677,6 +1030,32 @@ public async setTemperature(deviceId: string, temperature: number): Promise<bool
     }
   }
 
+  /**
+   * Set the temperature unit shown on the device's display
+   * @param deviceId Device identifier
+   * @param unit Display unit
+   * @returns Whether operation was successful
+   */
+  public async setDisplayUnit(deviceId: string, unit: 'C' | 'F'): Promise<boolean> {
+    try {
+      this.logger.info(`Setting device ${deviceId} display unit to °${unit}`);
+      
+      const success = await this.updateDeviceSettings(deviceId, {
+        display_temperature_unit: unit.toLowerCase()
+      });
+      
+      if (success) {
+        this.updateCacheWithTrustedState(deviceId, { displayUnit: unit }, 'user');
+        return true;
+      }
+      this.logger.error(`Failed to set device ${deviceId} display unit to °${unit}`);
+      return false;
+    } catch (error) {
+      this.handleApiError(`setDisplayUnit(${deviceId})`, error);
+      return false;
+    }
+  }
+
   /**
    * Update device settings
    * @param deviceId Device identifier
@@ -699,6 +1078,7 @@ public async setTemperature(deviceId: string, temperature: number): Promise<bool
       
       // Cancel any pending device status requests for this device
       this.cancelPendingRequests(deviceId, 'getDeviceStatus');
+      this.cancelPendingRequests(deviceId, 'verifyDeviceStatus');
       
       // Make the request with CRITICAL priority for user-initiated actions
       await this.makeRequest<Record<string, unknown>>({
@@ -757,6 +1137,11 @@ private updateCacheWithTrustedState(deviceId: string, updates: Partial<DeviceSta
       }
     }
     
+    // A setpoint from a command takes the device off its own schedule
+    if (updates.targetTemperature !== undefined) {
+      updatedStatus.deviceScheduleActive = updates.targetTemperature >= DEVICE_SCHEDULE_SETPOINT;
+    }
+    
     // Explicitly log the before and after power states for debugging
     this.logger.verbose(
       `Cache update: Previous power=${cachedEntry.status.powerState}, ` +
@@ -794,6 +1179,14 @@ private updateCacheWithTrustedState(deviceId: string, updates: Partial<DeviceSta
     verified: false,  // Not verified yet, but trusted until proven otherwise
     context: context
   });
+  this.statusCacheDirty = true;
+  this.deviceStates.update(deviceId, updatedStatus);
+  
+  // Trusted state is checked against the device once the command had time to apply
+  this.scheduleVerification(deviceId, {
+    powerState: updatedStatus.powerState,
+    targetTemperature: updates.targetTemperature
+  });
   
   this.logger.verbose(
     `Updated cache with trusted state for device ${deviceId}: ` +
@@ -803,6 +1196,123 @@ private updateCacheWithTrustedState(deviceId: string, updates: Partial<DeviceSta
   );
 }
 
+  /**
+   * Schedule a low-priority GET that checks a command's trusted state
+   * Commands sent before the check runs are merged into one verification
+   * @param deviceId Device identifier
+   * @param expected State the command should have produced
+   */
+  private scheduleVerification(deviceId: string, expected: Partial<DeviceStatus>): void {
+    const existing = this.pendingVerifications.get(deviceId);
+    if (existing) {
+      clearTimeout(existing.timer);
+    }
+    
+    const merged: Partial<DeviceStatus> = { ...existing?.expected };
+    for (const [key, value] of Object.entries(expected)) {
+      if (value !== undefined) {
+        (merged as Record<string, unknown>)[key] = value;
+      }
+    }
+    
+    this.pendingVerifications.set(deviceId, {
+      expected: merged,
+      commandTime: Date.now(),
+      timer: setTimeout(() => {
+        this.verifyDeviceState(deviceId).catch(error => {
+          this.handleApiError(`verifyDeviceState(${deviceId})`, error);
+        });
+      }, COMMAND_VERIFICATION_DELAY_MS)
+    });
+  }
+  
+  /**
+   * Compare the device's actual state with the trusted state of recent commands
+   * Mismatches are logged, counted as drift and pushed to subscribers
+   * @param deviceId Device identifier
+   */
+  private async verifyDeviceState(deviceId: string): Promise<void> {
+    const pending = this.pendingVerifications.get(deviceId);
+    if (!pending) {
+      return;
+    }
+    this.pendingVerifications.delete(deviceId);
+    
+    let actual: DeviceStatus;
+    const cachedEntry = this.deviceStatusCache.get(deviceId);
+    
+    if (cachedEntry && cachedEntry.source === 'get' && cachedEntry.timestamp > pending.commandTime) {
+      // A regular poll already fetched the state after the command
+      actual = cachedEntry.status;
+    } else {
+      const response = await this.makeRequest<Record<string, unknown>>({
+        method: 'GET',
+        url: `/devices/${deviceId}`,
+        priority: RequestPriority.LOW,
+        deviceId,
+        operationType: 'verifyDeviceStatus',
+        bypassCache: true
+      });
+      
+      // Cancelled by a newer command, or superseded while the request was queued
+      if (!response || this.pendingVerifications.has(deviceId)) {
+        return;
+      }
+      
+      actual = this.parseDeviceStatus(response);
+      this.deviceStatusCache.set(deviceId, {
+        status: actual,
+        timestamp: Date.now(),
+        isOptimistic: false,
+        confidence: 'high',
+        source: 'get',
+        verified: true,
+        context: 'system'
+      });
+      this.statusCacheDirty = true;
+    }
+    
+    this.stats.verifiedCommands++;
+    const mismatches = this.findStateMismatches(pending.expected, actual);
+    
+    if (mismatches.length > 0) {
+      this.stats.driftDetected++;
+      this.logger.warn(
+        `Device ${deviceId} did not apply the last command (${mismatches.join(', ')}). ` +
+        `Updating HomeKit with the actual state (drift count: ${this.stats.driftDetected})`
+      );
+    } else {
+      this.logger.verbose(`Command verified for device ${deviceId}`);
+    }
+    
+    // Corrected values reach HomeKit through the device state store
+    this.deviceStates.update(deviceId, actual);
+  }
+  
+  /**
+   * List fields where a device's actual state differs from the expected state
+   * @param expected Expected power state and target temperature
+   * @param actual Actual device status
+   * @returns Descriptions of the differing fields
+   */
+  private findStateMismatches(expected: Partial<DeviceStatus>, actual: DeviceStatus): string[] {
+    const mismatches: string[] = [];
+    
+    if (expected.powerState && actual.powerState !== PowerState.UNKNOWN &&
+        expected.powerState !== actual.powerState) {
+      mismatches.push(`power expected ${expected.powerState}, actual ${actual.powerState}`);
+    }
+    
+    // Target temperature only matters while running; allow for Fahrenheit rounding
+    if (expected.targetTemperature !== undefined && expected.powerState !== PowerState.OFF &&
+        actual.powerState === PowerState.ON &&
+        Math.abs(expected.targetTemperature - actual.targetTemperature) >= 1) {
+      mismatches.push(`target expected ${expected.targetTemperature}°C, actual ${actual.targetTemperature}°C`);
+    }
+    
+    return mismatches;
+  }
+  
 /**
  * Get the last known temperature or a reasonable approximation
  * This helps provide a smoother UX during temperature transitions
@@ -845,6 +1355,21 @@ private parseDeviceStatus(response: Record<string, unknown>): DeviceStatus {
     powerState: this.extractPowerState(response),
     rawResponse: response
   };
+  status.deviceScheduleActive = status.targetTemperature >= DEVICE_SCHEDULE_SETPOINT;
+  
+  // The device stores whole °F; Fahrenheit installs take the setpoint from there
+  // so a chosen °F value doesn't drift through the Celsius conversion
+  const targetTemperatureF = this.extractNestedValue(response, 'control.set_temperature_f') ??
+                           this.extractNestedValue(response, 'set_temperature_f');
+  
+  if (typeof targetTemperatureF === 'number' && !isNaN(targetTemperatureF)) {
+    status.targetTemperatureF = targetTemperatureF;
+    
+    // Keep the schedule mode marker (999) as reported
+    if (this.setpointUnit === 'F' && !status.deviceScheduleActive) {
+      status.targetTemperature = fromFahrenheit(targetTemperatureF).celsius;
+    }
+  }
   // Extract firmware version and other details
   const firmwareVersion = this.extractNestedValue(response, 'about.firmware_version') || 
                         this.extractNestedValue(response, 'firmware_version');
@@ -876,6 +1401,13 @@ private parseDeviceStatus(response: Record<string, unknown>): DeviceStatus {
     status.isWaterLow = Boolean(isWaterLow);
   }
   
+  const displayUnit = this.extractNestedValue(response, 'control.display_temperature_unit') ||
+                     this.extractNestedValue(response, 'display_temperature_unit');
+  
+  if (displayUnit === 'c' || displayUnit === 'f') {
+    status.displayUnit = displayUnit === 'f' ? 'F' : 'C';
+  }
+  
   // Log the status information
   this.logger.verbose(
     `Device status: Temp=${status.currentTemperature}°C, ` +
@@ -920,7 +1452,7 @@ private async processQueue(): Promise<void> {
                            request.data.thermal_control_status === 'standby';
         
         // Try to use a critical bypass
-        criticalBypassUsed = this.discreteWindowLimiter.useCriticalBypass();
+        criticalBypassUsed = this.rateLimiter.useCriticalBypass();
         
         if (criticalBypassUsed) {
           this.logger.debug(`Critical request using bypass and executing immediately${isOffCommand ? ' (OFF command)' : ''}`);
@@ -938,10 +1470,10 @@ private async processQueue(): Promise<void> {
       // For non-critical requests or critical requests without bypasses, check rate limits
       if (!criticalBypassUsed) {
         
-        const rateLimitCheck = this.discreteWindowLimiter.shouldAllowRequest(request.priority);
+        const rateLimitCheck = this.rateLimiter.shouldAllowRequest(request.priority);
         
         // Emergency protection: if we've had multiple consecutive rate limits, increase wait time
-        if (this.discreteWindowLimiter.getStatus().consecutiveRateLimits > 2 && !rateLimitCheck.allowed) {
+        if (this.rateLimiter.getSummary().consecutiveRateLimits > 2 && !rateLimitCheck.allowed) {
           const emergencyWaitMs = Math.max(0, Math.min(rateLimitCheck.waitTimeMs * 1.5, 60000));
           this.logger.warn(`Emergency rate limit protection: extending wait to ${Math.ceil(emergencyWaitMs / 1000)}s`);
           await new Promise(resolve => setTimeout(resolve, emergencyWaitMs));
@@ -953,7 +1485,8 @@ private async processQueue(): Promise<void> {
           // For status requests, try to use cached data before waiting
           if (request.config.method === 'GET' && 
               request.config.url?.includes('/devices/') && 
-              request.priority !== RequestPriority.CRITICAL) {
+              request.priority !== RequestPriority.CRITICAL &&
+              !request.bypassCache) {
             
             const deviceId = request.config.url.split('/devices/')[1];
             if (deviceId && this.deviceStatusCache.has(deviceId)) {
@@ -972,7 +1505,8 @@ private async processQueue(): Promise<void> {
                   this.removeRequestFromQueue(queueIndex.queue, queueIndex.index);
                 }
                 
-                request.resolve(cached.status);
+                const result: CachedStatusResult = { status: cached.status, fromCache: true };
+                request.resolve(result);
                 continue;
               }
             }
@@ -999,15 +1533,14 @@ private async processQueue(): Promise<void> {
             }
             
             // Verbose debug logging only when needed for troubleshooting
-            const currentWindowStatus = this.discreteWindowLimiter.getStatus();
+            const currentWindowStatus = this.rateLimiter.getSummary();
             if (currentWindowStatus.consecutiveRateLimits > 1) {
               this.logger.debug(
-                `Rate limit details: Priority=${request.priority}, ` +
-                `WindowRequests=${currentWindowStatus.requestsInCurrentWindow}/${currentWindowStatus.maxRequestsPerWindow}, ` +
+                `Rate limit details: Strategy=${this.rateLimitStrategy}, Priority=${request.priority}, ` +
+                `WindowRequests=${currentWindowStatus.requestsInWindow}/${currentWindowStatus.maxRequestsPerWindow}, ` +
                 `WindowDuration=${currentWindowStatus.windowDurationMs}ms, ` +
-                `AdaptiveBackoff=${currentWindowStatus.adaptiveBackoffActive}, ` +
-                `ConsecutiveFailures=${currentWindowStatus.consecutiveRateLimits}, ` +
-                `CriticalBypasses=${currentWindowStatus.criticalBypassesUsed}/${currentWindowStatus.criticalBypassesRemaining + currentWindowStatus.criticalBypassesUsed}`
+                `Backoff=${currentWindowStatus.backoffActive}, ` +
+                `ConsecutiveFailures=${currentWindowStatus.consecutiveRateLimits}`
               );
             }
             
@@ -1031,7 +1564,7 @@ private async processQueue(): Promise<void> {
       const startTime = now;
       
       try {
-        // Rate limiting is now handled exclusively by the empirical token bucket limiter
+        // Rate limiting is handled exclusively by the configured rate limiter
         
         // Add auth token and content headers to request
         request.config.headers = {
@@ -1054,10 +1587,9 @@ private async processQueue(): Promise<void> {
         const responseTime = Date.now() - startTime;
         this.updateAverageResponseTime(responseTime);
         
-        // Record successful request in all rate limiters
-        this.empiricalRateLimiter.recordRequest(request.priority, true, responseTime, false);
-        this.ultraConservativeRateLimiter.recordRequest(request.priority, true, false);
-        this.discreteWindowLimiter.recordRequest(request.priority, true, false);
+        // Record successful request in the rate limiter
+        this.rateLimiter.recordRequest(request.priority, true, false, responseTime);
+        this.authFailed = false;
 
         // Log when auth format change is detected and confirmed working
         if (this.triedWithoutBearer && !this.authFormatChangeLogged) {
@@ -1071,7 +1603,7 @@ private async processQueue(): Promise<void> {
         // Log successful request timing for patterns analysis
         this.logger.verbose(
           `Request success: ${request.method} ${request.url} [${request.priority}] ` +
-          `took ${responseTime}ms, ${this.discreteWindowLimiter.getStatus().requestsInCurrentWindow}/${this.discreteWindowLimiter.getStatus().maxRequestsPerWindow} window requests used`
+          `took ${responseTime}ms, ${this.rateLimiter.getSummary().requestsInWindow}/${this.rateLimiter.getSummary().maxRequestsPerWindow} window requests used`
         );
         
         // Resolve the promise with the data
@@ -1093,23 +1625,21 @@ private async processQueue(): Promise<void> {
         if (axiosError.response?.status === 429) {
           const responseTime = Date.now() - startTime;
           
-          // Record rate limit in all rate limiters
-          this.empiricalRateLimiter.recordRequest(request.priority, false, responseTime, true);
-          this.ultraConservativeRateLimiter.recordRequest(request.priority, false, true);
-          this.discreteWindowLimiter.recordRequest(request.priority, false, true);
+          // Record rate limit in the rate limiter
+          this.rateLimiter.recordRequest(request.priority, false, true, responseTime);
           
           // Enhanced logging for 429 errors to track patterns
-          const windowStatus = this.discreteWindowLimiter.getStatus();
+          const windowStatus = this.rateLimiter.getSummary();
           this.logger.warn(
             `429 Rate Limit Hit: ${request.method} ${request.url} [${request.priority}] ` +
-            `after ${responseTime}ms. Window state: ${windowStatus.requestsInCurrentWindow}/${windowStatus.maxRequestsPerWindow} requests, ` +
+            `after ${responseTime}ms. Window state: ${windowStatus.requestsInWindow}/${windowStatus.maxRequestsPerWindow} requests, ` +
             `Success rate: ${windowStatus.successRate.toFixed(1)}%, ` +
             `Recent requests: ${windowStatus.recentRequests}, ` +
             `Consecutive failures: ${windowStatus.consecutiveRateLimits}`
           );
           
           this.logger.warn(
-            `Rate limit exceeded (429) for ${request.priority} request. Token bucket rate limiter will handle backoff.`
+            `Rate limit exceeded (429) for ${request.priority} request. Rate limiter (${this.rateLimitStrategy}) will handle backoff.`
           );
           
           // Legacy rate limiting counter removed - now handled by token bucket limiter
@@ -1170,6 +1700,7 @@ private async processQueue(): Promise<void> {
           }
 
           // Auth format change didn't help, or already tried - token is likely invalid
+          this.authFailed = true;
           this.logger.error(
             'Authentication failed (403 Forbidden). ' +
             'Please verify your API token is valid. You may need to generate ' +
@@ -1182,8 +1713,8 @@ private async processQueue(): Promise<void> {
           this.consecutiveErrors++;
           const responseTime = Date.now() - startTime;
           
-          // Record failed request in empirical rate limiter
-          this.empiricalRateLimiter.recordRequest(request.priority, false, responseTime, false);
+          // Record failed request in the rate limiter
+          this.rateLimiter.recordRequest(request.priority, false, false, responseTime);
           
           // Critical and high priority get more retries
           const maxRetries = request.priority === RequestPriority.CRITICAL 
@@ -1422,6 +1953,7 @@ private async makeRequest<T>(options: {
   priority?: RequestPriority;
   deviceId?: string;
   operationType?: string;
+  bypassCache?: boolean;
 }): Promise<T> {
   // Set default priority
   const priority = options.priority || RequestPriority.NORMAL;
@@ -1451,6 +1983,14 @@ private async makeRequest<T>(options: {
     }
   }
   
+  // PATCH COALESCING - merge settings changes for the same device into one pending request
+  if (options.operationType === 'updateDeviceSettings' && options.deviceId && options.data) {
+    const pendingPatch = this.findExistingRequest(options.deviceId, options.operationType);
+    if (pendingPatch) {
+      return this.coalescePatchRequest<T>(pendingPatch, options.data as Record<string, unknown>);
+    }
+  }
+  
   // Skip redundant status updates only if queue is getting large (not due to rate limiting)
   // Rate limiting should be handled by the rate limiter itself, not by skipping requests
   if (this.criticalQueue.length + this.highPriorityQueue.length > 8 && 
@@ -1465,7 +2005,8 @@ private async makeRequest<T>(options: {
       const age = Date.now() - cached.timestamp;
       if (age < 300000) { // Use cache if less than 5 minutes old
         this.logger.debug(`Returning cached data for device ${options.deviceId} (age: ${Math.round(age/1000)}s)`);
-        return Promise.resolve(cached.status as T);
+        const result: CachedStatusResult = { status: cached.status, fromCache: true };
+        return Promise.resolve(result as T);
       }
     }
     
@@ -1499,7 +2040,7 @@ private async makeRequest<T>(options: {
     // Create request config
     const config: AxiosRequestConfig = {
       method: options.method,
-      url: API_BASE_URL + options.url,
+      url: this.baseUrl + options.url,
       timeout: 30000, // 30 second timeout to prevent hanging requests
       validateStatus: (status) => {
         // Consider 2xx status codes as successful
@@ -1525,6 +2066,7 @@ private async makeRequest<T>(options: {
       url: options.url,
       deviceId: options.deviceId,
       operationType: options.operationType,
+      bypassCache: options.bypassCache,
       data: options.data as Record<string, unknown>  // Store data for filtering in getNextRequest
     };
     
@@ -1548,7 +2090,12 @@ private async makeRequest<T>(options: {
     
     // Start processing the queue if not already running
     if (!this.processingQueue) {
-      this.processQueue();
+      if (options.operationType === 'updateDeviceSettings') {
+        // Give settings changes arriving together a moment to coalesce
+        setTimeout(() => this.processQueue(), PATCH_COALESCE_WINDOW_MS);
+      } else {
+        this.processQueue();
+      }
     }
   });
 }
@@ -1743,6 +2290,39 @@ private removeRequestFromQueue(queue: QueuedRequest[], index: number): void {
   }
 }
 
+/**
+ * Merge a settings change into a pending PATCH for the same device
+ * Later fields win; every caller's promise resolves from the single response
+ * @param pendingPatch Queued PATCH that has not started executing
+ * @param data Settings to merge into the pending payload
+ * @returns Promise resolving to the response of the merged request
+ */
+private coalescePatchRequest<T>(pendingPatch: QueuedRequest, data: Record<string, unknown>): Promise<T> {
+  const mergedData = { ...(pendingPatch.data || {}), ...data };
+  pendingPatch.data = mergedData;
+  pendingPatch.config.data = mergedData;
+  
+  this.logger.info(
+    `Coalescing PATCH for device ${pendingPatch.deviceId} into pending request ${pendingPatch.id}: ` +
+    JSON.stringify(mergedData)
+  );
+  
+  return new Promise<T>((resolve, reject) => {
+    const originalResolve = pendingPatch.resolve;
+    const originalReject = pendingPatch.reject;
+    
+    pendingPatch.resolve = (value: unknown) => {
+      originalResolve(value);
+      resolve(value as T);
+    };
+    
+    pendingPatch.reject = (reason: unknown) => {
+      originalReject(reason);
+      reject(reason);
+    };
+  });
+}
+
 /**
  * Find an existing request for the same device and operation (for deduplication)
  * @param deviceId Device ID to search for
@@ -1774,20 +2354,13 @@ private findExistingRequest(deviceId: string, operationType: string): QueuedRequ
 }
 
 /**
- * Convert Celsius to Fahrenheit
- * @param celsius Temperature in Celsius
- * @returns Temperature in Fahrenheit
- */
-private convertCtoF(celsius: number): number {
-  return (celsius * 9/5) + 32;
-}
-
-/**
- * Convert Fahrenheit to Celsius
- * @param fahrenheit Temperature in Fahrenheit
- * @returns Temperature in Celsius
+ * Format a setpoint for logs in the unit setpoints are chosen in
+ * @param celsius Setpoint in Celsius
+ * @returns Formatted setpoint
  */
-private convertFtoC(fahrenheit: number): number {
-  return (fahrenheit - 32) * 5/9;
+private formatSetpoint(celsius: number): string {
+  return this.setpointUnit === 'F'
+    ? `${toSetpoint(celsius, 'F').fahrenheit}°F (${celsius}°C)`
+    : `${celsius}°C`;
 }
 }
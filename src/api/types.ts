@@ -11,6 +11,11 @@ export interface Device {
   attachments?: string[];
 }
 
+/**
+ * Temperature unit
+ */
+export type TemperatureUnit = 'C' | 'F';
+
 /**
  * Device status information
  */
@@ -18,6 +23,7 @@ export interface DeviceStatus {
   // Thermal control data
   currentTemperature: number;
   targetTemperature: number;
+  targetTemperatureF?: number;  // Setpoint in whole °F as stored by the device
   thermalStatus: ThermalStatus;
   powerState: PowerState;
   
@@ -26,6 +32,8 @@ export interface DeviceStatus {
   connected?: boolean;
   waterLevel?: number;
   isWaterLow?: boolean;
+  deviceScheduleActive?: boolean; // Following the SleepMe app's own schedule (setpoint 999)
+  displayUnit?: TemperatureUnit;  // Unit shown on the device's display
   
   // Raw API response for debugging
   rawResponse?: Record<string, unknown>;
@@ -72,6 +80,16 @@ export interface ApiStats {
   lastRequest: Date | null;
   lastError: Error | null;
   averageResponseTime: number;
+  verifiedCommands: number;     // Commands checked with a verification GET
+  driftDetected: number;        // Verifications where the device state differed
+}
+
+/**
+ * API conditions that prevent fresh device data
+ */
+export interface ApiHealth {
+  authFailed: boolean;   // Token rejected (403) - requests will keep failing
+  rateLimited: boolean;  // Rate limiter is backing off after 429 responses
 }
 
 /**
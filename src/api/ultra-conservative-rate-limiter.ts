@@ -7,6 +7,7 @@
  */
 
 import { RequestPriority } from '../settings.js';
+import { RateLimiter, RateLimiterSummary } from './rate-limiter.js';
 
 export interface UltraConservativeRateLimiterConfig {
   // Based on empirical testing: 3-4 token bucket
@@ -30,6 +31,21 @@ export interface TokenBucket {
   emergencyBackoffUntil: number;
 }
 
+export interface UltraConservativeHistoryEntry {
+  timestamp: number;
+  priority: RequestPriority;
+  success: boolean;
+  rateLimited: boolean;
+}
+
+/**
+ * Limiter state persisted across restarts
+ */
+export interface PersistedUltraConservativeState {
+  bucket: TokenBucket;
+  requestHistory: UltraConservativeHistoryEntry[];
+}
+
 export interface RequestDecision {
   allowed: boolean;
   waitTimeMs: number;
@@ -38,16 +54,11 @@ export interface RequestDecision {
   nextRefillTime: number;
 }
 
-export class UltraConservativeRateLimiter {
+export class UltraConservativeRateLimiter implements RateLimiter {
   private config: UltraConservativeRateLimiterConfig;
   private bucket: TokenBucket;
   private startupTime: number;
-  private requestHistory: Array<{
-    timestamp: number;
-    priority: RequestPriority;
-    success: boolean;
-    rateLimited: boolean;
-  }> = [];
+  private requestHistory: UltraConservativeHistoryEntry[] = [];
 
   constructor(config: Partial<UltraConservativeRateLimiterConfig> = {}) {
     this.config = {
@@ -220,6 +231,20 @@ export class UltraConservativeRateLimiter {
     }
   }
 
+  /**
+   * Check if a critical request may bypass the bucket
+   */
+  public useCriticalBypass(): boolean {
+    return this.config.allowCriticalBypass && this.shouldAllowRequest(RequestPriority.CRITICAL).allowed;
+  }
+
+  /**
+   * Time until a non-critical request would be allowed
+   */
+  public getTimeUntilAvailableMs(): number {
+    return this.shouldAllowRequest(RequestPriority.NORMAL).waitTimeMs;
+  }
+
   /**
    * Force refill tokens (for testing or recovery)
    */
@@ -230,6 +255,33 @@ export class UltraConservativeRateLimiter {
     this.bucket.emergencyBackoffUntil = 0;
   }
 
+  /**
+   * Export limiter state for persistence
+   */
+  public exportState(): PersistedUltraConservativeState {
+    return {
+      bucket: { ...this.bucket },
+      requestHistory: [...this.requestHistory]
+    };
+  }
+
+  /**
+   * Restore limiter state saved by a previous run
+   * The startup grace period always restarts with the new process
+   */
+  public restoreState(persisted: PersistedUltraConservativeState): void {
+    if (!persisted || !persisted.bucket) {
+      return;
+    }
+
+    const now = Date.now();
+    this.bucket = { ...this.bucket, ...persisted.bucket };
+    this.requestHistory = (persisted.requestHistory || []).filter(r => r.timestamp > now - 600000);
+
+    // Credit tokens that refilled while Homebridge was down
+    this.refillTokens(now);
+  }
+
   /**
    * Get current rate limiter status
    */
@@ -260,6 +312,24 @@ export class UltraConservativeRateLimiter {
     };
   }
 
+  /**
+   * Get a strategy-independent status snapshot
+   */
+  public getSummary(): RateLimiterSummary {
+    const status = this.getStatus();
+    return {
+      requestsInWindow: status.maxTokens - status.tokens,
+      maxRequestsPerWindow: status.maxTokens,
+      windowDurationMs: this.config.refillIntervalMs,
+      backoffActive: status.emergencyBackoffActive,
+      consecutiveRateLimits: status.consecutiveFailures,
+      recentRequests: status.recentRequests,
+      successRate: status.recentRequests > 0
+        ? ((status.recentRequests - status.recentRateLimits) / status.recentRequests) * 100
+        : 100
+    };
+  }
+
   /**
    * Get recommendations for optimal usage
    */
@@ -0,0 +1,149 @@
+/**
+ * Calendar dates for schedule exceptions
+ * Reads all-day date ranges from iCalendar (.ics) files, e.g. public holiday
+ * calendars exported from a calendar app
+ */
+
+/**
+ * Event read from a calendar file
+ */
+export interface CalendarEvent {
+  summary?: string;  // Event title
+  start: string;     // First day (YYYY-MM-DD)
+  end: string;       // Last day, inclusive (YYYY-MM-DD)
+}
+
+/**
+ * Calendar date syntax used in the configuration
+ */
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * iCalendar DATE or DATE-TIME value, e.g. 20261225 or 20261225T090000Z
+ */
+const ICS_DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+
+const pad = (value: number): string => String(value).padStart(2, '0');
+
+/**
+ * Format a local calendar date
+ * @param date Any time on the calendar day
+ * @returns Date as YYYY-MM-DD
+ */
+export function formatLocalDate(date: Date): string {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Check a YYYY-MM-DD calendar date
+ * @param value Date to check
+ * @returns True if the value is a real calendar date
+ */
+export function isValidDate(value: string): boolean {
+  const match = DATE_PATTERN.exec(value);
+  if (!match) {
+    return false;
+  }
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+/**
+ * Read the events of an iCalendar file as date ranges
+ * Timed events cover the local days they touch; recurrence rules are not expanded
+ * @param content Contents of the .ics file
+ * @returns Events in file order
+ */
+export function parseIcsEvents(content: string): CalendarEvent[] {
+  // Long lines are folded onto continuation lines starting with a space or tab
+  const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events: CalendarEvent[] = [];
+  let current: { summary?: string; start?: string; end?: string; endExclusive?: boolean } | undefined;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trimEnd();
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (current?.start) {
+        let end = current.end ?? current.start;
+        // All-day events end on the day after their last day
+        if (current.endExclusive && end > current.start) {
+          end = shiftDate(end, -1);
+        }
+        events.push({ summary: current.summary, start: current.start, end: end < current.start ? current.start : end });
+      }
+      current = undefined;
+      continue;
+    }
+    if (!current) {
+      continue;
+    }
+
+    const separator = line.indexOf(':');
+    if (separator < 0) {
+      continue;
+    }
+    // Parameters such as VALUE=DATE or TZID follow the name and aren't needed
+    const name = line.slice(0, separator).split(';')[0];
+    const value = line.slice(separator + 1);
+
+    switch (name.toUpperCase()) {
+      case 'SUMMARY':
+        current.summary = unescapeText(value);
+        break;
+      case 'DTSTART':
+        current.start = parseIcsDate(value);
+        break;
+      case 'DTEND':
+        current.end = parseIcsDate(value);
+        current.endExclusive = !value.includes('T');
+        break;
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Convert an iCalendar DATE or DATE-TIME value to a local calendar date
+ * @param value Property value
+ * @returns Date as YYYY-MM-DD, or undefined if the value can't be read
+ */
+function parseIcsDate(value: string): string | undefined {
+  const match = ICS_DATE_PATTERN.exec(value.trim());
+  if (!match) {
+    return undefined;
+  }
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (utc) {
+    // UTC times can fall on a different local day
+    return formatLocalDate(new Date(Date.UTC(Number(year), Number(month) - 1, Number(day),
+      Number(hours), Number(minutes), Number(seconds))));
+  }
+
+  // Floating and TZID times are taken as local; only the day is used
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Move a calendar date by whole days
+ * @param date Date as YYYY-MM-DD
+ * @param days Days to add (negative to go back)
+ */
+function shiftDate(date: string, days: number): string {
+  const [year, month, day] = date.split('-').map(Number);
+  return formatLocalDate(new Date(year, month - 1, day + days));
+}
+
+/**
+ * Undo iCalendar text escaping
+ * @param value Escaped text
+ */
+function unescapeText(value: string): string {
+  return value.replace(/\\([\\;,nN])/g, (_, char: string) => (char === 'n' || char === 'N' ? ' ' : char)).trim();
+}
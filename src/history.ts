@@ -0,0 +1,327 @@
+/**
+ * Eve history for SleepMe devices
+ * Keeps a persisted, bounded log of each device's readings and serves it
+ * through the Eve history service (the protocol fakegato-history implements)
+ * so the Eve app can draw graphs of the night
+ */
+import { CharacteristicValue, HAP, Characteristic, PlatformAccessory, Service } from 'homebridge';
+import { Logger } from './api/types.js';
+import { PersistentStateStore } from './persistence.js';
+import { HISTORY_MAX_ENTRIES, HISTORY_SAMPLE_INTERVAL_MS } from './settings.js';
+
+/**
+ * Eve history service and its characteristics
+ */
+const HISTORY_SERVICE_UUID = 'E863F007-079E-48FF-8F27-9C2605A29F52';
+const HISTORY_STATUS_UUID = 'E863F116-079E-48FF-8F27-9C2605A29F52';
+const HISTORY_ENTRIES_UUID = 'E863F117-079E-48FF-8F27-9C2605A29F52';
+const HISTORY_REQUEST_UUID = 'E863F11C-079E-48FF-8F27-9C2605A29F52';
+const HISTORY_SET_TIME_UUID = 'E863F121-079E-48FF-8F27-9C2605A29F52';
+
+/**
+ * Seconds between the Unix epoch and Eve's epoch (2001-01-01)
+ */
+const EVE_EPOCH_OFFSET = 978307200;
+
+/**
+ * Records returned per read of the history entries characteristic
+ */
+const ENTRIES_PER_READ = 11;
+
+/**
+ * Readings kept per device; like fakegato, one slot of the log holds the reference time record
+ */
+const MAX_READINGS = HISTORY_MAX_ENTRIES - 1;
+
+/**
+ * Prefix of the persisted history documents (one per device)
+ */
+const HISTORY_KEY_PREFIX = 'history-';
+
+/**
+ * Formats the history can be served in
+ */
+export enum EveHistoryFormat {
+  THERMO = 'thermo',    // Eve Thermo: water temperature, setpoint and power (as valve position)
+  WEATHER = 'weather'   // Eve Weather: water temperature only
+}
+
+/**
+ * Field layout announced to Eve and the matching record field mask
+ */
+const FORMAT_SIGNATURES: Record<EveHistoryFormat, { fields: string; mask: number }> = {
+  [EveHistoryFormat.THERMO]: { fields: '0501021102100112011d01', mask: 0x1f },
+  [EveHistoryFormat.WEATHER]: { fields: '03010202020302', mask: 0x07 }
+};
+
+/**
+ * A recorded reading
+ */
+export interface HistoryEntry {
+  time: number;               // Unix time (s)
+  currentTemperature: number; // °C
+  targetTemperature: number;  // °C
+  powered: boolean;
+}
+
+/**
+ * History persisted across restarts
+ */
+interface PersistedHistory {
+  refTime: number;      // Eve time (s since 2001) all record times are relative to
+  firstEntry: number;   // Entries dropped from the front so far; Eve entry firstEntry + 1 is the reference
+                        // time record and entries[i] is Eve entry firstEntry + 2 + i
+  entries: HistoryEntry[];
+}
+
+/**
+ * Eve History
+ * One per accessory; readings are sampled at most every HISTORY_SAMPLE_INTERVAL_MS
+ * unless power or the setpoint changed
+ */
+export class EveHistory {
+  private readonly service: Service;
+  private readonly statusCharacteristic: Characteristic;
+  private readonly key: string;
+  private history: PersistedHistory;
+
+  // Next entry to send during a transfer requested by Eve (0 when idle)
+  private transferEntry = 0;
+
+  /**
+   * Create the history service of an accessory and restore its log
+   * @param hap HAP-NodeJS from the Homebridge API
+   * @param accessory Accessory the service belongs to
+   * @param stateStore Store the log is persisted in
+   * @param logger Logger for output
+   * @param deviceId Device identifier
+   * @param format Record format served to Eve
+   */
+  constructor(
+    private readonly hap: HAP,
+    accessory: PlatformAccessory,
+    private readonly stateStore: PersistentStateStore,
+    private readonly logger: Logger,
+    deviceId: string,
+    private readonly format: EveHistoryFormat
+  ) {
+    this.key = `${HISTORY_KEY_PREFIX}${deviceId}`;
+    this.history = this.restore();
+
+    this.service = accessory.services.find(service => service.UUID === HISTORY_SERVICE_UUID) ||
+      accessory.addService(new hap.Service(`${accessory.displayName} History`, HISTORY_SERVICE_UUID));
+
+    this.statusCharacteristic = this.getCharacteristic(HISTORY_STATUS_UUID, 'S2R1', [hap.Perms.PAIRED_READ, hap.Perms.NOTIFY, hap.Perms.HIDDEN]);
+    this.statusCharacteristic.onGet(() => this.buildStatus());
+
+    this.getCharacteristic(HISTORY_ENTRIES_UUID, 'S2R2', [hap.Perms.PAIRED_READ, hap.Perms.NOTIFY, hap.Perms.HIDDEN])
+      .onGet(() => this.readEntries());
+
+    this.getCharacteristic(HISTORY_REQUEST_UUID, 'S2W1', [hap.Perms.PAIRED_WRITE, hap.Perms.HIDDEN])
+      .onSet(value => this.handleRequest(value));
+
+    // Eve sends its clock; record times come from the host clock so it is only logged
+    this.getCharacteristic(HISTORY_SET_TIME_UUID, 'S2W2', [hap.Perms.PAIRED_WRITE, hap.Perms.HIDDEN])
+      .onSet(value => this.logger.verbose(`Eve history clock for ${accessory.displayName}: ${this.toHex(value)}`));
+  }
+
+  /**
+   * Remove the history service from an accessory
+   * The persisted log is kept in case the history is enabled again
+   * @param accessory Accessory to remove the service from
+   */
+  public static removeService(accessory: PlatformAccessory): void {
+    const service = accessory.services.find(existing => existing.UUID === HISTORY_SERVICE_UUID);
+    if (service) {
+      accessory.removeService(service);
+    }
+  }
+
+  /**
+   * Record a reading
+   * Skipped if the previous entry is recent and power and setpoint are unchanged
+   * @param reading Device state after a successful status refresh
+   */
+  public record(reading: Omit<HistoryEntry, 'time'>): void {
+    const now = Date.now();
+    const entries = this.history.entries;
+    const last = entries[entries.length - 1];
+
+    if (last && now - last.time * 1000 < HISTORY_SAMPLE_INTERVAL_MS &&
+        last.powered === reading.powered && last.targetTemperature === reading.targetTemperature) {
+      return;
+    }
+
+    const entry: HistoryEntry = { time: Math.floor(now / 1000), ...reading };
+    if (this.history.refTime === 0) {
+      this.history.refTime = entry.time - EVE_EPOCH_OFFSET;
+    }
+
+    entries.push(entry);
+    while (entries.length > MAX_READINGS) {
+      entries.shift();
+      this.history.firstEntry++;
+    }
+
+    this.stateStore.write(this.key, this.history);
+    this.statusCharacteristic.updateValue(this.buildStatus());
+  }
+
+  /**
+   * Load the persisted log, starting empty if it is missing or malformed
+   */
+  private restore(): PersistedHistory {
+    const saved = this.stateStore.read<PersistedHistory>(this.key);
+
+    if (!saved || !Array.isArray(saved.entries) || typeof saved.refTime !== 'number' ||
+        typeof saved.firstEntry !== 'number') {
+      return { refTime: 0, firstEntry: 0, entries: [] };
+    }
+
+    // The limit may have been lowered since the log was written
+    const excess = Math.max(0, saved.entries.length - MAX_READINGS);
+    return {
+      refTime: saved.refTime,
+      firstEntry: saved.firstEntry + excess,
+      entries: saved.entries.slice(excess)
+    };
+  }
+
+  /**
+   * Find a history characteristic, adding it if the service doesn't have it yet
+   */
+  private getCharacteristic(uuid: string, name: string, perms: Characteristic['props']['perms']): Characteristic {
+    const existing = this.service.characteristics.find(characteristic => characteristic.UUID === uuid);
+    if (existing) {
+      return existing;
+    }
+
+    return this.service.addCharacteristic(
+      new this.hap.Characteristic(name, uuid, { format: this.hap.Formats.DATA, perms })
+    );
+  }
+
+  /**
+   * Build the history status Eve reads before requesting entries
+   * Announces the record layout, the reference time and the range of stored entries
+   */
+  private buildStatus(): string {
+    const { refTime, firstEntry, entries } = this.history;
+    const last = entries[entries.length - 1];
+    const usedEntries = this.getLastEntry() - firstEntry;
+
+    const header = Buffer.alloc(12);
+    header.writeUInt32LE(last ? this.toRecordTime(last.time) : 0, 0);
+    header.writeUInt32LE(refTime, 8);
+
+    const footer = Buffer.alloc(14);
+    footer.writeUInt16LE(usedEntries, 0);
+    footer.writeUInt16LE(HISTORY_MAX_ENTRIES, 2);
+    footer.writeUInt32LE(firstEntry, 4);
+    footer.write('000000000101', 8, 'hex');
+
+    return Buffer.concat([header, Buffer.from(FORMAT_SIGNATURES[this.format].fields, 'hex'), footer]).toString('base64');
+  }
+
+  /**
+   * Start a transfer from the entry Eve asks for
+   * @param value Base64 request; bytes 2-5 hold the first wanted entry
+   */
+  private handleRequest(value: CharacteristicValue): void {
+    const request = Buffer.from(String(value), 'base64');
+    const address = request.length >= 6 ? request.readUInt32LE(2) : 0;
+
+    // Entries dropped from the log can't be sent anymore
+    this.transferEntry = Math.max(address || 1, this.history.firstEntry + 1);
+    this.logger.verbose(`Eve history requested from entry ${address} (sending from ${this.transferEntry})`);
+  }
+
+  /**
+   * Return the next block of records of the current transfer
+   * An empty block ends the transfer
+   */
+  private readEntries(): string {
+    const { firstEntry, entries } = this.history;
+    const lastEntry = this.getLastEntry();
+
+    if (this.transferEntry === 0 || this.transferEntry > lastEntry) {
+      this.transferEntry = 0;
+      return Buffer.from([0]).toString('base64');
+    }
+
+    const records: Buffer[] = [];
+    while (records.length < ENTRIES_PER_READ && this.transferEntry <= lastEntry) {
+      // The reference time record comes right before the oldest reading
+      const index = this.transferEntry - firstEntry - 2;
+      records.push(index < 0
+        ? this.buildRefTimeRecord(this.transferEntry)
+        : this.buildEntryRecord(this.transferEntry, entries[index]));
+      this.transferEntry++;
+    }
+
+    return Buffer.concat(records).toString('base64');
+  }
+
+  /**
+   * Number of the newest entry in the log (the reference time record and the readings)
+   * Equals firstEntry while nothing has been recorded
+   */
+  private getLastEntry(): number {
+    const { firstEntry, entries } = this.history;
+    return entries.length > 0 ? firstEntry + entries.length + 1 : firstEntry;
+  }
+
+  /**
+   * Build the record that tells Eve the reference time of the log
+   */
+  private buildRefTimeRecord(entryNumber: number): Buffer {
+    const record = Buffer.alloc(21);
+    record.writeUInt8(0x15, 0);
+    record.writeUInt32LE(entryNumber, 1);
+    record.writeUInt8(0x01, 5);
+    record.writeUInt8(0x81, 9);
+    record.writeUInt32LE(this.history.refTime, 10);
+    return record;
+  }
+
+  /**
+   * Build the record of a reading in the configured format
+   */
+  private buildEntryRecord(entryNumber: number, entry: HistoryEntry): Buffer {
+    const record = Buffer.alloc(this.format === EveHistoryFormat.THERMO ? 17 : 16);
+    record.writeUInt8(record.length, 0);
+    record.writeUInt32LE(entryNumber, 1);
+    record.writeUInt32LE(this.toRecordTime(entry.time), 5);
+    record.writeUInt8(FORMAT_SIGNATURES[this.format].mask, 9);
+    record.writeUInt16LE(this.toCentidegrees(entry.currentTemperature), 10);
+
+    if (this.format === EveHistoryFormat.THERMO) {
+      record.writeUInt16LE(this.toCentidegrees(entry.targetTemperature), 12);
+      record.writeUInt8(entry.powered ? 100 : 0, 14);
+    }
+    // Weather records leave humidity and air pressure at 0
+
+    return record;
+  }
+
+  /**
+   * Seconds from the reference time to a Unix time
+   */
+  private toRecordTime(time: number): number {
+    return Math.max(0, time - EVE_EPOCH_OFFSET - this.history.refTime);
+  }
+
+  /**
+   * Temperature as the unsigned hundredths of a degree Eve expects
+   */
+  private toCentidegrees(temperature: number): number {
+    return Math.min(0xffff, Math.max(0, Math.round(temperature * 100)));
+  }
+
+  /**
+   * Hex form of a base64 value for logging
+   */
+  private toHex(value: CharacteristicValue): string {
+    return Buffer.from(String(value), 'base64').toString('hex');
+  }
+}
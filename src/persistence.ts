@@ -0,0 +1,82 @@
+/**
+ * Persistent state storage for SleepMe Simple Plugin
+ * Stores small JSON documents under the Homebridge storage path so
+ * runtime state can survive Homebridge restarts
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { Logger } from './api/types.js';
+
+/**
+ * Name of the plugin's directory inside the Homebridge storage path
+ */
+const STATE_DIRECTORY = 'sleepme-simple';
+
+/**
+ * Persistent State Store
+ * Each key maps to one JSON file; writes are atomic (temp file + rename)
+ */
+export class PersistentStateStore {
+  private readonly directory: string;
+
+  /**
+   * Create a new state store
+   * @param storagePath Homebridge storage path (api.user.storagePath())
+   * @param logger Logger for output
+   */
+  constructor(
+    storagePath: string,
+    private readonly logger: Logger
+  ) {
+    this.directory = path.join(storagePath, STATE_DIRECTORY);
+  }
+
+  /**
+   * Read a stored document
+   * @param key Document key
+   * @returns Parsed document or undefined if missing or unreadable
+   */
+  public read<T>(key: string): T | undefined {
+    const filePath = this.filePath(key);
+
+    try {
+      if (!fs.existsSync(filePath)) {
+        return undefined;
+      }
+      return JSON.parse(fs.readFileSync(filePath, 'utf8')) as T;
+    } catch (error) {
+      this.logger.warn(
+        `Failed to read persisted state '${key}': ${error instanceof Error ? error.message : String(error)}`
+      );
+      return undefined;
+    }
+  }
+
+  /**
+   * Write a document
+   * Synchronous so it can be used from the Homebridge shutdown handler
+   * @param key Document key
+   * @param data JSON-serializable document
+   */
+  public write(key: string, data: unknown): void {
+    const filePath = this.filePath(key);
+    const tempPath = `${filePath}.tmp`;
+
+    try {
+      fs.mkdirSync(this.directory, { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(data));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      this.logger.warn(
+        `Failed to persist state '${key}': ${error instanceof Error ? error.message : String(error)}`
+      );
+    }
+  }
+
+  /**
+   * Build the file path for a key
+   */
+  private filePath(key: string): string {
+    return path.join(this.directory, `${key.replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+  }
+}
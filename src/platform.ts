@@ -13,16 +13,47 @@ import {
   Service,
 } from 'homebridge';
 
+import { createHash } from 'node:crypto';
+
 import { SleepMeApi } from './api/sleepme-api.js';
 import { SleepMeAccessory } from './accessory.js';
-import { Logger as CustomLogger } from './api/types.js';
+import { Device, Logger as CustomLogger } from './api/types.js';
 import {
   PLATFORM_NAME,
   PLUGIN_NAME,
   DEFAULT_POLLING_INTERVAL,
   LogLevel,
+  RateLimitStrategy,
+  DeviceSchedulePolicy,
 } from './settings.js';
-import { ScheduleManager, TemperatureSchedule } from './schedule.js';
+import {
+  ScheduleManager,
+  ScheduleAction,
+  ScheduleException,
+  ScheduleExceptionMode,
+  TemperatureSchedule,
+} from './schedule.js';
+import { PersistentStateStore } from './persistence.js';
+import { GeoLocation, parseSolarTime } from './solar.js';
+import { isValidDate } from './calendar.js';
+
+/**
+ * ID of the account configured with the top-level apiToken
+ */
+const DEFAULT_ACCOUNT_ID = 'default';
+
+/**
+ * A SleepMe account with its own API client, request queue and rate limiter
+ */
+interface SleepMeAccount {
+  id: string;                          // Stable account key (used for persisted state)
+  name: string;                        // Name used in logs
+  namePrefix?: string;                 // Prefix for accessory names
+  deviceFilter?: string[];             // Device IDs or names to include (all if empty)
+  log: CustomLogger;                   // Logger tagged with the account name
+  api: SleepMeApi;                     // API client for this account's token
+  scheduleManager?: ScheduleManager;   // Schedule manager using this account's API client
+}
 
 /**
  * SleepMe Simple Platform
@@ -36,8 +67,11 @@ export class SleepMeSimplePlatform implements DynamicPlatformPlugin {
   // Array to store cached accessories from Homebridge
   public readonly accessories: PlatformAccessory[] = [];
 
-  // API client for communicating with SleepMe services
-  public readonly api?: SleepMeApi;
+  // SleepMe accounts, each with its own API client
+  private readonly accounts: SleepMeAccount[] = [];
+
+  // Account that owns each device
+  private readonly deviceAccounts: Map<string, SleepMeAccount> = new Map();
 
   // Custom logger for simplified logging
   public readonly log: CustomLogger;
@@ -56,6 +90,12 @@ export class SleepMeSimplePlatform implements DynamicPlatformPlugin {
   // Map to track active accessory instances for proper cleanup
   private readonly accessoryInstances: Map<string, SleepMeAccessory> = new Map();
 
+  // Device IDs whose handlers were created at launch from restored state
+  private readonly restoredHandlerIds: Set<string> = new Set();
+
+  // Storage for state that survives Homebridge restarts
+  public readonly stateStore: PersistentStateStore;
+
   // Timer for periodic device discovery
   private discoveryTimer?: NodeJS.Timeout;
 
@@ -65,8 +105,11 @@ export class SleepMeSimplePlatform implements DynamicPlatformPlugin {
   // Flag to track if the plugin is properly configured
   private isConfigured = true;
 
-  // Schedule manager for handling temperature schedules
-  private _scheduleManager?: ScheduleManager;
+  // Position sunrise and sunset schedules are calculated for
+  private location?: GeoLocation;
+
+  // Holidays and vacations on which schedules are suspended or follow the weekend profile
+  private scheduleExceptions: ScheduleException[] = [];
 
   /**
    * Constructor for the SleepMe platform.
@@ -111,28 +154,82 @@ export class SleepMeSimplePlatform implements DynamicPlatformPlugin {
     // Create custom logger
     this.log = this.createLogger(logger);
 
-    // Validate that the API token is present in the configuration
-    if (!config.apiToken) {
+    // Persistent state lives under the Homebridge storage path
+    this.stateStore = new PersistentStateStore(
+      this.homebridgeApi.user.storagePath(),
+      this.log,
+    );
+
+    // Validate that at least one API token is present in the configuration
+    const accountConfigs = this.getAccountConfigs(config);
+    if (accountConfigs.length === 0) {
       this.isConfigured = false;
       this.log.error(
         'API token missing from configuration! The plugin will not work.',
       );
       this.log.info(
-        'Please add your SleepMe API token to the configuration in the Homebridge UI.',
+        'Please add your SleepMe API token (or an accounts list) to the configuration in the Homebridge UI.',
       );
       this.log.info(
         'You can get your token from your SleepMe account at sleep.me',
       );
       // Don't throw an error - let the plugin load in a disabled state
     } else {
-      // Initialize the SleepMe API client with the provided token
-      this.api = new SleepMeApi(config.apiToken as string, this.log);
+      // Optional API base URL override (e.g. the bundled local simulator)
+      let apiBaseUrl: string | undefined;
+      const rawApiBaseUrl = config.advanced?.apiBaseUrl;
+      if (typeof rawApiBaseUrl === 'string' && rawApiBaseUrl.trim() !== '') {
+        try {
+          const parsedUrl = new URL(rawApiBaseUrl.trim());
+          if (parsedUrl.protocol === 'http:' || parsedUrl.protocol === 'https:') {
+            apiBaseUrl = parsedUrl.toString();
+          } else {
+            this.log.warn(`Ignoring apiBaseUrl with unsupported protocol: ${rawApiBaseUrl}`);
+          }
+        } catch {
+          this.log.warn(`Ignoring invalid apiBaseUrl: ${rawApiBaseUrl}`);
+        }
+      }
+
+      // Optional rate limiting strategy
+      let rateLimitStrategy: RateLimitStrategy | undefined;
+      const rawRateLimitStrategy = config.advanced?.rateLimitStrategy;
+      if (rawRateLimitStrategy !== undefined && rawRateLimitStrategy !== '') {
+        if (Object.values(RateLimitStrategy).includes(rawRateLimitStrategy as RateLimitStrategy)) {
+          rateLimitStrategy = rawRateLimitStrategy as RateLimitStrategy;
+        } else {
+          this.log.warn(
+            `Ignoring unknown rateLimitStrategy "${rawRateLimitStrategy}". ` +
+            `Valid values: ${Object.values(RateLimitStrategy).join(', ')}`,
+          );
+        }
+      }
+
+      // Initialize one SleepMe API client per account so each account has
+      // its own request queue and rate limit budget
+      for (const accountConfig of accountConfigs) {
+        const accountLog = accountConfig.id === DEFAULT_ACCOUNT_ID
+          ? this.log
+          : this.createAccountLogger(accountConfig.name);
+
+        this.accounts.push({
+          ...accountConfig,
+          log: accountLog,
+          api: new SleepMeApi(accountConfig.apiToken, accountLog, {
+            baseUrl: apiBaseUrl,
+            stateStore: this.stateStore,
+            rateLimitStrategy,
+            stateNamespace: accountConfig.id === DEFAULT_ACCOUNT_ID ? undefined : accountConfig.id,
+            setpointUnit: this.temperatureUnit === 'F' ? 'F' : 'C',
+          }),
+        });
+      }
 
       // Log platform initialization information
       this.log.info(
         `Initializing ${PLATFORM_NAME} platform with ${
           this.temperatureUnit === 'C' ? 'Celsius' : 'Fahrenheit'
-        } units and ${this.pollingInterval}s polling interval`,
+        } units, ${this.pollingInterval}s polling interval and ${this.accounts.length} account(s)`,
       );
 
       // Initialize the warm hug config upfront
@@ -141,6 +238,37 @@ export class SleepMeSimplePlatform implements DynamicPlatformPlugin {
         duration: (config.advanced?.warmHugDuration as number) || 10,
       };
 
+      // Whether schedules run while a device follows its SleepMe app schedule
+      let deviceSchedulePolicy: DeviceSchedulePolicy | undefined;
+      const rawDeviceSchedulePolicy = config.advanced?.deviceSchedulePolicy;
+      if (rawDeviceSchedulePolicy !== undefined && rawDeviceSchedulePolicy !== '') {
+        if (Object.values(DeviceSchedulePolicy).includes(rawDeviceSchedulePolicy as DeviceSchedulePolicy)) {
+          deviceSchedulePolicy = rawDeviceSchedulePolicy as DeviceSchedulePolicy;
+        } else {
+          this.log.warn(
+            `Ignoring unknown deviceSchedulePolicy "${rawDeviceSchedulePolicy}". ` +
+            `Valid values: ${Object.values(DeviceSchedulePolicy).join(', ')}`,
+          );
+        }
+      }
+
+      // How long after a missed schedule it is still applied at startup
+      let scheduleCatchUpMinutes: number | undefined;
+      const rawCatchUpWindow = config.advanced?.scheduleCatchUpWindow;
+      if (rawCatchUpWindow !== undefined && rawCatchUpWindow !== '') {
+        if (Number.isFinite(Number(rawCatchUpWindow)) && Number(rawCatchUpWindow) >= 0) {
+          scheduleCatchUpMinutes = Number(rawCatchUpWindow);
+        } else {
+          this.log.warn(
+            `Ignoring invalid scheduleCatchUpWindow "${rawCatchUpWindow}". Expected minutes (0 or more)`,
+          );
+        }
+      }
+
+      // Position for schedules relative to sunrise or sunset
+      this.location = this.getLocation(config);
+      this.scheduleExceptions = this.getScheduleExceptions(config);
+
       // --- SAFE STARTUP DELAY HANDLING ---
       // Get startup delay configuration (seconds, default 45, range 5–300)
       const rawStartupDelay = Number(config.advanced?.startupDelay);
@@ -166,32 +294,46 @@ export class SleepMeSimplePlatform implements DynamicPlatformPlugin {
       }
 
       this.startupDelay = startupDelaySeconds * 1000;
+
+      // With rate limiter state from the previous run we know exactly how long
+      // the API needs; the configured delay then only acts as an upper bound
+      const restoredDelays = this.accounts.map((account) => account.api.getRestoredStartupDelayMs());
+      if (restoredDelays.every((delay) => delay !== undefined)) {
+        const restoredDelay = Math.max(...(restoredDelays as number[]));
+        if (restoredDelay < this.startupDelay) {
+          this.startupDelay = Math.max(5_000, Math.ceil(restoredDelay / 1000) * 1000);
+          startupDelaySeconds = this.startupDelay / 1000;
+          this.log.info(
+            'Startup delay shortened based on rate limiter state restored from the previous run',
+          );
+        }
+      }
+
       this.log.info(
         `Using startup delay of ${startupDelaySeconds}s (${this.startupDelay}ms) before initial discovery`,
       );
       // --- END SAFE STARTUP DELAY HANDLING ---
 
-      // Initialize schedule manager if enabled
-      if (config.enableSchedules && this.api) {
-        // Create the schedule manager with callback for adaptive polling
-        const markScheduleAction = (deviceId: string) => {
-          const accessory = this.accessoryInstances.get(deviceId);
-          if (accessory) {
-            accessory.markScheduleAction();
-          }
-        };
-
-        this._scheduleManager = new ScheduleManager(
-          this.log,
-          this.api,
+      // Initialize schedule managers (one per account API client). They also
+      // run Warm Hugs started from HomeKit, so they exist even with schedules
+      // disabled. Schedule activity is reported to the account's device state
+      // store, which polls the affected devices more often
+      for (const account of this.accounts) {
+        account.scheduleManager = new ScheduleManager(
+          account.log,
+          account.api,
           warmHugConfig,
-          markScheduleAction,
-        );
-        this.log.info('Schedule Manager initialized');
-        this.log.info(
-          `Warm Hug config: ${warmHugConfig.increment}°C/min for ${warmHugConfig.duration} minutes`,
+          this.stateStore,
+          deviceSchedulePolicy,
+          scheduleCatchUpMinutes,
+          this.location,
+          this.scheduleExceptions,
         );
       }
+      this.log.info('Schedule Manager initialized');
+      this.log.info(
+        `Warm Hug config: ${warmHugConfig.increment}°C/min for ${warmHugConfig.duration} minutes`,
+      );
     }
 
     // Register for Homebridge events
@@ -199,6 +341,9 @@ export class SleepMeSimplePlatform implements DynamicPlatformPlugin {
     this.homebridgeApi.on('didFinishLaunching', () => {
       // Only attempt to discover devices if the plugin is properly configured
       if (this.isConfigured) {
+        // Show last known state for cached accessories while discovery is delayed
+        this.restoreCachedAccessoryHandlers();
+
         // Delay device discovery to prevent immediate API calls on startup
         this.log.info(
           `Delaying device discovery for ${this.startupDelay / 1000}s to avoid rate limits`,
@@ -212,9 +357,7 @@ export class SleepMeSimplePlatform implements DynamicPlatformPlugin {
 
           // Mark API startup as complete immediately after startup delay
           // This prevents deadlock where discovery waits for startup completion
-          if (this.api) {
-            this.api.markStartupComplete();
-          }
+          this.accounts.forEach((account) => account.api.markStartupComplete());
 
           // Now perform device discovery with proper priority handling
           await this.discoverDevices();
@@ -226,12 +369,10 @@ export class SleepMeSimplePlatform implements DynamicPlatformPlugin {
           await new Promise((resolve) => setTimeout(resolve, 5000));
 
           // Mark initial discovery as complete to allow HIGH priority for subsequent discoveries
-          if (this.api) {
-            this.api.markInitialDiscoveryComplete();
-          }
+          this.accounts.forEach((account) => account.api.markInitialDiscoveryComplete());
 
           // Set up schedules AFTER devices are discovered
-          if (config.enableSchedules && this.api && this._scheduleManager) {
+          if (config.enableSchedules) {
             // Extract device IDs from discovered accessories
             const deviceIds: string[] = [];
             this.accessories.forEach((accessory) => {
@@ -252,10 +393,61 @@ export class SleepMeSimplePlatform implements DynamicPlatformPlugin {
                 Array.isArray(config.schedules) &&
                 config.schedules.length > 0
               ) {
+                // Entries may name the devices they apply to; entries without devices apply to all.
+                // Invalid entries are reported once and left out for every device
+                const invalidSchedules = new Set<Record<string, unknown>>();
+                for (const scheduleConfig of config.schedules as Record<string, unknown>[]) {
+                  const unknownDevices = this.getScheduleDeviceIds(scheduleConfig)
+                    .filter((id) => !deviceIds.includes(id));
+                  if (unknownDevices.length > 0) {
+                    this.log.warn(
+                      `Schedule at ${scheduleConfig.time} targets unknown device(s) ${unknownDevices.join(', ')}`,
+                    );
+                  }
+
+                  const action = scheduleConfig.action === undefined
+                    ? ScheduleAction.SET_TEMPERATURE
+                    : ScheduleManager.scheduleActionFromString(String(scheduleConfig.action));
+                  if (!ScheduleManager.isValidTime(String(scheduleConfig.time))) {
+                    this.log.warn(
+                      `Ignoring schedule at ${scheduleConfig.time}: use a 24-hour HH:MM time, or sunrise or sunset ` +
+                      'with an offset of up to 12 hours such as sunrise-0:20',
+                    );
+                    invalidSchedules.add(scheduleConfig);
+                  } else if (!action) {
+                    this.log.warn(
+                      `Ignoring schedule at ${scheduleConfig.time} with unknown action "${scheduleConfig.action}". ` +
+                      `Valid values: ${Object.values(ScheduleAction).join(', ')}`,
+                    );
+                    invalidSchedules.add(scheduleConfig);
+                  } else if (
+                    action !== ScheduleAction.POWER_OFF &&
+                    action !== ScheduleAction.POWER_ON &&
+                    !Number.isFinite(Number(scheduleConfig.temperature))
+                  ) {
+                    this.log.warn(`Ignoring schedule at ${scheduleConfig.time} without a temperature`);
+                    invalidSchedules.add(scheduleConfig);
+                  } else if (parseSolarTime(String(scheduleConfig.time)) && !this.location) {
+                    this.log.warn(
+                      `Ignoring schedule at ${scheduleConfig.time}: set latitude and longitude ` +
+                      'to use times relative to sunrise or sunset',
+                    );
+                    invalidSchedules.add(scheduleConfig);
+                  }
+                }
+
                 for (const deviceId of deviceIds) {
                   const schedules: TemperatureSchedule[] = [];
 
                   for (const scheduleConfig of config.schedules as any[]) {
+                    const targetDevices = this.getScheduleDeviceIds(scheduleConfig);
+                    if (
+                      invalidSchedules.has(scheduleConfig) ||
+                      (targetDevices.length > 0 && !targetDevices.includes(deviceId))
+                    ) {
+                      continue;
+                    }
+
                     // Create base schedule with required properties
                     const schedule: TemperatureSchedule = {
                       type: ScheduleManager.scheduleTypeFromString(
@@ -280,15 +472,20 @@ export class SleepMeSimplePlatform implements DynamicPlatformPlugin {
                       schedule.description = scheduleConfig.description;
                     }
 
+                    // Add action if present; Warm Hug actions also carry the warm hug flag
+                    if (scheduleConfig.action !== undefined) {
+                      schedule.action = ScheduleManager.scheduleActionFromString(scheduleConfig.action);
+                    }
+
                     // Add warm hug flag if present
-                    if (scheduleConfig.isWarmHug === true) {
+                    if (scheduleConfig.isWarmHug === true || schedule.action === ScheduleAction.WARM_HUG) {
                       schedule.isWarmHug = true;
                     }
 
                     schedules.push(schedule);
                   }
 
-                  this._scheduleManager.setSchedules(deviceId, schedules);
+                  this.getScheduleManager(deviceId)?.setSchedules(deviceId, schedules);
                   this.log.info(
                     `Applied ${schedules.length} schedules to device ${deviceId}`,
                   );
@@ -296,6 +493,11 @@ export class SleepMeSimplePlatform implements DynamicPlatformPlugin {
               } else {
                 this.log.warn('No schedules defined in configuration');
               }
+
+              // Create HomeKit switches for the applied schedules
+              for (const deviceId of deviceIds) {
+                this.accessoryInstances.get(deviceId)?.updateScheduleServices();
+              }
             } else {
               this.log.warn('No devices found to apply schedules to');
             }
@@ -322,24 +524,164 @@ export class SleepMeSimplePlatform implements DynamicPlatformPlugin {
         clearInterval(this.discoveryTimer);
       }
 
-      // Clean up schedule manager
-      if (this._scheduleManager) {
-        this._scheduleManager.cleanup();
-      }
+      // Clean up schedule managers
+      this.accounts.forEach((account) => account.scheduleManager?.cleanup());
 
       // Clean up accessory resources
       this.accessoryInstances.forEach((accessory) => {
         accessory.cleanup();
       });
+
+      // Stop fleet polling and persist state needed after the restart
+      this.accounts.forEach((account) => {
+        account.api.deviceStates.stop();
+        account.api.persistState();
+      });
     });
   }
 
   /**
-   * Get the schedule manager
-   * @returns Schedule manager instance if available
+   * Get the schedule manager for a device
+   * @param deviceId Device identifier
+   * @returns Schedule manager of the device's account if schedules are enabled
+   */
+  public getScheduleManager(deviceId: string): ScheduleManager | undefined {
+    return this.deviceAccounts.get(deviceId)?.scheduleManager;
+  }
+
+  /**
+   * Read the configured position for sunrise and sunset schedules
+   * @param config Platform configuration
+   * @returns Position, or undefined if not configured or invalid
+   */
+  private getLocation(config: PlatformConfig): GeoLocation | undefined {
+    if (config.latitude === undefined && config.longitude === undefined) {
+      return undefined;
+    }
+
+    const latitude = Number(config.latitude);
+    const longitude = Number(config.longitude);
+    if (
+      !Number.isFinite(latitude) || Math.abs(latitude) > 90 ||
+      !Number.isFinite(longitude) || Math.abs(longitude) > 180
+    ) {
+      this.log.warn(
+        `Ignoring invalid location ${config.latitude}, ${config.longitude}. ` +
+        'Latitude must be between -90 and 90 and longitude between -180 and 180',
+      );
+      return undefined;
+    }
+
+    return { latitude, longitude };
+  }
+
+  /**
+   * Read the configured schedule exceptions (holidays, vacations)
+   * Invalid entries are skipped with a warning
+   * @param config Platform configuration
+   * @returns Valid exceptions
+   */
+  private getScheduleExceptions(config: PlatformConfig): ScheduleException[] {
+    if (!Array.isArray(config.scheduleExceptions)) {
+      return [];
+    }
+
+    const exceptions: ScheduleException[] = [];
+    for (const entry of config.scheduleExceptions as Record<string, unknown>[]) {
+      const name = typeof entry?.name === 'string' && entry.name.trim() !== '' ? entry.name.trim() : undefined;
+      const label = name ? `"${name}"` : `${entry?.start}`;
+      const start = String(entry?.start ?? '');
+      const end = entry?.end === undefined || entry.end === '' ? start : String(entry.end);
+
+      if (!isValidDate(start) || !isValidDate(end)) {
+        this.log.warn(`Ignoring schedule exception ${label}: dates must be YYYY-MM-DD`);
+        continue;
+      }
+      if (end < start) {
+        this.log.warn(`Ignoring schedule exception ${label}: ends (${end}) before it starts (${start})`);
+        continue;
+      }
+
+      const mode = entry.mode ?? ScheduleExceptionMode.SUSPEND;
+      if (!Object.values(ScheduleExceptionMode).includes(mode as ScheduleExceptionMode)) {
+        this.log.warn(`Ignoring schedule exception ${label}: unknown mode "${mode}"`);
+        continue;
+      }
+
+      exceptions.push({ name, start, end, mode: mode as ScheduleExceptionMode });
+    }
+
+    return exceptions;
+  }
+
+  /**
+   * Get the devices a configured schedule entry is limited to
+   * @param scheduleConfig Schedule entry from the configuration
+   * @returns Device IDs, empty if the entry applies to all devices
+   */
+  private getScheduleDeviceIds(scheduleConfig: Record<string, unknown>): string[] {
+    return Array.isArray(scheduleConfig.devices)
+      ? scheduleConfig.devices.map((entry) => String(entry).trim()).filter((entry) => entry !== '')
+      : [];
+  }
+
+  /**
+   * Build the list of configured accounts
+   * The top-level apiToken (if set) is the default account; entries in
+   * `accounts` add further accounts with their own tokens
+   * @param config Platform configuration
+   * @returns Account settings without API clients
    */
-  public get scheduleManager(): ScheduleManager | undefined {
-    return this._scheduleManager;
+  private getAccountConfigs(
+    config: PlatformConfig,
+  ): Array<Omit<SleepMeAccount, 'log' | 'api'> & { apiToken: string }> {
+    const accountConfigs: Array<Omit<SleepMeAccount, 'log' | 'api'> & { apiToken: string }> = [];
+    const seenTokens = new Set<string>();
+
+    if (typeof config.apiToken === 'string' && config.apiToken.trim() !== '') {
+      accountConfigs.push({
+        id: DEFAULT_ACCOUNT_ID,
+        name: 'Default',
+        apiToken: config.apiToken.trim(),
+      });
+      seenTokens.add(config.apiToken.trim());
+    }
+
+    const rawAccounts = Array.isArray(config.accounts) ? config.accounts : [];
+    rawAccounts.forEach((rawAccount: Record<string, unknown>, index: number) => {
+      const apiToken = typeof rawAccount?.apiToken === 'string' ? rawAccount.apiToken.trim() : '';
+      const name = typeof rawAccount?.name === 'string' && rawAccount.name.trim() !== ''
+        ? rawAccount.name.trim()
+        : `Account ${index + 1}`;
+
+      if (!apiToken) {
+        this.log.warn(`Skipping account "${name}" without an API token`);
+        return;
+      }
+      if (seenTokens.has(apiToken)) {
+        this.log.warn(`Skipping account "${name}" - its API token is already configured`);
+        return;
+      }
+      seenTokens.add(apiToken);
+
+      const namePrefix = typeof rawAccount.namePrefix === 'string' && rawAccount.namePrefix.trim() !== ''
+        ? rawAccount.namePrefix.trim()
+        : undefined;
+      const deviceFilter = Array.isArray(rawAccount.deviceFilter)
+        ? rawAccount.deviceFilter.map((entry) => String(entry).trim()).filter((entry) => entry !== '')
+        : undefined;
+
+      accountConfigs.push({
+        // Derived from the token so persisted state follows the account, not its position
+        id: `account-${createHash('sha256').update(apiToken).digest('hex').slice(0, 12)}`,
+        name,
+        namePrefix,
+        deviceFilter: deviceFilter && deviceFilter.length > 0 ? deviceFilter : undefined,
+        apiToken,
+      });
+    });
+
+    return accountConfigs;
   }
 
   /**
@@ -372,6 +714,22 @@ export class SleepMeSimplePlatform implements DynamicPlatformPlugin {
     };
   }
 
+  /**
+   * Create a logger that tags messages with an account name
+   * @param accountName Account name
+   * @returns Custom logger
+   */
+  private createAccountLogger(accountName: string): CustomLogger {
+    return {
+      ...this.log,
+      info: (message: string) => this.log.info(`[${accountName}] ${message}`),
+      warn: (message: string) => this.log.warn(`[${accountName}] ${message}`),
+      error: (message: string) => this.log.error(`[${accountName}] ${message}`),
+      debug: (message: string) => this.log.debug(`[${accountName}] ${message}`),
+      verbose: (message: string) => this.log.verbose(`[${accountName}] ${message}`),
+    };
+  }
+
   /**
    * Called by Homebridge when cached accessories are restored at startup
    * This allows us to reconfigure accessories that were cached by Homebridge
@@ -410,7 +768,7 @@ export class SleepMeSimplePlatform implements DynamicPlatformPlugin {
     }
 
     // Skip discovery if the plugin is not properly configured
-    if (!this.isConfigured || !this.api) {
+    if (!this.isConfigured || this.accounts.length === 0) {
       this.log.warn(
         'Skipping device discovery because the plugin is not properly configured',
       );
@@ -421,117 +779,114 @@ export class SleepMeSimplePlatform implements DynamicPlatformPlugin {
     this.log.info('Starting device discovery...');
 
     try {
-      // Check if devices are configured directly in config.json
-      let devices: any[] = [];
-
-      const configuredDevices =
-        (this.config.devices as Array<{ id: string; name: string }>) || [];
-
-      if (configuredDevices && configuredDevices.length > 0) {
-        // Use the devices from config instead of making an API call
-        this.log.info(
-          `Using ${configuredDevices.length} devices from configuration`,
-        );
-
-        // Map config devices to the format expected by the rest of the code
-        devices = configuredDevices.map((device) => ({
-          id: device.id,
-          name: device.name || `SleepMe Device (${device.id})`, // Default name if not specified
-          attachments: [], // Add required fields with default values
-        }));
-      } else {
-        // Fetch devices from the API if none configured manually
-        this.log.info('No devices in configuration, fetching from API...');
-        devices = await this.api.getDevices();
-
-        if (!devices || devices.length === 0) {
-          this.log.error(
-            'No SleepMe devices found. Check your API token and connectivity.',
-          );
-          this.discoveryInProgress = false;
-          return;
-        }
-      }
-
-      this.log.info(`Devices to initialize: ${devices.length}`);
-
       // Track which accessories are still active to support removal of stale accessories
       const activeDeviceIds = new Set<string>();
 
-      // Process each device with staggered initialization to prevent API rate limiting
-      for (let i = 0; i < devices.length; i++) {
-        const device = devices[i];
+      // Account of the previously initialized device (for staggering)
+      let previousAccount: SleepMeAccount | undefined;
 
-        // Add significant delay between devices (45 seconds)
-        if (i > 0) {
-          this.log.info('Waiting 45s before initializing next device...');
-          await new Promise((resolve) => setTimeout(resolve, 45_000));
-        }
+      for (const account of this.accounts) {
+        const devices = await this.getAccountDevices(account);
 
-        // Skip devices with missing IDs
-        if (!device.id) {
-          this.log.warn(`Skipping device with missing ID: ${JSON.stringify(device)}`);
+        if (!devices) {
+          // Keep this account's accessories until its devices can be fetched again
+          this.accessories
+            .filter((accessory) => this.getAccessoryAccountId(accessory) === account.id)
+            .forEach((accessory) => activeDeviceIds.add(accessory.context.device.id));
           continue;
         }
 
-        // Mark this device ID as active
-        activeDeviceIds.add(device.id);
+        account.log.info(`Devices to initialize: ${devices.length}`);
 
-        // Use device name from API or config
-        const displayName = device.name || `SleepMe Device (${device.id})`;
+        // Process each device with staggered initialization to prevent API rate limiting
+        for (const device of devices) {
+          // Skip devices with missing IDs
+          if (!device.id) {
+            account.log.warn(`Skipping device with missing ID: ${JSON.stringify(device)}`);
+            continue;
+          }
 
-        // Generate a unique identifier for this device in HomeKit
-        const uuid = this.homebridgeApi.hap.uuid.generate(device.id);
+          // Device IDs are globally unique, so a shared device shows up in
+          // more than one account - the first account to list it owns it
+          if (activeDeviceIds.has(device.id)) {
+            account.log.warn(
+              `Device ${device.id} is already provided by another account, skipping. ` +
+              'Use deviceFilter to choose which account controls it.',
+            );
+            continue;
+          }
 
-        // Check if we already have an accessory for this device
-        const existingAccessory = this.accessories.find(
-          (acc) => acc.UUID === uuid,
-        );
+          // Add significant delay between devices of the same account (45 seconds)
+          // Accounts have separate rate limit budgets, so they don't wait on each other
+          if (previousAccount === account) {
+            account.log.info('Waiting 45s before initializing next device...');
+            await new Promise((resolve) => setTimeout(resolve, 45_000));
+          }
+          previousAccount = account;
 
-        if (existingAccessory) {
-          // The accessory already exists, just update its context
-          this.log.info(
-            `Restoring accessory from cache: ${existingAccessory.displayName} (ID: ${device.id})`,
+          // Mark this device ID as active
+          activeDeviceIds.add(device.id);
+          this.deviceAccounts.set(device.id, account);
+
+          // Use device name from API or config, with the account's prefix
+          const deviceName = device.name || `SleepMe Device (${device.id})`;
+          const displayName = account.namePrefix ? `${account.namePrefix} ${deviceName}` : deviceName;
+
+          // Generate a unique identifier for this device in HomeKit
+          const uuid = this.homebridgeApi.hap.uuid.generate(device.id);
+
+          // Check if we already have an accessory for this device
+          const existingAccessory = this.accessories.find(
+            (acc) => acc.UUID === uuid,
           );
 
-          // Update context and display name if needed
-          existingAccessory.context.device = device;
-          if (existingAccessory.displayName !== displayName) {
-            existingAccessory.displayName = displayName;
-            this.log.debug(`Updated accessory name to: ${displayName}`);
-          }
+          if (existingAccessory) {
+            // The accessory already exists, just update its context
+            account.log.info(
+              `Restoring accessory from cache: ${existingAccessory.displayName} (ID: ${device.id})`,
+            );
+
+            // Update context and display name if needed
+            existingAccessory.context.device = device;
+            existingAccessory.context.accountId = account.id;
+            if (existingAccessory.displayName !== displayName) {
+              existingAccessory.displayName = displayName;
+              this.log.debug(`Updated accessory name to: ${displayName}`);
+            }
 
-          // Update platform accessories in Homebridge
-          this.homebridgeApi.updatePlatformAccessories([existingAccessory]);
+            // Update platform accessories in Homebridge
+            this.homebridgeApi.updatePlatformAccessories([existingAccessory]);
 
-          // Initialize the accessory handler
-          this.initializeAccessory(existingAccessory, device.id);
-        } else {
-          // Create a new accessory since one doesn't exist
-          this.log.info(`Adding new accessory: ${displayName} (ID: ${device.id})`);
+            // Initialize the accessory handler
+            this.initializeAccessory(existingAccessory, device.id);
+          } else {
+            // Create a new accessory since one doesn't exist
+            account.log.info(`Adding new accessory: ${displayName} (ID: ${device.id})`);
 
-          const accessory = new this.homebridgeApi.platformAccessory(
-            displayName,
-            uuid,
-          );
+            const accessory = new this.homebridgeApi.platformAccessory(
+              displayName,
+              uuid,
+            );
 
-          // Explicitly set the category to THERMOSTAT
-          accessory.category = this.homebridgeApi.hap.Categories.THERMOSTAT;
+            // Explicitly set the category to THERMOSTAT
+            accessory.category = this.homebridgeApi.hap.Categories.THERMOSTAT;
 
-          // Store device info in the accessory context
-          accessory.context.device = device;
+            // Store device and account info in the accessory context
+            accessory.context.device = device;
+            accessory.context.accountId = account.id;
 
-          // Initialize the accessory
-          this.initializeAccessory(accessory, device.id);
+            // Initialize the accessory
+            this.initializeAccessory(accessory, device.id);
 
-          // Register the accessory with Homebridge
-          this.homebridgeApi.registerPlatformAccessories(
-            PLUGIN_NAME,
-            PLATFORM_NAME,
-            [accessory],
-          );
+            // Register the accessory with Homebridge
+            this.homebridgeApi.registerPlatformAccessories(
+              PLUGIN_NAME,
+              PLATFORM_NAME,
+              [accessory],
+            );
 
-          this.accessories.push(accessory);
+            this.accessories.push(accessory);
+          }
         }
       }
 
@@ -551,6 +906,89 @@ export class SleepMeSimplePlatform implements DynamicPlatformPlugin {
     }
   }
 
+  /**
+   * Get the devices of an account
+   * Uses devices from config.json for the default account if present,
+   * otherwise fetches them from the API, then applies the account's device filter
+   * @param account Account to list devices for
+   * @returns Devices, or undefined if none could be found
+   */
+  private async getAccountDevices(account: SleepMeAccount): Promise<Device[] | undefined> {
+    let devices: Device[];
+
+    const configuredDevices = account.id === DEFAULT_ACCOUNT_ID
+      ? (this.config.devices as Array<{ id: string; name: string }>) || []
+      : [];
+
+    if (configuredDevices.length > 0) {
+      // Use the devices from config instead of making an API call
+      account.log.info(
+        `Using ${configuredDevices.length} devices from configuration`,
+      );
+
+      // Map config devices to the format expected by the rest of the code
+      devices = configuredDevices.map((device) => ({
+        id: device.id,
+        name: device.name || `SleepMe Device (${device.id})`, // Default name if not specified
+        attachments: [], // Add required fields with default values
+      }));
+    } else {
+      // Fetch devices from the API if none configured manually
+      account.log.info('No devices in configuration, fetching from API...');
+      devices = await account.api.getDevices();
+
+      if (!devices || devices.length === 0) {
+        account.log.error(
+          'No SleepMe devices found. Check your API token and connectivity.',
+        );
+        return undefined;
+      }
+    }
+
+    if (account.deviceFilter) {
+      const filter = account.deviceFilter;
+      const filtered = devices.filter((device) => filter.includes(device.id) || filter.includes(device.name));
+      account.log.info(
+        `Device filter matched ${filtered.length} of ${devices.length} device(s)`,
+      );
+      return filtered;
+    }
+
+    return devices;
+  }
+
+  /**
+   * Get the account ID stored with an accessory
+   * Accessories created before multi-account support belong to the default account
+   * @param accessory Platform accessory
+   * @returns Account ID
+   */
+  private getAccessoryAccountId(accessory: PlatformAccessory): string {
+    return accessory.context.accountId || DEFAULT_ACCOUNT_ID;
+  }
+
+  /**
+   * Create handlers for cached accessories that have a restored status
+   * so HomeKit shows the last known state before discovery runs
+   */
+  private restoreCachedAccessoryHandlers(): void {
+    for (const accessory of this.accessories) {
+      const deviceId = accessory.context.device?.id;
+      const accountId = this.getAccessoryAccountId(accessory);
+      const account = this.accounts.find((candidate) => candidate.id === accountId);
+      if (!deviceId || !account || !account.api.getCachedDeviceStatus(deviceId)) {
+        continue;
+      }
+      this.deviceAccounts.set(deviceId, account);
+
+      this.log.info(
+        `Showing last known state for ${accessory.displayName} until discovery completes`,
+      );
+      this.initializeAccessory(accessory, deviceId);
+      this.restoredHandlerIds.add(deviceId);
+    }
+  }
+
   /**
    * Initialize an accessory with its handler
    * @param accessory - The platform accessory to initialize
@@ -561,13 +999,20 @@ export class SleepMeSimplePlatform implements DynamicPlatformPlugin {
     deviceId: string,
   ): void {
     // Skip initialization if the plugin is not properly configured
-    if (!this.isConfigured || !this.api) {
+    const account = this.deviceAccounts.get(deviceId);
+    if (!this.isConfigured || !account) {
       this.log.warn(
         'Skipping accessory initialization because the plugin is not properly configured',
       );
       return;
     }
 
+    // Keep the handler created at launch from restored state - it is already polling
+    if (this.restoredHandlerIds.delete(deviceId) && this.accessoryInstances.has(deviceId)) {
+      this.log.debug(`Keeping restored accessory handler for device ${deviceId}`);
+      return;
+    }
+
     this.log.info(`Initializing accessory for device ID: ${deviceId}`);
 
     // First, remove any existing handler for this accessory
@@ -578,7 +1023,7 @@ export class SleepMeSimplePlatform implements DynamicPlatformPlugin {
     }
 
     // Create new accessory handler
-    const handler = new SleepMeAccessory(this, accessory, this.api);
+    const handler = new SleepMeAccessory(this, accessory, account.api);
 
     // Store the handler for later cleanup
     this.accessoryInstances.set(deviceId, handler);
@@ -612,6 +1057,7 @@ export class SleepMeSimplePlatform implements DynamicPlatformPlugin {
             handler.cleanup();
             this.accessoryInstances.delete(deviceId);
           }
+          this.deviceAccounts.delete(deviceId);
 
           // Remove from accessories array
           const index = this.accessories.indexOf(accessory);
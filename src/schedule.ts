@@ -4,6 +4,34 @@
  */
 import { Logger } from './api/types.js';
 import { SleepMeApi } from './api/sleepme-api.js';
+import { PersistentStateStore } from './persistence.js';
+import { GeoLocation, parseSolarTime, resolveSolarTime } from './solar.js';
+import { formatLocalDate } from './calendar.js';
+import {
+  DeviceSchedulePolicy,
+  DEFAULT_DEVICE_SCHEDULE_POLICY,
+  DEFAULT_SCHEDULE_CATCH_UP_MINUTES
+} from './settings.js';
+
+/**
+ * Prefix of the persisted schedule enable state documents (one per device)
+ */
+const SCHEDULE_STATE_KEY_PREFIX = 'schedule-state-';
+
+/**
+ * Prefix of the persisted schedule execution history documents (one per device)
+ */
+const SCHEDULE_RUNS_KEY_PREFIX = 'schedule-runs-';
+
+/**
+ * Furthest a schedule's next execution is searched for past excluded dates (days)
+ */
+const MAX_EXCEPTION_LOOKAHEAD_DAYS = 400;
+
+/**
+ * Fixed schedule time syntax (24-hour HH:MM)
+ */
+const FIXED_TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
 
 /**
  * Schedule types supported by the plugin
@@ -28,20 +56,70 @@ export enum DayOfWeek {
   SATURDAY = 6
 }
 
+/**
+ * What a schedule does when it comes due
+ */
+export enum ScheduleAction {
+  SET_TEMPERATURE = 'setTemperature', // Turn on at the schedule's temperature
+  POWER_OFF = 'powerOff',             // Turn off
+  POWER_ON = 'powerOn',               // Turn on at the current setpoint
+  WARM_HUG = 'warmHug',               // Ramp up to the temperature, ending at the schedule's time
+  COOL_DOWN = 'coolDown'              // Ramp down to the temperature, ending at the schedule's time
+}
+
+/**
+ * How schedules change on the dates of an exception
+ */
+export enum ScheduleExceptionMode {
+  SUSPEND = 'suspend',  // No schedules run
+  WEEKEND = 'weekend'   // Weekend schedules run instead of weekday schedules
+}
+
+/**
+ * Date range on which schedules are suspended or follow the weekend profile,
+ * e.g. a vacation or public holiday
+ */
+export interface ScheduleException {
+  name?: string;                // Description (e.g., "Christmas")
+  start: string;                // First day (YYYY-MM-DD)
+  end: string;                  // Last day, inclusive (YYYY-MM-DD)
+  mode: ScheduleExceptionMode;  // What happens to schedules on these days
+}
+
 /**
  * Interface for a temperature schedule
  */
 export interface TemperatureSchedule {
+  id?: string;                  // Stable identifier (assigned by the schedule manager)
   type: ScheduleType;           // Type of schedule
   day?: DayOfWeek;              // Day of week for specific day schedules
   time: string;                 // Time in 24-hour format (HH:MM)
-  temperature: number;          // Target temperature
+  temperature?: number;         // Target temperature (not used by powerOff and powerOn)
+  action?: ScheduleAction;      // What the schedule does (see getScheduleAction)
   description?: string;         // Description of the schedule (e.g., "cool down")
   isWarmHug?: boolean;          // Whether this is a warm hug wake-up schedule
   nextExecutionTime?: number;   // Next execution timestamp (ms)
   lastExecutionTime?: number;   // Last execution timestamp (ms)
 }
 
+/**
+ * Which schedules of a device are switched on
+ * Persisted so HomeKit switch states survive restarts
+ */
+interface ScheduleEnableState {
+  schedulesEnabled: boolean;    // Master switch for all schedules of the device
+  disabledSchedules: string[];  // IDs of individually disabled schedules
+}
+
+/**
+ * When each schedule of a device last ran
+ * Persisted so schedules missed during a restart can be caught up
+ */
+interface ScheduleExecutionState {
+  trackedSince: number;                    // When execution tracking started for the device (ms)
+  lastExecutions: Record<string, number>;  // Last execution timestamp (ms) by schedule ID
+}
+
 /**
  * Warm Hug configuration
  */
@@ -50,6 +128,11 @@ export interface WarmHugConfig {
   duration: number;             // Duration of warm hug (minutes)
 }
 
+/**
+ * Listener for Warm Hugs starting and stopping
+ */
+export type WarmHugListener = (deviceId: string, active: boolean) => void;
+
 /**
  * Schedule Manager class
  * Handles the scheduling of temperature changes
@@ -58,8 +141,11 @@ export class ScheduleManager {
   // Map of device IDs to their schedules
   private schedules: Map<string, TemperatureSchedule[]> = new Map();
   
-  // Callback to mark schedule actions on accessories
-  private markScheduleActionCallback?: (_deviceId: string) => void;
+  // Unsubscribes from device state changes
+  private readonly unsubscribeStateChanges: () => void;
+  
+  // Enable state of each device's schedules
+  private enableStateByDevice: Map<string, ScheduleEnableState> = new Map();
   
   // Timer for the scheduler
   private schedulerTimer?: NodeJS.Timeout;
@@ -67,30 +153,58 @@ export class ScheduleManager {
   // Keep track of last known temperature for each device
   private lastTemperatureByDevice: Map<string, number> = new Map();
   
-  // Track devices with active warm hugs
+  // Track devices with active warm hugs (and cool downs, which use the same ramp)
   private warmHugActiveDevices: Set<string> = new Set();
   
+  // Devices whose running ramp is a cool down rather than a Warm Hug
+  private coolDownDevices: Set<string> = new Set();
+  
   // Track warm hug start times by device
   private warmHugStartTimeByDevice: Map<string, number> = new Map();
   
   // Track warm hug timers by device
   private warmHugTimersByDevice: Map<string, NodeJS.Timeout> = new Map();
   
+  // Listeners for Warm Hugs starting and stopping
+  private warmHugListeners: Set<WarmHugListener> = new Set();
+  
+  // When execution tracking started for each device
+  private trackedSinceByDevice: Map<string, number> = new Map();
+  
+  // Calendar day sunrise/sunset schedules were last resolved for
+  private solarRefreshDay?: string;
+  
   /**
    * Create a new Schedule Manager
    * @param logger Logger for output
    * @param api SleepMe API client
    * @param warmHugConfig Warm Hug configuration
+   * @param stateStore Optional storage for schedule enable state
+   * @param deviceSchedulePolicy Whether schedules run while a device follows its SleepMe app schedule
+   * @param catchUpWindowMinutes How long after a missed schedule it is still applied at startup
+   * @param location Position sunrise and sunset are calculated for
+   * @param exceptions Date ranges on which schedules are suspended or follow the weekend profile
    */
   constructor(
     private readonly logger: Logger,
     private readonly api: SleepMeApi,
     private readonly warmHugConfig: WarmHugConfig,
-    markScheduleActionCallback?: (_deviceId: string) => void
+    private readonly stateStore?: PersistentStateStore,
+    private readonly deviceSchedulePolicy: DeviceSchedulePolicy = DEFAULT_DEVICE_SCHEDULE_POLICY,
+    private readonly catchUpWindowMinutes: number = DEFAULT_SCHEDULE_CATCH_UP_MINUTES,
+    private readonly location?: GeoLocation,
+    private readonly exceptions: ScheduleException[] = []
   ) {
-    this.markScheduleActionCallback = markScheduleActionCallback;
+    // Track current temperatures as a starting point for Warm Hugs
+    this.unsubscribeStateChanges = this.api.deviceStates.onChange(change => {
+      this.updateDeviceTemperature(change.deviceId, change.status.currentTemperature);
+    });
+    
     this.logger.info('Schedule Manager initialized');
     this.logger.info(`Warm Hug config: ${warmHugConfig.increment}°C/min for ${warmHugConfig.duration} minutes`);
+    if (exceptions.length > 0) {
+      this.logger.info(`Loaded ${exceptions.length} schedule exception${exceptions.length === 1 ? '' : 's'}`);
+    }
   }
   
   /**
@@ -104,19 +218,106 @@ export class ScheduleManager {
       return;
     }
     
-    // Calculate next execution times
-    const processedSchedules = schedules.map(schedule => ({
-      ...schedule,
-      nextExecutionTime: this.calculateNextExecutionTime(schedule)
-    }));
+    // Calculate next execution times and assign stable IDs
+    const usedIds = new Set<string>();
+    const processedSchedules = schedules.map(schedule => {
+      const baseId = ScheduleManager.getScheduleId(schedule);
+      let id = baseId;
+      for (let n = 2; usedIds.has(id); n++) {
+        id = `${baseId}-${n}`;
+      }
+      usedIds.add(id);
+      
+      return {
+        ...schedule,
+        id,
+        nextExecutionTime: this.calculateNextExecutionTime(schedule)
+      };
+    });
     
     this.schedules.set(deviceId, processedSchedules);
+    this.loadEnableState(deviceId);
+    this.loadExecutionState(deviceId);
     this.logger.info(`Set ${processedSchedules.length} schedules for device ${deviceId}`);
+    this.catchUpMissedSchedule(deviceId);
+    this.publishNextScheduleTime(deviceId);
     
     // Start the scheduler if not already running
     this.startScheduler();
   }
   
+  /**
+   * Get the schedules of a device
+   * @param deviceId Device identifier
+   * @returns Schedules in configuration order
+   */
+  public getSchedules(deviceId: string): TemperatureSchedule[] {
+    return [...(this.schedules.get(deviceId) || [])];
+  }
+  
+  /**
+   * Whether schedules have been set for a device
+   * @param deviceId Device identifier
+   */
+  public hasSchedules(deviceId: string): boolean {
+    return this.schedules.has(deviceId);
+  }
+  
+  /**
+   * Whether the schedules of a device are switched on as a whole
+   * @param deviceId Device identifier
+   */
+  public areSchedulesEnabled(deviceId: string): boolean {
+    return this.getEnableState(deviceId).schedulesEnabled;
+  }
+  
+  /**
+   * Switch all schedules of a device on or off
+   * Individual schedule states are kept and apply again when switched back on
+   * @param deviceId Device identifier
+   * @param enabled Whether schedules should run
+   */
+  public setSchedulesEnabled(deviceId: string, enabled: boolean): void {
+    const state = this.getEnableState(deviceId);
+    if (state.schedulesEnabled === enabled) {
+      return;
+    }
+    
+    state.schedulesEnabled = enabled;
+    this.logger.info(`Schedules ${enabled ? 'enabled' : 'disabled'} for device ${deviceId}`);
+    this.saveEnableState(deviceId);
+    this.publishNextScheduleTime(deviceId);
+  }
+  
+  /**
+   * Whether an individual schedule is switched on
+   * @param deviceId Device identifier
+   * @param scheduleId Schedule identifier
+   */
+  public isScheduleEnabled(deviceId: string, scheduleId: string): boolean {
+    return !this.getEnableState(deviceId).disabledSchedules.includes(scheduleId);
+  }
+  
+  /**
+   * Switch an individual schedule on or off
+   * @param deviceId Device identifier
+   * @param scheduleId Schedule identifier
+   * @param enabled Whether the schedule should run
+   */
+  public setScheduleEnabled(deviceId: string, scheduleId: string, enabled: boolean): void {
+    const state = this.getEnableState(deviceId);
+    if (this.isScheduleEnabled(deviceId, scheduleId) === enabled) {
+      return;
+    }
+    
+    state.disabledSchedules = enabled
+      ? state.disabledSchedules.filter(id => id !== scheduleId)
+      : [...state.disabledSchedules, scheduleId];
+    this.logger.info(`Schedule ${scheduleId} ${enabled ? 'enabled' : 'disabled'} for device ${deviceId}`);
+    this.saveEnableState(deviceId);
+    this.publishNextScheduleTime(deviceId);
+  }
+  
   /**
    * Update the last known temperature for a device
    * Used to determine starting temperature for Warm Hugs
@@ -138,15 +339,189 @@ export class ScheduleManager {
       this.schedulerTimer = undefined;
     }
     
+    this.unsubscribeStateChanges();
+    
     // Clear any active warm hug timers
     this.warmHugTimersByDevice.forEach((timer) => {
       clearInterval(timer);
     });
     this.warmHugTimersByDevice.clear();
+    this.warmHugActiveDevices.clear();
+    this.coolDownDevices.clear();
+    this.warmHugStartTimeByDevice.clear();
+    this.warmHugListeners.clear();
     
     this.logger.info('Schedule Manager cleaned up');
   }
   
+  /**
+   * Whether a schedule runs, taking the device's master switch into account
+   * @param deviceId Device identifier
+   * @param schedule Schedule to check
+   */
+  private isScheduleActive(deviceId: string, schedule: TemperatureSchedule): boolean {
+    return this.areSchedulesEnabled(deviceId) &&
+      (!schedule.id || this.isScheduleEnabled(deviceId, schedule.id));
+  }
+  
+  /**
+   * Get the enable state of a device's schedules
+   * @param deviceId Device identifier
+   * @returns Enable state (all enabled if nothing was saved)
+   */
+  private getEnableState(deviceId: string): ScheduleEnableState {
+    let state = this.enableStateByDevice.get(deviceId);
+    if (!state) {
+      state = { schedulesEnabled: true, disabledSchedules: [] };
+      this.enableStateByDevice.set(deviceId, state);
+    }
+    return state;
+  }
+  
+  /**
+   * Load the saved enable state of a device's schedules
+   * IDs of schedules that no longer exist are dropped
+   * @param deviceId Device identifier
+   */
+  private loadEnableState(deviceId: string): void {
+    const saved = this.stateStore?.read<ScheduleEnableState>(`${SCHEDULE_STATE_KEY_PREFIX}${deviceId}`);
+    if (!saved) {
+      return;
+    }
+    
+    const scheduleIds = new Set((this.schedules.get(deviceId) || []).map(schedule => schedule.id));
+    this.enableStateByDevice.set(deviceId, {
+      schedulesEnabled: saved.schedulesEnabled !== false,
+      disabledSchedules: (saved.disabledSchedules || []).filter(id => scheduleIds.has(id))
+    });
+  }
+  
+  /**
+   * Save the enable state of a device's schedules
+   * @param deviceId Device identifier
+   */
+  private saveEnableState(deviceId: string): void {
+    this.stateStore?.write(`${SCHEDULE_STATE_KEY_PREFIX}${deviceId}`, this.getEnableState(deviceId));
+  }
+  
+  /**
+   * Restore when each schedule of a device last ran
+   * Tracking starts now if nothing was saved for the device
+   * @param deviceId Device identifier
+   */
+  private loadExecutionState(deviceId: string): void {
+    const saved = this.stateStore?.read<ScheduleExecutionState>(`${SCHEDULE_RUNS_KEY_PREFIX}${deviceId}`);
+    if (!saved || typeof saved.trackedSince !== 'number' ||
+        typeof saved.lastExecutions !== 'object' || saved.lastExecutions === null) {
+      this.trackedSinceByDevice.set(deviceId, Date.now());
+      this.saveExecutionState(deviceId);
+      return;
+    }
+    
+    this.trackedSinceByDevice.set(deviceId, saved.trackedSince);
+    (this.schedules.get(deviceId) || []).forEach(schedule => {
+      const lastExecution = schedule.id ? saved.lastExecutions[schedule.id] : undefined;
+      if (typeof lastExecution === 'number') {
+        schedule.lastExecutionTime = lastExecution;
+      }
+    });
+  }
+  
+  /**
+   * Save when each schedule of a device last ran
+   * @param deviceId Device identifier
+   */
+  private saveExecutionState(deviceId: string): void {
+    const lastExecutions: Record<string, number> = {};
+    (this.schedules.get(deviceId) || []).forEach(schedule => {
+      if (schedule.id && schedule.lastExecutionTime) {
+        lastExecutions[schedule.id] = schedule.lastExecutionTime;
+      }
+    });
+    this.stateStore?.write(`${SCHEDULE_RUNS_KEY_PREFIX}${deviceId}`, {
+      trackedSince: this.trackedSinceByDevice.get(deviceId) ?? Date.now(),
+      lastExecutions
+    });
+  }
+  
+  /**
+   * Apply the schedule that should currently be in effect if it was missed,
+   * e.g. because Homebridge was restarting when it came due
+   * Only occurrences within the catch-up window are applied
+   * @param deviceId Device identifier
+   */
+  private catchUpMissedSchedule(deviceId: string): void {
+    if (this.catchUpWindowMinutes <= 0) {
+      return;
+    }
+    
+    const now = Date.now();
+    let inEffect: { schedule: TemperatureSchedule; occurrence: number } | undefined;
+    
+    for (const schedule of this.schedules.get(deviceId) || []) {
+      if (!this.isScheduleActive(deviceId, schedule)) {
+        continue;
+      }
+      const occurrence = this.calculatePreviousExecutionTime(schedule, now);
+      if (occurrence && (!inEffect || occurrence > inEffect.occurrence)) {
+        inEffect = { schedule, occurrence };
+      }
+    }
+    
+    if (!inEffect) {
+      return;
+    }
+    
+    // Occurrences from before tracking started may have run without being recorded
+    const { schedule, occurrence } = inEffect;
+    const trackedSince = this.trackedSinceByDevice.get(deviceId) ?? now;
+    if ((schedule.lastExecutionTime || 0) >= occurrence || occurrence < trackedSince) {
+      return;
+    }
+    
+    // Ramps start early; how late a schedule is counts from its configured time
+    const scheduledTime = this.getScheduleDate(schedule, occurrence).getTime();
+    const missedBy = Math.round((now - scheduledTime) / 60000);
+    if (now - scheduledTime > this.catchUpWindowMinutes * 60000) {
+      this.logger.info(`Not catching up schedule ${schedule.id} for device ${deviceId}: ` +
+        `missed ${missedBy} minutes ago, outside the ${this.catchUpWindowMinutes} minute catch-up window`);
+      return;
+    }
+    
+    if (this.shouldYieldToDeviceSchedule(deviceId)) {
+      this.logger.info(`Not catching up schedule ${schedule.id} for device ${deviceId}: ` +
+        'device is following its SleepMe app schedule');
+      return;
+    }
+    
+    this.logger.info(`Catching up schedule ${schedule.id} for device ${deviceId}, ` +
+      (scheduledTime > now
+        ? `ramp started ${Math.round((now - occurrence) / 60000)} minutes ago`
+        : `missed ${missedBy} minutes ago`));
+    
+    if (ScheduleManager.isRampAction(schedule) && now >= scheduledTime) {
+      // A ramp whose end time has passed goes straight to its target
+      this.applyScheduleTemperature(deviceId, schedule);
+    } else if (ScheduleManager.isRampAction(schedule)) {
+      // A ramp still in progress runs for the time left, so it still ends at the scheduled time
+      this.executeSchedule(deviceId, schedule, Math.ceil((scheduledTime - now) / 60000));
+    } else {
+      this.executeSchedule(deviceId, schedule);
+    }
+    
+    schedule.lastExecutionTime = now;
+    this.saveExecutionState(deviceId);
+  }
+  
+  /**
+   * Tell the device state store when the next schedule for a device runs
+   * so the device is polled more often around it
+   * @param deviceId Device identifier
+   */
+  private publishNextScheduleTime(deviceId: string): void {
+    this.api.deviceStates.setNextScheduleTime(deviceId, this.getNextScheduledTemperature(deviceId)?.time);
+  }
+  
   /**
    * Start the scheduler
    */
@@ -172,10 +547,12 @@ private checkSchedules(): void {
   const now = Date.now();
   this.logger.verbose(`Checking schedules at ${new Date(now).toLocaleString()}`);
   
-  // Get current day to properly handle weekend/weekday schedules
-  const currentDay = new Date().getDay(); // 0 = Sunday, 6 = Saturday
-  const isWeekend = (currentDay === 0 || currentDay === 6);
-  const isWeekday = !isWeekend;
+  // Sunrise and sunset move every day
+  const today = new Date(now).toDateString();
+  if (this.solarRefreshDay !== today) {
+    this.solarRefreshDay = today;
+    this.refreshSolarSchedules(now);
+  }
   
   this.schedules.forEach((deviceSchedules, deviceId) => {
     this.logger.verbose(`Checking ${deviceSchedules.length} schedules for device ${deviceId}`);
@@ -188,23 +565,13 @@ private checkSchedules(): void {
         return;
       }
       
-      // Check if schedule should apply today based on type
-      let shouldRunToday = false;
-      if (schedule.type === ScheduleType.EVERYDAY) {
-        shouldRunToday = true;
-      } else if (schedule.type === ScheduleType.WEEKDAYS && isWeekday) {
-        shouldRunToday = true;
-      } else if (schedule.type === ScheduleType.WEEKEND && isWeekend) {
-        shouldRunToday = true;
-      } else if (schedule.type === ScheduleType.SPECIFIC_DAY && schedule.day === currentDay) {
-        shouldRunToday = true;
-      } else if (schedule.isWarmHug=== true) {
-        // Warm hug follows same logic as other schedule types
-        if (schedule.isWarmHug) {
-          this.startWarmHug(deviceId, schedule);
-        } else {
-          this.executeSchedule(deviceId, schedule);
-        }
+      // Check if the schedule applies on the day it is due, taking its type and
+      // exceptions (holidays, vacations) into account
+      const shouldRunToday = this.appliesOnDate(schedule, this.getScheduleDate(schedule, schedule.nextExecutionTime));
+      if (!shouldRunToday && now >= schedule.nextExecutionTime) {
+        deviceSchedules[index].nextExecutionTime = this.calculateNextExecutionTime(schedule);
+        this.publishNextScheduleTime(deviceId);
+        return;
       }
       
       // Add debug logging
@@ -213,47 +580,151 @@ private checkSchedules(): void {
         `shouldRunToday=${shouldRunToday}, now=${new Date(now).toLocaleString()}`);
       
 // Check if it's time to execute and schedule applies today
-if (shouldRunToday && now >= schedule.nextExecutionTime) {
+if (shouldRunToday && now >= schedule.nextExecutionTime && !this.isScheduleActive(deviceId, schedule)) {
+  // Switched off in HomeKit - skip this occurrence
+  this.logger.info(`Skipping disabled schedule ${index} (${schedule.type}) at ${schedule.time} for device ${deviceId}`);
+  deviceSchedules[index].nextExecutionTime = this.calculateNextExecutionTime(schedule);
+  this.publishNextScheduleTime(deviceId);
+} else if (shouldRunToday && now >= schedule.nextExecutionTime && this.shouldYieldToDeviceSchedule(deviceId)) {
+  // Configured to leave devices alone while they follow their SleepMe app schedule
+  this.logger.info(`Skipping schedule ${index} (${schedule.type}) at ${schedule.time} for device ${deviceId}: ` +
+    'device is following its SleepMe app schedule');
+  deviceSchedules[index].nextExecutionTime = this.calculateNextExecutionTime(schedule);
+  this.publishNextScheduleTime(deviceId);
+} else if (shouldRunToday && now >= schedule.nextExecutionTime) {
   this.logger.info(`Executing schedule ${index} (${schedule.type}) at ${schedule.time} ` +
-    `for device ${deviceId}: ${schedule.temperature}°C`);
+    `for device ${deviceId}: ${ScheduleManager.describeAction(schedule)}`);
   
-  if (schedule.isWarmHug === true) {
-    this.startWarmHug(deviceId, schedule);
-  } else {
-    this.executeSchedule(deviceId, schedule);
-  }
+  this.executeSchedule(deviceId, schedule);
   
   // Update last execution time and calculate next execution
   deviceSchedules[index].lastExecutionTime = now;
   deviceSchedules[index].nextExecutionTime = this.calculateNextExecutionTime(schedule);
+  this.saveExecutionState(deviceId);
   
   this.logger.debug(`Next execution for schedule ${index}: ${new Date(deviceSchedules[index].nextExecutionTime!).toLocaleString()}`);
+  this.publishNextScheduleTime(deviceId);
 }
     });
   });
 }
   
   /**
-   * Execute a regular temperature schedule
+   * Recompute the next execution of schedules relative to sunrise or sunset
+   * and log when they run today
+   * @param now Current timestamp (ms)
+   */
+  private refreshSolarSchedules(now: number): void {
+    this.schedules.forEach((deviceSchedules, deviceId) => {
+      const solarSchedules = deviceSchedules.filter(schedule => parseSolarTime(schedule.time));
+      if (solarSchedules.length === 0) {
+        return;
+      }
+      
+      solarSchedules.forEach(schedule => {
+        // Leave schedules that are due alone so they still run
+        if (!schedule.nextExecutionTime || schedule.nextExecutionTime > now) {
+          schedule.nextExecutionTime = this.calculateNextExecutionTime(schedule);
+        }
+        
+        const todayTime = this.resolveScheduleTime(schedule.time, new Date(now));
+        this.logger.info(`Schedule ${schedule.id} for device ${deviceId} (${schedule.time}) ` +
+          (todayTime
+            ? `resolves to ${todayTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} today`
+            : 'does not occur today'));
+      });
+      this.publishNextScheduleTime(deviceId);
+    });
+  }
+  
+  /**
+   * Whether a due schedule should be skipped because the device follows its own schedule
+   * @param deviceId Device identifier
+   */
+  private shouldYieldToDeviceSchedule(deviceId: string): boolean {
+    return this.deviceSchedulePolicy === DeviceSchedulePolicy.YIELD &&
+      !!this.api.deviceStates.getStatus(deviceId)?.deviceScheduleActive;
+  }
+  
+  /**
+   * Execute a schedule according to its action
    * @param deviceId Device identifier
    * @param schedule Schedule to execute
+   * @param rampMinutes Length of a Warm Hug or cool down ramp, if not the configured duration
    */
-  private executeSchedule(deviceId: string, schedule: TemperatureSchedule): void {
-    this.logger.info(`Executing schedule for device ${deviceId}: Set to ${schedule.temperature}°C`);
-    
-    // Mark schedule action on accessory for adaptive polling
-    if (this.markScheduleActionCallback) {
-      this.markScheduleActionCallback(deviceId);
+  private executeSchedule(deviceId: string, schedule: TemperatureSchedule, rampMinutes?: number): void {
+    switch (ScheduleManager.getScheduleAction(schedule)) {
+      case ScheduleAction.POWER_OFF:
+        this.applySchedulePower(deviceId, false);
+        break;
+      case ScheduleAction.POWER_ON:
+        this.applySchedulePower(deviceId, true);
+        break;
+      case ScheduleAction.WARM_HUG:
+        this.startWarmHug(deviceId, schedule, rampMinutes);
+        break;
+      case ScheduleAction.COOL_DOWN:
+        this.startCoolDown(deviceId, schedule, rampMinutes);
+        break;
+      default:
+        this.applyScheduleTemperature(deviceId, schedule);
     }
+  }
+  
+  /**
+   * Turn a device on at a schedule's temperature
+   * @param deviceId Device identifier
+   * @param schedule Schedule to execute
+   */
+  private applyScheduleTemperature(deviceId: string, schedule: TemperatureSchedule): void {
+    const temperature = schedule.temperature;
+    if (temperature === undefined) {
+      this.logger.error(`Schedule ${schedule.id} for device ${deviceId} has no temperature`);
+      return;
+    }
+    
+    this.logger.info(`Executing schedule for device ${deviceId}: Set to ${temperature}°C`);
+    
+    // Poll the device more often while the schedule takes effect
+    this.api.deviceStates.markScheduleAction(deviceId);
     
     // Set the temperature using schedule context
-    this.api.turnDeviceOnForSchedule(deviceId, schedule.temperature)
+    this.api.turnDeviceOnForSchedule(deviceId, temperature)
       .then(success => {
         if (success) {
-          this.logger.info(`Successfully executed schedule: Device ${deviceId} temperature set to ${schedule.temperature}°C`);
+          this.logger.info(`Successfully executed schedule: Device ${deviceId} temperature set to ${temperature}°C`);
           
           // Update last known temperature
-          this.lastTemperatureByDevice.set(deviceId, schedule.temperature);
+          this.lastTemperatureByDevice.set(deviceId, temperature);
+        } else {
+          this.logger.error(`Failed to execute schedule for device ${deviceId}`);
+        }
+      })
+      .catch(error => {
+        this.logger.error(`Error executing schedule: ${error}`);
+      });
+  }
+  
+  /**
+   * Turn a device off, or on at its current setpoint, for a schedule
+   * Turning off also ends a running Warm Hug or cool down
+   * @param deviceId Device identifier
+   * @param on Whether to turn the device on
+   */
+  private applySchedulePower(deviceId: string, on: boolean): void {
+    this.logger.info(`Executing schedule for device ${deviceId}: Turn ${on ? 'on' : 'off'}`);
+    
+    if (!on) {
+      this.cancelWarmHug(deviceId);
+    }
+    
+    // Poll the device more often while the schedule takes effect
+    this.api.deviceStates.markScheduleAction(deviceId);
+    
+    (on ? this.api.turnDeviceOnForSchedule(deviceId) : this.api.turnDeviceOffForSchedule(deviceId))
+      .then(success => {
+        if (success) {
+          this.logger.info(`Successfully executed schedule: Device ${deviceId} turned ${on ? 'on' : 'off'}`);
         } else {
           this.logger.error(`Failed to execute schedule for device ${deviceId}`);
         }
@@ -264,58 +735,151 @@ if (shouldRunToday && now >= schedule.nextExecutionTime) {
   }
   
   /**
-   * Start a Warm Hug temperature ramp
+   * Start a Warm Hug temperature ramp for a schedule
    * @param deviceId Device identifier
    * @param schedule Schedule with target temperature
+   * @param durationMinutes Ramp length, if not the configured duration
    */
-  private startWarmHug(deviceId: string, schedule: TemperatureSchedule): void {
-    // Skip if warm hug already active for this device
-    if (this.warmHugActiveDevices.has(deviceId)) {
-      this.logger.debug(`Warm Hug already active for device ${deviceId}, skipping`);
+  private startWarmHug(deviceId: string, schedule: TemperatureSchedule, durationMinutes?: number): void {
+    if (schedule.temperature === undefined) {
+      this.logger.error(`Warm Hug schedule ${schedule.id} for device ${deviceId} has no temperature`);
       return;
     }
+    this.runWarmHug(deviceId, schedule.temperature, false, durationMinutes);
+  }
+  
+  /**
+   * Start a cool down ramp for a schedule
+   * Uses the Warm Hug duration, but is not reported as a Warm Hug
+   * @param deviceId Device identifier
+   * @param schedule Schedule with target temperature
+   * @param durationMinutes Ramp length, if not the configured duration
+   */
+  private startCoolDown(deviceId: string, schedule: TemperatureSchedule, durationMinutes?: number): void {
+    if (schedule.temperature === undefined) {
+      this.logger.error(`Cool down schedule ${schedule.id} for device ${deviceId} has no temperature`);
+      return;
+    }
+    this.runWarmHug(deviceId, schedule.temperature, true, durationMinutes);
+  }
+  
+  /**
+   * Start a Warm Hug ramp right away, independent of any schedule
+   * @param deviceId Device identifier
+   * @param targetTemperature Temperature the ramp ends at (°C)
+   * @returns False if a Warm Hug is already running for the device
+   */
+  public startWarmHugNow(deviceId: string, targetTemperature: number): boolean {
+    if (this.warmHugActiveDevices.has(deviceId)) {
+      return false;
+    }
+    
+    this.logger.info(`Warm Hug requested for device ${deviceId}`);
+    this.runWarmHug(deviceId, targetTemperature);
+    return true;
+  }
+  
+  /**
+   * Cancel a running Warm Hug or cool down
+   * The device keeps the temperature of the last completed step
+   * @param deviceId Device identifier
+   * @returns False if no Warm Hug or cool down was running for the device
+   */
+  public cancelWarmHug(deviceId: string): boolean {
+    if (!this.warmHugActiveDevices.has(deviceId)) {
+      return false;
+    }
     
-    // Mark schedule action on accessory for adaptive polling
-    if (this.markScheduleActionCallback) {
-      this.markScheduleActionCallback(deviceId);
+    const rampName = this.coolDownDevices.has(deviceId) ? 'Cool down' : 'Warm Hug';
+    this.finishWarmHug(deviceId);
+    this.logger.info(`${rampName} cancelled for device ${deviceId}`);
+    return true;
+  }
+  
+  /**
+   * Whether a Warm Hug is running for a device
+   * @param deviceId Device identifier
+   */
+  public isWarmHugActive(deviceId: string): boolean {
+    return this.warmHugActiveDevices.has(deviceId) && !this.coolDownDevices.has(deviceId);
+  }
+  
+  /**
+   * Subscribe to Warm Hugs starting, completing, failing or being cancelled
+   * @param listener Called with the device ID and whether a Warm Hug is now running
+   * @returns Function that removes the listener
+   */
+  public onWarmHugChange(listener: WarmHugListener): () => void {
+    this.warmHugListeners.add(listener);
+    return () => {
+      this.warmHugListeners.delete(listener);
+    };
+  }
+  
+  /**
+   * Ramp a device toward a target temperature in one step per minute
+   * @param deviceId Device identifier
+   * @param targetTemperature Temperature the ramp ends at (°C)
+   * @param coolDown Whether the ramp is a cool down rather than a Warm Hug
+   * @param durationMinutes Ramp length; defaults to the configured Warm Hug duration
+   */
+  private runWarmHug(
+    deviceId: string,
+    targetTemperature: number,
+    coolDown = false,
+    durationMinutes = this.warmHugConfig.duration
+  ): void {
+    const rampName = coolDown ? 'Cool down' : 'Warm Hug';
+    
+    // Skip if a ramp is already active for this device
+    if (this.warmHugActiveDevices.has(deviceId)) {
+      this.logger.debug(`Warm Hug or cool down already active for device ${deviceId}, skipping ${rampName}`);
+      return;
     }
     
-    // Get last known temperature or use a sensible default
-    const startTemperature = this.lastTemperatureByDevice.get(deviceId) || (schedule.temperature - 4);
+    // Poll the device more often while the ramp takes effect
+    this.api.deviceStates.markScheduleAction(deviceId);
     
-    // Calculate target time (when warm hug should complete)
-    const _targetTime = schedule.nextExecutionTime || Date.now();
+    // Get last known temperature or use a sensible default
+    const startTemperature = this.lastTemperatureByDevice.get(deviceId) ||
+      (coolDown ? targetTemperature + 4 : targetTemperature - 4);
     
-    // Record warm hug start
+    // Record ramp start; the start time identifies this run
+    const startTime = Date.now();
     this.warmHugActiveDevices.add(deviceId);
-    this.warmHugStartTimeByDevice.set(deviceId, Date.now());
+    this.warmHugStartTimeByDevice.set(deviceId, startTime);
+    if (coolDown) {
+      this.coolDownDevices.add(deviceId);
+    } else {
+      this.notifyWarmHugChange(deviceId, true);
+    }
     
     this.logger.info(
-      `Starting Warm Hug for device ${deviceId}: ` +
-      `${startTemperature}°C → ${schedule.temperature}°C over ${this.warmHugConfig.duration} minutes`
+      `Starting ${rampName} for device ${deviceId}: ` +
+      `${startTemperature}°C → ${targetTemperature}°C over ${durationMinutes} minutes`
     );
     
-    // Set initial temperature using schedule context
-    this.api.setTemperatureForSchedule(deviceId, startTemperature)
+    // Turn on at the initial temperature using schedule context
+    this.api.turnDeviceOnForSchedule(deviceId, startTemperature)
       .then(success => {
+        // Cancelled (and possibly restarted) while the first step was in flight
+        if (this.warmHugStartTimeByDevice.get(deviceId) !== startTime) {
+          return;
+        }
+        
         if (!success) {
-          this.logger.error(`Failed to set initial Warm Hug temperature for device ${deviceId}`);
-          this.warmHugActiveDevices.delete(deviceId);
+          this.logger.error(`Failed to set initial ${rampName} temperature for device ${deviceId}`);
+          this.finishWarmHug(deviceId);
           return;
         }
         
         // Calculate temperature steps
-        const temperatureDiff = schedule.temperature - startTemperature;
-        const totalSteps = this.warmHugConfig.duration;
+        const temperatureDiff = targetTemperature - startTemperature;
+        const totalSteps = durationMinutes;
         const stepSize = temperatureDiff / totalSteps;
         
         let currentStep = 0;
         
-        // Clear any existing timers for this device
-        if (this.warmHugTimersByDevice.has(deviceId)) {
-          clearInterval(this.warmHugTimersByDevice.get(deviceId));
-        }
-        
         // Create timer for temperature ramp
         const warmHugTimer = setInterval(() => {
           currentStep++;
@@ -324,20 +888,18 @@ if (shouldRunToday && now >= schedule.nextExecutionTime) {
           const nextTemperature = startTemperature + (stepSize * currentStep);
           const roundedTemperature = Math.round(nextTemperature * 10) / 10; // Round to 1 decimal place
           
-          this.logger.debug(`Warm Hug step ${currentStep}/${totalSteps} for device ${deviceId}: ${roundedTemperature}°C`);
+          this.logger.debug(`${rampName} step ${currentStep}/${totalSteps} for device ${deviceId}: ${roundedTemperature}°C`);
           
           // Set new temperature using schedule context
           this.api.setTemperatureForSchedule(deviceId, roundedTemperature)
             .catch(error => {
-              this.logger.error(`Error during Warm Hug temperature adjustment: ${error}`);
+              this.logger.error(`Error during ${rampName} temperature adjustment: ${error}`);
             });
           
           // Clean up when done
           if (currentStep >= totalSteps) {
-            clearInterval(warmHugTimer);
-            this.warmHugTimersByDevice.delete(deviceId);
-            this.warmHugActiveDevices.delete(deviceId);
-            this.logger.info(`Warm Hug completed for device ${deviceId}`);
+            this.finishWarmHug(deviceId);
+            this.logger.info(`${rampName} completed for device ${deviceId}`);
           }
         }, 60000); // One step per minute
         
@@ -345,83 +907,201 @@ if (shouldRunToday && now >= schedule.nextExecutionTime) {
         this.warmHugTimersByDevice.set(deviceId, warmHugTimer);
       })
       .catch(error => {
-        this.logger.error(`Error starting Warm Hug: ${error}`);
-        this.warmHugActiveDevices.delete(deviceId);
+        this.logger.error(`Error starting ${rampName}: ${error}`);
+        if (this.warmHugStartTimeByDevice.get(deviceId) === startTime) {
+          this.finishWarmHug(deviceId);
+        }
       });
   }
+  
+  /**
+   * Stop a device's Warm Hug or cool down ramp and notify Warm Hug listeners
+   * @param deviceId Device identifier
+   */
+  private finishWarmHug(deviceId: string): void {
+    const timer = this.warmHugTimersByDevice.get(deviceId);
+    if (timer) {
+      clearInterval(timer);
+      this.warmHugTimersByDevice.delete(deviceId);
+    }
+    
+    this.warmHugStartTimeByDevice.delete(deviceId);
+    const wasCoolDown = this.coolDownDevices.delete(deviceId);
+    if (this.warmHugActiveDevices.delete(deviceId) && !wasCoolDown) {
+      this.notifyWarmHugChange(deviceId, false);
+    }
+  }
+  
+  /**
+   * Notify Warm Hug listeners
+   * @param deviceId Device identifier
+   * @param active Whether a Warm Hug is now running
+   */
+  private notifyWarmHugChange(deviceId: string, active: boolean): void {
+    this.warmHugListeners.forEach(listener => {
+      try {
+        listener(deviceId, active);
+      } catch (error) {
+        this.logger.error(`Error in Warm Hug listener: ${error instanceof Error ? error.message : String(error)}`);
+      }
+    });
+  }
 /**
  * Calculate the next execution time for a schedule
  * @param schedule Schedule to calculate next execution for
- * @returns Timestamp when schedule should next execute
+ * @returns Timestamp when schedule should next execute, or 0 if it has none in the next week (not counting excluded dates)
  */
 private calculateNextExecutionTime(schedule: TemperatureSchedule): number {
-  const now = new Date();
+  const now = Date.now();
   
-  // Parse the schedule time (HH:MM)
-  const [hours, minutes] = schedule.time.split(':').map(Number);
+  if (!Object.values(ScheduleType).includes(schedule.type)) {
+    this.logger.error(`Unknown schedule type: ${schedule.type}`);
+    return 0;
+  }
+  if (schedule.type === ScheduleType.SPECIFIC_DAY && schedule.day === undefined) {
+    this.logger.error('Specific day schedule missing day property');
+    return 0;
+  }
   
-  // Create a date for today with the specified time
-  const scheduleDate = new Date();
-  scheduleDate.setHours(hours, minutes, 0, 0);
+  // A week ahead, plus a day for ramps that start before midnight; days covered
+  // by exceptions (e.g. a long vacation) extend the search
+  let horizon = 8;
+  for (let daysAhead = 0; daysAhead <= horizon; daysAhead++) {
+    const scheduleDate = new Date(now);
+    scheduleDate.setDate(scheduleDate.getDate() + daysAhead);
+    if (horizon < MAX_EXCEPTION_LOOKAHEAD_DAYS && this.getException(scheduleDate)) {
+      horizon++;
+    }
+    
+    const occurrence = this.getOccurrence(schedule, scheduleDate);
+    if (occurrence !== undefined && occurrence > now && this.appliesOnDate(schedule, scheduleDate)) {
+      return occurrence;
+    }
+  }
+  
+  this.logger.debug(`Schedule ${schedule.id || schedule.time} has no upcoming execution time`);
+  return 0;
+}
+
+/**
+ * Calculate the most recent time a schedule came due
+ * @param schedule Schedule to calculate the previous execution for
+ * @param now Timestamp to look back from (ms)
+ * @returns Timestamp of the previous execution, or undefined if there is none in the last week
+ */
+private calculatePreviousExecutionTime(schedule: TemperatureSchedule, now: number): number | undefined {
+  for (let daysBack = 0; daysBack <= 7; daysBack++) {
+    const scheduleDate = new Date(now);
+    scheduleDate.setDate(scheduleDate.getDate() - daysBack);
+    
+    const occurrence = this.getOccurrence(schedule, scheduleDate);
+    if (occurrence !== undefined && occurrence <= now && this.appliesOnDate(schedule, scheduleDate)) {
+      return occurrence;
+    }
+  }
+  
+  return undefined;
+}
+
+/**
+ * Calculate when a schedule starts on a calendar day
+ * Ramps (Warm Hug and cool down) start early so they end at the scheduled time
+ * @param schedule Schedule to calculate for
+ * @param date Any time on the calendar day
+ * @returns Start timestamp, or undefined if the schedule's time doesn't occur that day
+ */
+private getOccurrence(schedule: TemperatureSchedule, date: Date): number | undefined {
+  const scheduleDate = this.resolveScheduleTime(schedule.time, date);
+  if (!scheduleDate) {
+    return undefined;
+  }
   
-  // For Warm Hug schedules, subtract the duration to start earlier
-  if (schedule.isWarmHug === true) {
+  if (ScheduleManager.isRampAction(schedule)) {
     scheduleDate.setMinutes(scheduleDate.getMinutes() - this.warmHugConfig.duration);
   }
+  return scheduleDate.getTime();
+}
+
+/**
+ * Resolve a schedule time (HH:MM or relative to sunrise/sunset) on a calendar day
+ * @param time Schedule time
+ * @param date Any time on the calendar day
+ * @returns Time the schedule is due, or undefined if the time doesn't occur that day
+ */
+private resolveScheduleTime(time: string, date: Date): Date | undefined {
+  const solarTime = parseSolarTime(time);
+  if (solarTime) {
+    return this.location ? resolveSolarTime(date, solarTime, this.location) : undefined;
+  }
   
-  // If the time has already passed today, move to the next applicable day
-  if (scheduleDate <= now) {
-    scheduleDate.setDate(scheduleDate.getDate() + 1);
+  const [hours, minutes] = time.split(':').map(Number);
+  if (isNaN(hours) || isNaN(minutes)) {
+    return undefined;
   }
   
-  // Adjust the date based on schedule type
+  const scheduleDate = new Date(date);
+  scheduleDate.setHours(hours, minutes, 0, 0);
+  return scheduleDate;
+}
+
+/**
+ * Get the calendar day an occurrence of a schedule belongs to
+ * Ramps start before their scheduled time, possibly on the previous day
+ * @param schedule Schedule the occurrence belongs to
+ * @param occurrence Start timestamp of the occurrence (ms)
+ */
+private getScheduleDate(schedule: TemperatureSchedule, occurrence: number): Date {
+  const rampOffset = ScheduleManager.isRampAction(schedule) ? this.warmHugConfig.duration * 60000 : 0;
+  return new Date(occurrence + rampOffset);
+}
+
+/**
+ * Whether a schedule runs on a calendar day, including exceptions
+ * @param schedule Schedule to check
+ * @param date Any time on the calendar day
+ */
+private appliesOnDate(schedule: TemperatureSchedule, date: Date): boolean {
+  const exception = this.getException(date);
+  if (exception?.mode === ScheduleExceptionMode.SUSPEND) {
+    return false;
+  }
+  if (exception?.mode === ScheduleExceptionMode.WEEKEND &&
+      (schedule.type === ScheduleType.WEEKDAYS || schedule.type === ScheduleType.WEEKEND)) {
+    return schedule.type === ScheduleType.WEEKEND;
+  }
+  return this.appliesOnDay(schedule, date.getDay());
+}
+
+/**
+ * Find the exception covering a calendar day
+ * Suspending takes precedence where exceptions overlap
+ * @param date Any time on the calendar day
+ * @returns Exception, or undefined on regular days
+ */
+private getException(date: Date): ScheduleException | undefined {
+  const day = formatLocalDate(date);
+  const matching = this.exceptions.filter(exception => exception.start <= day && day <= exception.end);
+  return matching.find(exception => exception.mode === ScheduleExceptionMode.SUSPEND) ?? matching[0];
+}
+
+/**
+ * Whether a schedule runs on a day of the week
+ * @param schedule Schedule to check
+ * @param day Day of the week (0 = Sunday)
+ */
+private appliesOnDay(schedule: TemperatureSchedule, day: number): boolean {
   switch (schedule.type) {
     case ScheduleType.EVERYDAY:
-      // Already set for the next day
-      break;
-      
+      return true;
     case ScheduleType.WEEKDAYS:
-      // Skip to Monday if it's Friday and already passed today's time
-      if (scheduleDate.getDay() === 6) { // Saturday
-        scheduleDate.setDate(scheduleDate.getDate() + 2);
-      } else if (scheduleDate.getDay() === 0) { // Sunday
-        scheduleDate.setDate(scheduleDate.getDate() + 1);
-      }
-      break;
-      
+      return day >= 1 && day <= 5;
     case ScheduleType.WEEKEND:
-      // Skip to Saturday if it's Sunday and already passed today's time
-      if (scheduleDate.getDay() >= 1 && scheduleDate.getDay() <= 5) {
-        // Current day is Mon-Fri, move to Saturday
-        scheduleDate.setDate(scheduleDate.getDate() + (6 - scheduleDate.getDay()));
-      }
-      break;
-      
+      return day === 0 || day === 6;
     case ScheduleType.SPECIFIC_DAY:
-      if (schedule.day === undefined) {
-        this.logger.error('Specific day schedule missing day property');
-        return 0;
-      }
-      
-      // Wrap the declaration in a block to satisfy ESLint
-      {
-        const daysUntilTargetDay = (schedule.day - scheduleDate.getDay() + 7) % 7;
-        
-        // If today is the target day but time has passed, add 7 days
-        if (daysUntilTargetDay === 0) {
-          scheduleDate.setDate(scheduleDate.getDate() + 7);
-        } else {
-          scheduleDate.setDate(scheduleDate.getDate() + daysUntilTargetDay);
-        }
-      }
-      break;
-      
+      return schedule.day === day;
     default:
-      this.logger.error(`Unknown schedule type: ${schedule.type}`);
-      return 0;
+      return false;
   }
-  
-  return scheduleDate.getTime();
 }
 
 /**
@@ -430,7 +1110,7 @@ private calculateNextExecutionTime(schedule: TemperatureSchedule): number {
  * @param deviceId Device identifier
  * @returns Next scheduled temperature or undefined if none
  */
-public getNextScheduledTemperature(deviceId: string): { time: number; temperature: number } | undefined {
+public getNextScheduledTemperature(deviceId: string): { time: number; temperature?: number } | undefined {
   const deviceSchedules = this.schedules.get(deviceId);
   if (!deviceSchedules || deviceSchedules.length === 0) {
     return undefined;
@@ -441,6 +1121,9 @@ public getNextScheduledTemperature(deviceId: string): { time: number; temperatur
   let earliestTime = Number.MAX_SAFE_INTEGER;
   
   for (const schedule of deviceSchedules) {
+    if (!this.isScheduleActive(deviceId, schedule)) {
+      continue;
+    }
     if (schedule.nextExecutionTime && schedule.nextExecutionTime < earliestTime) {
       earliestSchedule = schedule;
       earliestTime = schedule.nextExecutionTime;
@@ -457,6 +1140,83 @@ public getNextScheduledTemperature(deviceId: string): { time: number; temperatur
   return undefined;
 }
 
+/**
+ * Build a stable identifier for a schedule from its type, day and time
+ * Used for HomeKit switch subtypes and persisted enable state
+ * @param schedule Schedule to identify
+ * @returns Identifier such as "weekdays-0630", "specific-day-1-2300-warm-hug" or "everyday-sunset-plus-300"
+ */
+public static getScheduleId(schedule: TemperatureSchedule): string {
+  const action = ScheduleManager.getScheduleAction(schedule);
+  const parts = [
+    schedule.type,
+    schedule.day !== undefined ? String(schedule.day) : '',
+    schedule.time.replace(':', '').replace('+', ' plus ').replace('-', ' minus '),
+    schedule.isWarmHug ? 'warm hug' : '',
+    // Temperature and Warm Hug schedules keep the IDs they had before actions existed
+    action !== ScheduleAction.SET_TEMPERATURE && action !== ScheduleAction.WARM_HUG
+      ? action.replace(/([A-Z])/g, ' $1')
+      : ''
+  ];
+  return parts
+    .filter(part => part !== '')
+    .join('-')
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, '-');
+}
+
+/**
+ * Get what a schedule does when it comes due
+ * Schedules without an action set the temperature, or start a Warm Hug if flagged as one
+ * @param schedule Schedule to check
+ * @returns Schedule action
+ */
+public static getScheduleAction(schedule: TemperatureSchedule): ScheduleAction {
+  return schedule.action ?? (schedule.isWarmHug === true ? ScheduleAction.WARM_HUG : ScheduleAction.SET_TEMPERATURE);
+}
+
+/**
+ * Whether a schedule ramps the temperature, starting early to end at its time
+ * @param schedule Schedule to check
+ */
+public static isRampAction(schedule: TemperatureSchedule): boolean {
+  const action = ScheduleManager.getScheduleAction(schedule);
+  return action === ScheduleAction.WARM_HUG || action === ScheduleAction.COOL_DOWN;
+}
+
+/**
+ * Describe what a schedule does for log messages
+ * @param schedule Schedule to describe
+ * @returns Description such as "22°C", "turn off" or "Warm Hug to 30°C"
+ */
+public static describeAction(schedule: TemperatureSchedule): string {
+  switch (ScheduleManager.getScheduleAction(schedule)) {
+    case ScheduleAction.POWER_OFF: return 'turn off';
+    case ScheduleAction.POWER_ON: return 'turn on at current setpoint';
+    case ScheduleAction.WARM_HUG: return `Warm Hug to ${schedule.temperature}°C`;
+    case ScheduleAction.COOL_DOWN: return `cool down to ${schedule.temperature}°C`;
+    default: return `${schedule.temperature}°C`;
+  }
+}
+
+/**
+ * Check a schedule time
+ * @param time Schedule time (HH:MM or relative to sunrise/sunset)
+ * @returns True for a 24-hour HH:MM time or a sun time with an offset of up to 12 hours
+ */
+public static isValidTime(time: string): boolean {
+  return FIXED_TIME_PATTERN.test(time.trim()) || parseSolarTime(time) !== undefined;
+}
+
+/**
+ * Convert schedule action string to enum
+ * @param actionStr Schedule action string
+ * @returns ScheduleAction enum value, or undefined if unknown
+ */
+public static scheduleActionFromString(actionStr: string): ScheduleAction | undefined {
+  return Object.values(ScheduleAction).find(action => action === actionStr);
+}
+
 /**
  * Convert day name to day of week enum
  * @param dayName Name of the day
@@ -63,6 +63,13 @@ export const USER_COMMAND_CACHE_VALIDITY_MS = 180000; // 3 minutes for user comm
 export const SCHEDULE_CACHE_VALIDITY_MS = 90000; // 1.5 minutes for schedule operations
 export const ACTIVE_PERIOD_CACHE_VALIDITY_MS = 60000; // 1 minute during active periods
 
+/**
+ * Persistence of device status cache and rate limiter state
+ * State older than the max age is not restored after a restart
+ */
+export const STATE_PERSIST_INTERVAL_MS = 60000; // Flush state every minute
+export const RESTORED_CACHE_MAX_AGE_MS = 86400000; // 24 hours
+
 /**
  * Maximum number of retries for API requests 
  * Higher priority requests will be retried more times
@@ -91,6 +98,23 @@ export const USER_ACTION_QUIET_PERIOD_MS = 30000; // 30 seconds
  */
 export const COMMAND_DEBOUNCE_DELAY_MS = 800; // 800ms
 
+/**
+ * Time a settings PATCH waits in an idle queue so changes arriving together
+ * (e.g. power and temperature from a scene) are merged into one request
+ */
+export const PATCH_COALESCE_WINDOW_MS = 250; // 250ms
+
+/**
+ * Delay before the result of a command is verified with a low-priority GET
+ * Gives the device time to apply the change
+ */
+export const COMMAND_VERIFICATION_DELAY_MS = 45000; // 45 seconds
+
+/**
+ * Consecutive failed status updates before a device is reported as faulty in HomeKit
+ */
+export const STATUS_FAULT_FAILURE_THRESHOLD = 3;
+
 /**
  * Logging levels
  */
@@ -116,7 +140,8 @@ export enum RequestPriority {
 export enum InterfaceMode {
   SWITCH = 'switch',         // Simple power switch + temperature sensor
   THERMOSTAT = 'thermostat', // Traditional thermostat interface  
-  HYBRID = 'hybrid'          // Power switch + temperature control + schedules
+  HYBRID = 'hybrid',         // Power switch + temperature control + schedules
+  HEATER_COOLER = 'heatercooler' // Heater/cooler with cooling and heating thresholds
 }
 
 /**
@@ -124,15 +149,137 @@ export enum InterfaceMode {
  */
 export const DEFAULT_INTERFACE_MODE = InterfaceMode.HYBRID;
 
+/**
+ * Initial gap between the heating and cooling thresholds of the heater/cooler
+ * interface (°C); the device setpoint sits in the middle
+ */
+export const HEATER_COOLER_THRESHOLD_GAP_C = 2;
+
+/**
+ * API rate limiting strategies
+ */
+export enum RateLimitStrategy {
+  DISCRETE_WINDOW = 'discrete-window', // Wall-clock aligned request windows
+  TOKEN_BUCKET = 'token-bucket',       // Token bucket sized to observed API burst capacity
+  CONSERVATIVE = 'conservative',       // Small, slowly refilling token bucket
+  ADAPTIVE = 'adaptive',               // Per-minute limit with adaptive backoff
+  LEARNED = 'learned'                  // Window and burst size calibrated from 429 responses
+}
+
+/**
+ * Default rate limiting strategy
+ */
+export const DEFAULT_RATE_LIMIT_STRATEGY = RateLimitStrategy.DISCRETE_WINDOW;
+
 /**
  * Enable individual schedule switches by default
  */
 export const DEFAULT_SHOW_INDIVIDUAL_SCHEDULES = true;
 
 /**
- * Enable warm hug feature by default
+ * Warm Hug switch is opt-in
+ */
+export const DEFAULT_ENABLE_WARM_HUG = false;
+
+/**
+ * Target of Warm Hugs started from the HomeKit switch (°C)
+ */
+export const DEFAULT_WARM_HUG_TARGET = 30;
+
+/**
+ * Sleep timer is opt-in
+ */
+export const DEFAULT_ENABLE_SLEEP_TIMER = false;
+
+/**
+ * Sleep timer duration until changed in HomeKit (seconds)
+ */
+export const DEFAULT_SLEEP_TIMER_DURATION_S = 5400;
+
+/**
+ * Longest sleep timer that can be set in HomeKit (seconds)
+ */
+export const MAX_SLEEP_TIMER_DURATION_S = 43200;
+
+/**
+ * How close the device setpoint must be to a preset for its switch to show as on (°C)
+ * Covers the device storing setpoints in whole °F
  */
-export const DEFAULT_ENABLE_WARM_HUG = true;
+export const PRESET_MATCH_TOLERANCE_C = 0.5;
+
+/**
+ * Bed ready sensor kinds
+ */
+export enum BedReadySensorType {
+  NONE = 'none',             // No sensor
+  OCCUPANCY = 'occupancy',   // Occupancy detected when ready
+  CONTACT = 'contact'        // Contact detected when ready
+}
+
+/**
+ * Default distance from the setpoint at which the bed counts as ready (°C)
+ */
+export const DEFAULT_BED_READY_TOLERANCE_C = 1;
+
+/**
+ * Extra distance beyond the tolerance before a ready bed stops counting as ready (°C)
+ * Keeps the sensor from flapping while the water hovers around the threshold
+ */
+export const BED_READY_HYSTERESIS_C = 0.5;
+
+/**
+ * Setpoint the device reports while following the SleepMe app's own schedule (°C)
+ */
+export const DEVICE_SCHEDULE_SETPOINT = 999;
+
+/**
+ * How a device following its own schedule is shown in HomeKit
+ */
+export enum DeviceScheduleIndicator {
+  NONE = 'none',         // Not shown
+  CONTACT = 'contact',   // Contact sensor, contact detected while the device schedule is active
+  SWITCH = 'switch'      // Read-only switch, on while the device schedule is active
+}
+
+/**
+ * Default indicator for the device's own schedule
+ */
+export const DEFAULT_DEVICE_SCHEDULE_INDICATOR = DeviceScheduleIndicator.NONE;
+
+/**
+ * What Homebridge schedules do while a device follows its own schedule
+ */
+export enum DeviceSchedulePolicy {
+  OVERRIDE = 'override', // Homebridge schedules run and take the device off its schedule
+  YIELD = 'yield'        // Homebridge schedules are skipped
+}
+
+/**
+ * Default handling of Homebridge schedules during the device's own schedule
+ */
+export const DEFAULT_DEVICE_SCHEDULE_POLICY = DeviceSchedulePolicy.OVERRIDE;
+
+/**
+ * How long after a missed schedule it is still applied at startup (minutes)
+ * 0 turns catching up off
+ */
+export const DEFAULT_SCHEDULE_CATCH_UP_MINUTES = 180;
+
+/**
+ * Eve history is opt-in
+ */
+export const DEFAULT_ENABLE_HISTORY = false;
+
+/**
+ * Entries kept in each device's Eve history (4 weeks at the sampling interval)
+ */
+export const HISTORY_MAX_ENTRIES = 4032;
+
+/**
+ * Minimum spacing of Eve history entries (ms)
+ * Power and setpoint changes are recorded without waiting; matches Eve's own 10 minute logging
+ */
+export const HISTORY_SAMPLE_INTERVAL_MS = 10 * 60 * 1000;
 
 /**
  * Polling intervals for different contexts (in seconds)
@@ -140,7 +287,9 @@ export const DEFAULT_ENABLE_WARM_HUG = true;
 export const POLLING_INTERVALS = {
   BASE: 120,          // Normal operations (empirical: 60s window + safety)
   ACTIVE: 90,         // During schedules or recent activity (still conservative)
-  RESPONSIVE: 60      // After user commands (minimum safe interval)
+  RESPONSIVE: 60,     // After user commands (minimum safe interval)
+  OFF: 240,           // Powered off with no recent activity
+  DEEP_IDLE: 1200     // Powered off, unattended and nothing scheduled soon (20 minutes)
 };
 
 /**
@@ -149,5 +298,15 @@ export const POLLING_INTERVALS = {
 export const POLLING_CONTEXTS = {
   RESPONSIVE_PERIOD: 120000,  // 2 minutes of faster polling after user action
   SCHEDULE_ACTIVE_PERIOD: 300000,  // 5 minutes during/after schedule execution
-  STARTUP_PERIOD: 180000      // 3 minutes of more frequent polling at startup
+  STARTUP_PERIOD: 180000,     // 3 minutes of more frequent polling at startup
+  DEEP_IDLE_DELAY: 1800000,   // 30 minutes without HomeKit interaction before deep idle
+  DEEP_IDLE_SCHEDULE_HORIZON: 3600000  // Leave deep idle 1 hour before the next schedule
 };
+
+/**
+ * Fleet-wide poll scheduler settings
+ * Status polls of all devices on an account share one request budget
+ */
+export const FLEET_POLL_TICK_MS = 5000;            // How often the scheduler picks the next device
+export const FLEET_POLL_BUDGET_SHARE = 0.5;        // Share of the rate limit window used for polls (rest for commands)
+export const MIN_FLEET_POLL_SPACING_MS = 15000;    // Minimum gap between any two status polls
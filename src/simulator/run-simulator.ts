@@ -0,0 +1,68 @@
+/**
+ * Command line entry point for the local SleepMe API simulator
+ *
+ * Usage: npm run simulator -- [--port 8787] [--devices 2] [--token abc]
+ *          [--requests-per-window 8] [--window 60] [--rate-limit-chance 0.1]
+ *          [--command-latency 10] [--command-drop-chance 0.05]
+ */
+import { SleepMeSimulator, SimulatorConfig } from './sleepme-simulator.js';
+
+/**
+ * Read a numeric command line option
+ * @param name Option name without leading dashes
+ * @returns Parsed number or undefined if absent/invalid
+ */
+function numericOption(name: string): number | undefined {
+  const index = process.argv.indexOf(`--${name}`);
+  if (index === -1) {
+    return undefined;
+  }
+
+  const value = Number(process.argv[index + 1]);
+  return Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * Read a string command line option
+ * @param name Option name without leading dashes
+ * @returns Option value or undefined if absent
+ */
+function stringOption(name: string): string | undefined {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+const config: Partial<SimulatorConfig> = {
+  host: stringOption('host') || '127.0.0.1',
+  port: numericOption('port') ?? 8787,
+  deviceCount: numericOption('devices') ?? 1,
+  apiToken: stringOption('token'),
+  commandLatencyMs: (numericOption('command-latency') ?? 10) * 1000,
+  commandDropChance: numericOption('command-drop-chance') ?? 0,
+  rateLimit: {
+    requestsPerWindow: numericOption('requests-per-window') ?? 8,
+    windowDurationMs: (numericOption('window') ?? 60) * 1000,
+    randomRateLimitChance: numericOption('rate-limit-chance') ?? 0
+  }
+};
+
+const simulator = new SleepMeSimulator(config, {
+  info: message => console.log(`[SleepMe Simulator] ${message}`)
+});
+
+simulator.start()
+  .then(baseUrl => {
+    console.log(`[SleepMe Simulator] Listening on ${baseUrl}`);
+    console.log(`[SleepMe Simulator] Set "advanced": { "apiBaseUrl": "${baseUrl}" } in your Homebridge config`);
+  })
+  .catch(error => {
+    console.error(`[SleepMe Simulator] Failed to start: ${error instanceof Error ? error.message : String(error)}`);
+    process.exit(1);
+  });
+
+const shutdown = () => {
+  simulator.stop().then(() => process.exit(0));
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,445 @@
+/**
+ * Local SleepMe API simulator
+ * Implements the subset of the SleepMe developer API used by the plugin so
+ * automations and queue/rate-limit behaviour can be exercised without a real
+ * device or real API quota
+ */
+import http from 'node:http';
+import { Logger } from '../api/types.js';
+
+/**
+ * Rate limit behaviour of the simulator
+ */
+export interface SimulatorRateLimitConfig {
+  requestsPerWindow: number;     // Requests allowed per window (0 disables the window limit)
+  windowDurationMs: number;      // Wall-clock aligned window length
+  randomRateLimitChance: number; // Probability (0-1) of an unprompted 429
+}
+
+/**
+ * Simulator configuration
+ */
+export interface SimulatorConfig {
+  host: string;
+  port: number;
+  deviceCount: number;
+  apiToken?: string;             // When set, requests must present this token
+  tickIntervalMs: number;        // How often the physical model advances
+  ambientTemperatureC: number;   // Temperature the water drifts to when idle
+  heatingRateCPerMin: number;    // Water temperature change rate while active
+  waterLossPerHour: number;      // Water level decay (percent per hour) while active
+  commandLatencyMs: number;      // Delay before a PATCHed setting takes effect on the device
+  commandDropChance: number;     // Probability (0-1) that an acknowledged PATCH never takes effect
+  settleThresholdC: number;      // Distance from the setpoint within which an active device stops heating/cooling
+  rateLimit: SimulatorRateLimitConfig;
+}
+
+/**
+ * Settings accepted by a PATCH that the device has not applied yet
+ */
+interface PendingCommand {
+  applyAt: number;                                   // When the device applies the settings
+  setTemperatureC?: number;
+  thermalControlStatus?: 'active' | 'standby';
+}
+
+/**
+ * Simulated device state
+ */
+interface SimulatedDevice {
+  id: string;
+  name: string;
+  waterTemperatureC: number;
+  setTemperatureC: number;
+  thermalControlStatus: 'active' | 'standby';
+  waterLevel: number;
+  isConnected: boolean;
+  displayTemperatureUnit: 'c' | 'f';
+  firmwareVersion: string;
+  pendingCommand?: PendingCommand;
+}
+
+const DEFAULT_SIMULATOR_CONFIG: SimulatorConfig = {
+  host: '127.0.0.1',
+  port: 8787,
+  deviceCount: 1,
+  tickIntervalMs: 5000,
+  ambientTemperatureC: 22,
+  heatingRateCPerMin: 0.5,
+  waterLossPerHour: 1,
+  commandLatencyMs: 10000,
+  commandDropChance: 0,
+  settleThresholdC: 0.5,
+  rateLimit: {
+    requestsPerWindow: 8,
+    windowDurationMs: 60000,
+    randomRateLimitChance: 0
+  }
+};
+
+/**
+ * SleepMe API simulator
+ * Serves GET /devices, GET /devices/:id and PATCH /devices/:id with an
+ * optional /v1 prefix so it can be used as a drop-in `advanced.apiBaseUrl`
+ */
+export class SleepMeSimulator {
+  private readonly config: SimulatorConfig;
+  private readonly devices: Map<string, SimulatedDevice> = new Map();
+  private readonly logger?: Pick<Logger, 'info'>;
+  private server?: http.Server;
+  private tickTimer?: NodeJS.Timeout;
+  private lastTick = Date.now();
+
+  // Discrete window rate limit state
+  private windowStart = 0;
+  private requestsInWindow = 0;
+
+  /**
+   * Create a new simulator
+   * @param config Partial configuration merged with defaults
+   * @param logger Optional logger for request tracing
+   */
+  constructor(config: Partial<SimulatorConfig> = {}, logger?: Pick<Logger, 'info'>) {
+    this.logger = logger;
+    this.config = {
+      ...DEFAULT_SIMULATOR_CONFIG,
+      ...config,
+      rateLimit: {
+        ...DEFAULT_SIMULATOR_CONFIG.rateLimit,
+        ...(config.rateLimit || {})
+      }
+    };
+
+    for (let i = 1; i <= this.config.deviceCount; i++) {
+      const id = `sim-device-${i}`;
+      this.devices.set(id, {
+        id,
+        name: `Simulated Dock Pro ${i}`,
+        waterTemperatureC: this.config.ambientTemperatureC,
+        setTemperatureC: 21,
+        thermalControlStatus: 'standby',
+        waterLevel: 100,
+        isConnected: true,
+        displayTemperatureUnit: 'c',
+        firmwareVersion: '5.39.2134'
+      });
+    }
+  }
+
+  /**
+   * Start listening for requests
+   * @returns Base URL to use as `advanced.apiBaseUrl`
+   */
+  public start(): Promise<string> {
+    return new Promise((resolve, reject) => {
+      const server = http.createServer((req, res) => this.handleRequest(req, res));
+      this.server = server;
+      server.once('error', reject);
+      server.listen(this.config.port, this.config.host, () => {
+        const address = server.address();
+        const port = typeof address === 'object' && address ? address.port : this.config.port;
+
+        this.lastTick = Date.now();
+        this.tickTimer = setInterval(() => this.tick(), this.config.tickIntervalMs);
+
+        resolve(`http://${this.config.host}:${port}/v1`);
+      });
+    });
+  }
+
+  /**
+   * Stop the simulator and release the port
+   */
+  public stop(): Promise<void> {
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = undefined;
+    }
+
+    return new Promise(resolve => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+      this.server = undefined;
+    });
+  }
+
+  /**
+   * Advance the physical model of every device
+   */
+  private tick(): void {
+    const now = Date.now();
+    const elapsedMinutes = (now - this.lastTick) / 60000;
+    this.lastTick = now;
+
+    this.devices.forEach(device => {
+      this.applyPendingCommand(device, now);
+
+      if (device.thermalControlStatus === 'active') {
+        // Move water toward the setpoint at the configured rate
+        const maxStep = this.config.heatingRateCPerMin * elapsedMinutes;
+        const diff = device.setTemperatureC - device.waterTemperatureC;
+        device.waterTemperatureC += Math.sign(diff) * Math.min(Math.abs(diff), maxStep);
+
+        // Water evaporates slowly while the pump runs
+        device.waterLevel = Math.max(0, device.waterLevel - (this.config.waterLossPerHour * elapsedMinutes / 60));
+      } else {
+        // Idle water drifts back toward ambient at a quarter of the active rate
+        const maxStep = (this.config.heatingRateCPerMin / 4) * elapsedMinutes;
+        const diff = this.config.ambientTemperatureC - device.waterTemperatureC;
+        device.waterTemperatureC += Math.sign(diff) * Math.min(Math.abs(diff), maxStep);
+      }
+    });
+  }
+
+  /**
+   * Route an incoming HTTP request
+   */
+  private handleRequest(req: http.IncomingMessage, res: http.ServerResponse): void {
+    const method = req.method || 'GET';
+    const path = (req.url || '/').split('?')[0].replace(/^\/v1(?=\/)/, '').replace(/\/+$/, '');
+
+    this.logger?.info(`${method} ${req.url}`);
+
+    if (!this.isAuthorized(req)) {
+      this.sendJson(res, 403, { message: 'Forbidden' });
+      return;
+    }
+
+    if (this.isRateLimited()) {
+      const retryAfter = Math.ceil(this.timeUntilNextWindow() / 1000);
+      res.setHeader('Retry-After', String(retryAfter));
+      this.sendJson(res, 429, { message: 'Too Many Requests' });
+      this.logger?.info(`429 ${method} ${req.url} (retry after ${retryAfter}s)`);
+      return;
+    }
+
+    if (method === 'GET' && path === '/devices') {
+      this.sendJson(res, 200, Array.from(this.devices.values()).map(device => ({
+        id: device.id,
+        name: device.name,
+        attachments: ['CHILIPAD_PRO']
+      })));
+      return;
+    }
+
+    const match = /^\/devices\/([^/]+)$/.exec(path);
+    const device = match ? this.devices.get(decodeURIComponent(match[1])) : undefined;
+
+    if (match && !device) {
+      this.sendJson(res, 404, { message: 'Device not found' });
+      return;
+    }
+
+    if (device && method === 'GET') {
+      this.applyPendingCommand(device, Date.now());
+      this.sendJson(res, 200, this.serializeDevice(device));
+      return;
+    }
+
+    if (device && method === 'PATCH') {
+      this.readBody(req)
+        .then(body => {
+          this.sendJson(res, 200, this.acceptPatch(device, body));
+        })
+        .catch(() => this.sendJson(res, 400, { message: 'Invalid JSON body' }));
+      return;
+    }
+
+    this.sendJson(res, 404, { message: 'Not found' });
+  }
+
+  /**
+   * Check the Authorization header against the configured token
+   */
+  private isAuthorized(req: http.IncomingMessage): boolean {
+    if (!this.config.apiToken) {
+      return true;
+    }
+
+    const header = req.headers.authorization || '';
+    return header === `Bearer ${this.config.apiToken}` || header === this.config.apiToken;
+  }
+
+  /**
+   * Decide whether this request should receive a 429
+   * Mirrors the discrete wall-clock windows observed on the real API
+   */
+  private isRateLimited(): boolean {
+    const { requestsPerWindow, windowDurationMs, randomRateLimitChance } = this.config.rateLimit;
+
+    if (randomRateLimitChance > 0 && Math.random() < randomRateLimitChance) {
+      return true;
+    }
+
+    if (requestsPerWindow <= 0) {
+      return false;
+    }
+
+    const windowStart = Math.floor(Date.now() / windowDurationMs) * windowDurationMs;
+    if (windowStart !== this.windowStart) {
+      this.windowStart = windowStart;
+      this.requestsInWindow = 0;
+    }
+
+    this.requestsInWindow++;
+    return this.requestsInWindow > requestsPerWindow;
+  }
+
+  /**
+   * Time until the current rate limit window ends
+   */
+  private timeUntilNextWindow(): number {
+    const { windowDurationMs } = this.config.rateLimit;
+    return Math.max(0, this.windowStart + windowDurationMs - Date.now());
+  }
+
+  /**
+   * Accept a PATCH payload
+   * Like the real device, setpoint and power changes are acknowledged at once
+   * but only take effect after the command latency (or, with the drop chance,
+   * not at all) so a GET right after the PATCH still shows the old state
+   * @returns Control section as acknowledged by the API
+   */
+  private acceptPatch(device: SimulatedDevice, body: Record<string, unknown>): Record<string, unknown> {
+    // Settings from an earlier PATCH still pending are merged, as on the device
+    const command: PendingCommand = {
+      ...(device.pendingCommand || {}),
+      applyAt: Date.now() + this.config.commandLatencyMs
+    };
+
+    if (typeof body.set_temperature_c === 'number') {
+      command.setTemperatureC = body.set_temperature_c;
+    } else if (typeof body.set_temperature_f === 'number') {
+      command.setTemperatureC = Math.round(((body.set_temperature_f - 32) * 5 / 9) * 10) / 10;
+    }
+
+    if (body.thermal_control_status === 'active' || body.thermal_control_status === 'standby') {
+      command.thermalControlStatus = body.thermal_control_status;
+    }
+
+    // The display unit is a display setting only and changes immediately
+    if (body.display_temperature_unit === 'c' || body.display_temperature_unit === 'f') {
+      device.displayTemperatureUnit = body.display_temperature_unit;
+    }
+
+    const acknowledged = this.serializeDevice(device).control;
+    if (command.setTemperatureC !== undefined) {
+      acknowledged.set_temperature_c = command.setTemperatureC;
+      acknowledged.set_temperature_f = Math.round((command.setTemperatureC * 9 / 5) + 32);
+    }
+    if (command.thermalControlStatus) {
+      acknowledged.thermal_control_status = command.thermalControlStatus;
+    }
+
+    if (Math.random() < this.config.commandDropChance) {
+      this.logger?.info(`Dropping command for ${device.id}; the device keeps its current state`);
+    } else {
+      device.pendingCommand = command;
+    }
+
+    return acknowledged;
+  }
+
+  /**
+   * Apply the device's pending command once its latency has passed
+   * @param device Device to update
+   * @param now Current timestamp (ms)
+   */
+  private applyPendingCommand(device: SimulatedDevice, now: number): void {
+    const command = device.pendingCommand;
+    if (!command || now < command.applyAt) {
+      return;
+    }
+
+    if (command.setTemperatureC !== undefined) {
+      device.setTemperatureC = command.setTemperatureC;
+    }
+    if (command.thermalControlStatus) {
+      device.thermalControlStatus = command.thermalControlStatus;
+    }
+    device.pendingCommand = undefined;
+  }
+
+  /**
+   * Thermal control status as reported by the device
+   * An active device reports heating or cooling until the water reaches the setpoint
+   * @param device Device to report
+   */
+  private reportedThermalStatus(device: SimulatedDevice): string {
+    if (device.thermalControlStatus !== 'active') {
+      return device.thermalControlStatus;
+    }
+
+    const diff = device.setTemperatureC - device.waterTemperatureC;
+    if (Math.abs(diff) <= this.config.settleThresholdC) {
+      return 'active';
+    }
+    return diff > 0 ? 'heating' : 'cooling';
+  }
+
+  /**
+   * Build an API-shaped device response
+   */
+  private serializeDevice(device: SimulatedDevice): {
+    about: Record<string, unknown>;
+    control: Record<string, unknown>;
+    status: Record<string, unknown>;
+  } {
+    const waterTemperatureC = Math.round(device.waterTemperatureC * 10) / 10;
+    const waterLevel = Math.round(device.waterLevel);
+
+    return {
+      about: {
+        firmware_version: device.firmwareVersion,
+        model: 'DP999NA',
+        serial_number: device.id
+      },
+      control: {
+        display_temperature_unit: device.displayTemperatureUnit,
+        set_temperature_c: device.setTemperatureC,
+        set_temperature_f: Math.round((device.setTemperatureC * 9 / 5) + 32),
+        thermal_control_status: this.reportedThermalStatus(device),
+        time_zone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      },
+      status: {
+        is_connected: device.isConnected,
+        is_water_low: waterLevel <= 20,
+        water_level: waterLevel,
+        water_temperature_c: waterTemperatureC,
+        water_temperature_f: Math.round((waterTemperatureC * 9 / 5) + 32)
+      }
+    };
+  }
+
+  /**
+   * Read and parse a JSON request body
+   */
+  private readBody(req: http.IncomingMessage): Promise<Record<string, unknown>> {
+    return new Promise((resolve, reject) => {
+      let raw = '';
+      req.on('data', chunk => {
+        raw += chunk;
+      });
+      req.on('end', () => {
+        try {
+          resolve(raw ? JSON.parse(raw) : {});
+        } catch (error) {
+          reject(error);
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Send a JSON response
+   */
+  private sendJson(res: http.ServerResponse, status: number, body: unknown): void {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * Sunrise and sunset times for schedules
+ * Calculated locally with the NOAA sunrise equation (accurate to about a minute),
+ * so schedules relative to the sun need no network access
+ */
+
+/**
+ * Solar events schedules can be relative to
+ */
+export type SolarEvent = 'sunrise' | 'sunset';
+
+/**
+ * Position on Earth the solar events are calculated for
+ */
+export interface GeoLocation {
+  latitude: number;   // Degrees, north positive
+  longitude: number;  // Degrees, east positive
+}
+
+/**
+ * A schedule time relative to a solar event, e.g. "sunrise-0:20"
+ */
+export interface SolarTime {
+  event: SolarEvent;
+  offsetMinutes: number;  // Minutes after the event (negative for before)
+}
+
+/**
+ * Solar time syntax: the lowercase event, optionally followed without spaces by a
+ * signed H:MM offset of up to 12:00 (same grammar as the config schema and the UI)
+ */
+const SOLAR_TIME_PATTERN = /^(sunrise|sunset)(?:([+-])(0?\d|1[01]|12(?=:00)):([0-5]\d))?$/;
+
+/**
+ * Julian day of the Unix epoch and of J2000
+ */
+const JULIAN_UNIX_EPOCH = 2440587.5;
+const JULIAN_2000 = 2451545;
+
+/**
+ * Sun altitude at sunrise and sunset, allowing for refraction and the sun's radius (degrees)
+ */
+const SUNRISE_ALTITUDE = -0.833;
+
+/**
+ * Axial tilt of the Earth (degrees)
+ */
+const EARTH_OBLIQUITY = 23.4397;
+
+const toRadians = (degrees: number): number => degrees * Math.PI / 180;
+const toDegrees = (radians: number): number => radians * 180 / Math.PI;
+
+/**
+ * Parse a schedule time relative to sunrise or sunset
+ * @param time Schedule time such as "sunrise", "sunrise-0:20" or "sunset+3:00"
+ * @returns Solar time, or undefined for fixed HH:MM times and invalid values
+ */
+export function parseSolarTime(time: string): SolarTime | undefined {
+  const match = SOLAR_TIME_PATTERN.exec(time.trim());
+  if (!match) {
+    return undefined;
+  }
+
+  const [, event, sign, hours, minutes] = match;
+  const offset = sign ? Number(hours) * 60 + Number(minutes) : 0;
+  return {
+    event: event as SolarEvent,
+    offsetMinutes: sign === '-' ? -offset : offset
+  };
+}
+
+/**
+ * Calculate when the sun rises or sets on a calendar day
+ * @param date Any time on the local calendar day
+ * @param location Position to calculate for
+ * @param event Sunrise or sunset
+ * @returns Time of the event, or undefined if the sun doesn't rise or set that day (polar day or night)
+ */
+export function calculateSolarEvent(date: Date, location: GeoLocation, event: SolarEvent): Date | undefined {
+  // Days since J2000 at local noon of the calendar day, corrected for longitude
+  const dayStart = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  const dayNumber = Math.ceil(dayStart / 86400000 + JULIAN_UNIX_EPOCH - JULIAN_2000 + 0.0008);
+  const meanSolarTime = dayNumber - location.longitude / 360;
+
+  const meanAnomaly = (357.5291 + 0.98560028 * meanSolarTime) % 360;
+  const anomalyRadians = toRadians(meanAnomaly);
+  const center = 1.9148 * Math.sin(anomalyRadians) +
+    0.02 * Math.sin(2 * anomalyRadians) +
+    0.0003 * Math.sin(3 * anomalyRadians);
+  const eclipticLongitude = toRadians((meanAnomaly + center + 180 + 102.9372) % 360);
+
+  const solarTransit = JULIAN_2000 + meanSolarTime +
+    0.0053 * Math.sin(anomalyRadians) - 0.0069 * Math.sin(2 * eclipticLongitude);
+  const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(toRadians(EARTH_OBLIQUITY)));
+
+  const latitude = toRadians(location.latitude);
+  const cosHourAngle = (Math.sin(toRadians(SUNRISE_ALTITUDE)) - Math.sin(latitude) * Math.sin(declination)) /
+    (Math.cos(latitude) * Math.cos(declination));
+  if (cosHourAngle < -1 || cosHourAngle > 1) {
+    return undefined;
+  }
+
+  const hourAngle = toDegrees(Math.acos(cosHourAngle));
+  const julianEvent = solarTransit + (event === 'sunrise' ? -hourAngle : hourAngle) / 360;
+  return new Date(Math.round((julianEvent - JULIAN_UNIX_EPOCH) * 86400000));
+}
+
+/**
+ * Resolve a solar schedule time on a calendar day
+ * @param date Any time on the local calendar day
+ * @param solarTime Solar time to resolve
+ * @param location Position to calculate for
+ * @returns Time the schedule is due, or undefined if the sun doesn't rise or set that day
+ */
+export function resolveSolarTime(date: Date, solarTime: SolarTime, location: GeoLocation): Date | undefined {
+  const eventTime = calculateSolarEvent(date, location, solarTime.event);
+  if (!eventTime) {
+    return undefined;
+  }
+  return new Date(eventTime.getTime() + solarTime.offsetMinutes * 60000);
+}
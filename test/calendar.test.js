@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidDate, parseIcsEvents } from '../dist/calendar.js';
+
+// UTC times are converted to this zone's calendar days (UTC+13 in December)
+process.env.TZ = 'Pacific/Auckland';
+
+const SAMPLE = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20261225',
+  'DTEND;VALUE=DATE:20261226',
+  'SUMMARY:Christmas Day',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20260803',
+  'DTEND;VALUE=DATE:20260815',
+  'SUMMARY:Summer holiday in the mountains\\, with ',
+  ' the whole family',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART:20261231T110000Z',
+  'DTEND:20261231T120000Z',
+  'SUMMARY:New Year\'s Day',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20260406',
+  'SUMMARY:Easter Monday',
+  'END:VEVENT',
+  'END:VCALENDAR',
+  ''
+].join('\r\n');
+
+test('reads all-day events with an exclusive end date', () => {
+  const [christmas] = parseIcsEvents(SAMPLE);
+  assert.deepEqual(christmas, { summary: 'Christmas Day', start: '2026-12-25', end: '2026-12-25' });
+});
+
+test('unfolds continuation lines and unescapes text', () => {
+  const holiday = parseIcsEvents(SAMPLE)[1];
+  assert.equal(holiday.summary, 'Summer holiday in the mountains, with the whole family');
+  assert.equal(holiday.start, '2026-08-03');
+  assert.equal(holiday.end, '2026-08-14');
+});
+
+test('converts UTC times to local calendar days', () => {
+  const newYear = parseIcsEvents(SAMPLE)[2];
+  assert.equal(newYear.start, '2027-01-01');
+  assert.equal(newYear.end, '2027-01-01');
+});
+
+test('treats an event without an end as a single day', () => {
+  const easter = parseIcsEvents(SAMPLE)[3];
+  assert.deepEqual(easter, { summary: 'Easter Monday', start: '2026-04-06', end: '2026-04-06' });
+});
+
+test('accepts only real calendar dates', () => {
+  assert.equal(isValidDate('2028-02-29'), true);
+  assert.equal(isValidDate('2026-02-29'), false);
+  assert.equal(isValidDate('2026-1-5'), false);
+});
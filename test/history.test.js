@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as hap from 'hap-nodejs';
+import { EveHistory, EveHistoryFormat } from '../dist/history.js';
+import { HISTORY_MAX_ENTRIES, HISTORY_SAMPLE_INTERVAL_MS } from '../dist/settings.js';
+
+const STATUS_UUID = 'E863F116-079E-48FF-8F27-9C2605A29F52';
+const ENTRIES_UUID = 'E863F117-079E-48FF-8F27-9C2605A29F52';
+const REQUEST_UUID = 'E863F11C-079E-48FF-8F27-9C2605A29F52';
+
+const logger = { info() {}, debug() {}, verbose() {}, warn() {}, error() {} };
+
+/**
+ * Create a history on a bare accessory with an in-memory store and a hand-driven clock
+ */
+function createHistory(t) {
+  const clock = { now: Date.UTC(2026, 9, 1, 22) };
+  t.mock.method(Date, 'now', () => clock.now);
+
+  const documents = new Map();
+  const store = { read: key => documents.get(key), write: (key, value) => documents.set(key, value) };
+  const accessory = new hap.Accessory('Bed', hap.uuid.generate('history-test'));
+  const history = new EveHistory(hap, accessory, store, logger, 'device-1', EveHistoryFormat.THERMO);
+  const characteristic = uuid => accessory.services
+    .flatMap(service => service.characteristics)
+    .find(candidate => candidate.UUID === uuid);
+
+  return { clock, history, characteristic };
+}
+
+/**
+ * Record readings one sampling interval apart, numbering the water temperature
+ */
+function recordReadings(context, count, from = 0) {
+  for (let i = from; i < from + count; i++) {
+    context.history.record({ currentTemperature: 20 + i / 100, targetTemperature: 30, powered: true });
+    context.clock.now += HISTORY_SAMPLE_INTERVAL_MS;
+  }
+}
+
+/**
+ * Request the log from an entry and read records until Eve would stop
+ */
+async function transfer(context, fromEntry) {
+  const request = Buffer.alloc(6);
+  request.writeUInt32LE(fromEntry, 2);
+  await context.characteristic(REQUEST_UUID).handleSetRequest(request.toString('base64'));
+
+  const records = [];
+  for (;;) {
+    const block = Buffer.from(await context.characteristic(ENTRIES_UUID).handleGetRequest(), 'base64');
+    if (block.length <= 1) {
+      return records;
+    }
+    for (let offset = 0; offset < block.length; offset += block[offset]) {
+      records.push(block.subarray(offset, offset + block[offset]));
+    }
+  }
+}
+
+/**
+ * Read the used entry count and first entry number from the status
+ */
+async function readStatus(context) {
+  const status = Buffer.from(await context.characteristic(STATUS_UUID).handleGetRequest(), 'base64');
+  const footer = status.subarray(status.length - 14);
+  return { used: footer.readUInt16LE(0), firstEntry: footer.readUInt32LE(4) };
+}
+
+const isRefTimeRecord = record => record[0] === 0x15 && record[9] === 0x81;
+const temperatureOf = record => record.readUInt16LE(10);
+
+test('sends the reference time before every recorded reading', async (t) => {
+  const context = createHistory(t);
+  recordReadings(context, 3);
+
+  assert.deepEqual(await readStatus(context), { used: 4, firstEntry: 0 });
+
+  const records = await transfer(context, 1);
+  assert.equal(records.length, 4);
+  assert.ok(isRefTimeRecord(records[0]));
+  assert.deepEqual(records.slice(1).map(temperatureOf), [2000, 2001, 2002]);
+  assert.deepEqual(records.map(record => record.readUInt32LE(1)), [1, 2, 3, 4]);
+});
+
+test('keeps sending the oldest reading after the log rotates', async (t) => {
+  const context = createHistory(t);
+  recordReadings(context, HISTORY_MAX_ENTRIES + 1);
+
+  const status = await readStatus(context);
+  assert.equal(status.used, HISTORY_MAX_ENTRIES);
+
+  const records = await transfer(context, 1);
+  assert.equal(records.length, HISTORY_MAX_ENTRIES);
+  assert.ok(isRefTimeRecord(records[0]));
+  assert.equal(records[0].readUInt32LE(1), status.firstEntry + 1);
+  // Two readings were rotated out; the next one is the oldest sent
+  assert.equal(temperatureOf(records[1]), 2002);
+  assert.equal(temperatureOf(records[records.length - 1]), 2000 + HISTORY_MAX_ENTRIES);
+});
+
+test('sends only the new readings to an Eve app that is up to date', async (t) => {
+  const context = createHistory(t);
+  recordReadings(context, 2);
+  const lastEntry = (await transfer(context, 1)).pop().readUInt32LE(1);
+
+  recordReadings(context, 1, 2);
+
+  const records = await transfer(context, lastEntry + 1);
+  assert.deepEqual(records.map(temperatureOf), [2002]);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LearnedRateLimiter } from '../dist/api/learned-rate-limiter.js';
+import { RequestPriority } from '../dist/settings.js';
+
+/**
+ * Replace Date.now with a clock the test advances by hand
+ */
+function useClock(t, start = 1_000_000) {
+  const clock = { now: start };
+  t.mock.method(Date, 'now', () => clock.now);
+  return clock;
+}
+
+test('backs off for one window after a 429 and caps the burst size', (t) => {
+  const clock = useClock(t);
+  const limiter = new LearnedRateLimiter();
+
+  limiter.recordRequest(RequestPriority.NORMAL, true, false);
+  clock.now += 5000;
+  limiter.recordRequest(RequestPriority.NORMAL, true, false);
+  clock.now += 5000;
+  limiter.recordRequest(RequestPriority.NORMAL, false, true);
+
+  assert.equal(limiter.getModel().burstSize, 2);
+
+  clock.now += 5000;
+  const decision = limiter.shouldAllowRequest(RequestPriority.NORMAL);
+  assert.equal(decision.allowed, false);
+  assert.equal(decision.waitTimeMs, 55000);
+  assert.match(decision.reason, /Backoff after 1 rate limit/);
+  assert.equal(limiter.getSummary().backoffActive, true);
+
+  clock.now += 55000;
+  assert.equal(limiter.shouldAllowRequest(RequestPriority.NORMAL).allowed, true);
+});
+
+test('doubles the back-off on consecutive 429s', (t) => {
+  const clock = useClock(t);
+  const limiter = new LearnedRateLimiter();
+
+  limiter.recordRequest(RequestPriority.NORMAL, true, false);
+  clock.now += 5000;
+  limiter.recordRequest(RequestPriority.NORMAL, false, true);
+  clock.now += 60000;
+  limiter.recordRequest(RequestPriority.NORMAL, false, true);
+
+  assert.equal(limiter.shouldAllowRequest(RequestPriority.NORMAL).waitTimeMs, 2 * limiter.getModel().windowMs);
+});
+
+test('lengthens the window when the first request of a window is rejected', (t) => {
+  useClock(t);
+  const limiter = new LearnedRateLimiter();
+
+  limiter.recordRequest(RequestPriority.NORMAL, false, true);
+
+  assert.equal(limiter.getModel().windowMs, 90000);
+  assert.equal(limiter.shouldAllowRequest(RequestPriority.NORMAL).waitTimeMs, 90000);
+});
+
+test('a successful request clears the back-off count', (t) => {
+  const clock = useClock(t);
+  const limiter = new LearnedRateLimiter();
+
+  limiter.recordRequest(RequestPriority.NORMAL, false, true);
+  clock.now += 90000;
+  limiter.recordRequest(RequestPriority.NORMAL, true, false);
+
+  assert.equal(limiter.getSummary().consecutiveRateLimits, 0);
+  clock.now += 2000;
+  assert.equal(limiter.shouldAllowRequest(RequestPriority.NORMAL).allowed, true);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScheduleManager } from '../dist/schedule.js';
+
+// 07:30 local time on a fixed day
+const NOW = new Date(2026, 9, 14, 7, 30).getTime();
+
+/**
+ * Start a schedule manager at NOW for one device with the given schedule and
+ * a run history from before the schedule was due
+ */
+function startManager(t, schedule, catchUpWindowMinutes) {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+
+  const logs = [];
+  const commands = [];
+  const logger = { info: message => logs.push(message), debug() {}, verbose() {}, warn() {}, error() {} };
+  const api = {
+    deviceStates: { onChange: () => () => {}, setNextScheduleTime() {}, markScheduleAction() {} },
+    turnDeviceOnForSchedule: async (deviceId, temperature) => {
+      commands.push(temperature);
+      return true;
+    },
+    setTemperatureForSchedule: async () => true
+  };
+  const store = { read: () => ({ trackedSince: NOW - 24 * 3600000, lastExecutions: {} }), write() {} };
+
+  const manager = new ScheduleManager(
+    logger, api, { increment: 1, duration: 30 }, store, undefined, catchUpWindowMinutes
+  );
+  t.after(() => manager.cleanup());
+  manager.setSchedules('device-1', [{ type: 'Everyday', ...schedule }]);
+  return { logs, commands };
+}
+
+test('measures a missed Warm Hug from its wake-up time, not its ramp start', (t) => {
+  // Ramp started at 06:40, 50 minutes ago; the wake-up time was 20 minutes ago
+  const { logs, commands } = startManager(t, { time: '07:10', temperature: 30, action: 'warmHug' }, 30);
+
+  assert.ok(logs.some(message => message.includes('missed 20 minutes ago')), logs.join('\n'));
+  assert.deepEqual(commands, [30]);
+});
+
+test('skips a Warm Hug whose wake-up time is outside the catch-up window', (t) => {
+  const { logs, commands } = startManager(t, { time: '06:50', temperature: 30, action: 'warmHug' }, 30);
+
+  assert.ok(logs.some(message => message.includes('missed 40 minutes ago, outside the 30 minute')), logs.join('\n'));
+  assert.deepEqual(commands, []);
+});
+
+test('finishes a Warm Hug still ramping at its wake-up time', (t) => {
+  // Ramp started at 07:20 and ends at 07:50
+  const { logs } = startManager(t, { time: '07:50', temperature: 30, action: 'warmHug' }, 30);
+
+  assert.ok(logs.some(message => message.includes('ramp started 10 minutes ago')), logs.join('\n'));
+  assert.ok(logs.some(message => message.includes('over 20 minutes')), logs.join('\n'));
+});
+
+test('catches up a fixed-time schedule within the window', (t) => {
+  const { logs, commands } = startManager(t, { time: '07:00', temperature: 18 }, 60);
+
+  assert.ok(logs.some(message => message.includes('missed 30 minutes ago')), logs.join('\n'));
+  assert.deepEqual(commands, [18]);
+});
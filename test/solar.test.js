@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateSolarEvent, parseSolarTime, resolveSolarTime } from '../dist/solar.js';
+
+const LONDON = { latitude: 51.5074, longitude: -0.1278 };
+const SAN_FRANCISCO = { latitude: 37.7749, longitude: -122.4194 };
+const TROMSO = { latitude: 69.6492, longitude: 18.9553 };
+
+/**
+ * Assert a time is within two minutes of a published time (compared in UTC,
+ * so the result doesn't depend on the time zone the tests run in)
+ */
+function assertNear(actual, expectedIso) {
+  assert.ok(actual, `expected a time near ${expectedIso}`);
+  const difference = Math.abs(actual.getTime() - Date.parse(expectedIso));
+  assert.ok(difference <= 2 * 60000, `${actual.toISOString()} is not within 2 minutes of ${expectedIso}`);
+}
+
+// Local noon is on the same calendar day in every time zone
+const midsummer = new Date(2026, 5, 21, 12);
+const midwinter = new Date(2026, 0, 15, 12);
+
+test('London at midsummer: sunrise 04:43 BST, sunset 21:21 BST', () => {
+  assertNear(calculateSolarEvent(midsummer, LONDON, 'sunrise'), '2026-06-21T03:43:00Z');
+  assertNear(calculateSolarEvent(midsummer, LONDON, 'sunset'), '2026-06-21T20:21:00Z');
+});
+
+test('San Francisco in January: sunrise 07:24 PST, sunset 17:14 PST', () => {
+  assertNear(calculateSolarEvent(midwinter, SAN_FRANCISCO, 'sunrise'), '2026-01-15T15:24:00Z');
+  assertNear(calculateSolarEvent(midwinter, SAN_FRANCISCO, 'sunset'), '2026-01-16T01:14:00Z');
+});
+
+test('no sunset during the midnight sun', () => {
+  assert.equal(calculateSolarEvent(midsummer, TROMSO, 'sunset'), undefined);
+});
+
+test('offsets move the resolved time', () => {
+  assertNear(resolveSolarTime(midsummer, parseSolarTime('sunrise-0:20'), LONDON), '2026-06-21T03:23:00Z');
+  assertNear(resolveSolarTime(midsummer, parseSolarTime('sunset+3:00'), LONDON), '2026-06-21T23:21:00Z');
+});
+
+test('parses solar times with offsets of up to 12 hours', () => {
+  assert.deepEqual(parseSolarTime('sunrise'), { event: 'sunrise', offsetMinutes: 0 });
+  assert.deepEqual(parseSolarTime('sunset-1:30'), { event: 'sunset', offsetMinutes: -90 });
+  assert.deepEqual(parseSolarTime('sunset+12:00'), { event: 'sunset', offsetMinutes: 720 });
+  assert.equal(parseSolarTime('sunset+12:01'), undefined);
+  assert.equal(parseSolarTime('sunrise-99:59'), undefined);
+  assert.equal(parseSolarTime('07:30'), undefined);
+  assert.equal(parseSolarTime('Sunrise'), undefined);
+  assert.equal(parseSolarTime('sunset + 3:00'), undefined);
+});